@@ -0,0 +1,234 @@
+/**
+ * Autenticación por JWT (Bearer)
+ * Verifica tokens estilo Supabase firmados con HS256 (secreto compartido) o
+ * RS256 (llaves públicas en un archivo JWKS), sin dependencias externas.
+ *
+ * Configuración:
+ * - SUPABASE_JWT_SECRET o JWT_SECRET: secreto para HS256
+ * - JWT_JWKS_FILE: ruta a un archivo JWKS ({ keys: [...] }) para RS256
+ * - JWT_ISSUER / JWT_AUDIENCE: valores esperados de iss / aud (opcionales)
+ * - JWT_CLOCK_TOLERANCE_SECONDS: tolerancia para exp/nbf (default: 30)
+ *
+ * Administradores: tokens con role "service_role" o con "admin" en
+ * app_metadata.role / app_metadata.roles (los asigna Supabase, no el usuario).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { ERROR_STATUS } = require('./errors');
+
+/**
+ * Error 401/403 con un código de errors.js (el status sale de ERROR_STATUS)
+ */
+class AuthError extends Error {
+  constructor(message, { code = 'INVALID_TOKEN', statusCode = ERROR_STATUS[code] || 401 } = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+let cachedJwks = null;
+
+function loadJwks() {
+  const file = process.env.JWT_JWKS_FILE;
+  if (!file) return null;
+
+  if (!cachedJwks || cachedJwks.file !== file) {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    cachedJwks = { file, keys: parsed.keys || [] };
+  }
+
+  return cachedJwks.keys;
+}
+
+function getConfig() {
+  return {
+    secret: process.env.SUPABASE_JWT_SECRET || process.env.JWT_SECRET || null,
+    jwks: loadJwks(),
+    issuer: process.env.JWT_ISSUER || null,
+    audience: process.env.JWT_AUDIENCE || null,
+    clockTolerance: parseInt(process.env.JWT_CLOCK_TOLERANCE_SECONDS || '30', 10)
+  };
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+function verifySignature(header, signingInput, signature, config) {
+  if (header.alg === 'HS256') {
+    if (!config.secret) {
+      throw new AuthError('HS256 no configurado (falta SUPABASE_JWT_SECRET)');
+    }
+    const expected = crypto.createHmac('sha256', config.secret).update(signingInput).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+
+  if (header.alg === 'RS256') {
+    if (!config.jwks || config.jwks.length === 0) {
+      throw new AuthError('RS256 no configurado (falta JWT_JWKS_FILE)');
+    }
+    const jwk = header.kid
+      ? config.jwks.find((key) => key.kid === header.kid)
+      : (config.jwks.length === 1 ? config.jwks[0] : null);
+    if (!jwk) {
+      throw new AuthError(`No se encontró la llave "${header.kid}" en el JWKS`);
+    }
+    const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    return crypto.verify('RSA-SHA256', Buffer.from(signingInput), publicKey, signature);
+  }
+
+  throw new AuthError(`Algoritmo de firma no soportado: ${header.alg}`);
+}
+
+/**
+ * Verifica un JWT y devuelve sus claims. Lanza AuthError si no es válido.
+ */
+function verifyJwt(token, config = getConfig()) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new AuthError('Token mal formado');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(parts[0]);
+    claims = decodeSegment(parts[1]);
+  } catch (e) {
+    throw new AuthError('Token mal formado');
+  }
+
+  // "null", un número o un arreglo también son JSON válido
+  if (!isPlainObject(header) || !isPlainObject(claims)) {
+    throw new AuthError('Token mal formado');
+  }
+
+  const signature = Buffer.from(parts[2], 'base64url');
+  if (!verifySignature(header, `${parts[0]}.${parts[1]}`, signature, config)) {
+    throw new AuthError('Firma del token inválida');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof claims.exp !== 'number') {
+    throw new AuthError('El token no tiene fecha de expiración');
+  }
+  if (now > claims.exp + config.clockTolerance) {
+    throw new AuthError('El token ha expirado', { code: 'TOKEN_EXPIRED' });
+  }
+  if (typeof claims.nbf === 'number' && now + config.clockTolerance < claims.nbf) {
+    throw new AuthError('El token aún no es válido');
+  }
+  if (config.issuer && claims.iss !== config.issuer) {
+    throw new AuthError('Emisor del token inválido');
+  }
+  if (config.audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(config.audience)) {
+      throw new AuthError('Audiencia del token inválida');
+    }
+  }
+  if (!claims.sub) {
+    throw new AuthError('El token no tiene sujeto (sub)');
+  }
+
+  return claims;
+}
+
+/**
+ * Extrae el token Bearer de los headers (API Gateway v1 o v2)
+ */
+function getBearerToken(headers = {}) {
+  const name = Object.keys(headers || {}).find((key) => key.toLowerCase() === 'authorization');
+  const value = name ? headers[name] : null;
+  if (!value) return null;
+
+  const match = value.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Autentica el evento. Devuelve { user_id, claims } o lanza AuthError.
+ */
+function authenticate(event) {
+  const token = getBearerToken(event.headers);
+  if (!token) {
+    throw new AuthError('Falta el header Authorization: Bearer <token>', { code: 'MISSING_TOKEN' });
+  }
+
+  const claims = verifyJwt(token);
+  return { user_id: claims.sub, claims };
+}
+
+/**
+ * Indica si el usuario autenticado es administrador (ver el encabezado)
+ */
+function isAdmin(auth) {
+  if (!auth || !auth.claims) return false;
+
+  const { role, app_metadata: appMetadata } = auth.claims;
+  if (role === 'service_role') return true;
+  if (!appMetadata || typeof appMetadata !== 'object') return false;
+
+  const roles = Array.isArray(appMetadata.roles) ? appMetadata.roles : [];
+  return appMetadata.role === 'admin' || roles.includes('admin');
+}
+
+/**
+ * Liga el user_id de los parámetros al sujeto del token.
+ * Si el cliente envía un user_id distinto lanza un AuthError 403; si no lo
+ * envía y el endpoint lo acepta, se completa con el sub del token.
+ */
+function bindUserId(params, auth, schema) {
+  if (params.user_id !== undefined && params.user_id !== null && params.user_id !== '') {
+    if (String(params.user_id).toLowerCase() !== String(auth.user_id).toLowerCase()) {
+      throw new AuthError('El user_id no coincide con el usuario autenticado', { code: 'USER_MISMATCH' });
+    }
+    return params;
+  }
+
+  if (schema && schema.fields.user_id) {
+    return { ...params, user_id: auth.user_id };
+  }
+
+  return params;
+}
+
+/**
+ * Respuesta 401/403 para un AuthError
+ */
+function authErrorResponse(error) {
+  const headers = {};
+
+  if (error.statusCode === 401) {
+    const reason = error.code === 'MISSING_TOKEN' ? 'invalid_request' : 'invalid_token';
+    headers['WWW-Authenticate'] = `Bearer error="${reason}"`;
+  }
+
+  return {
+    statusCode: error.statusCode,
+    headers,
+    body: {
+      error: error.message,
+      code: error.code,
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+module.exports = {
+  AuthError,
+  authenticate,
+  isAdmin,
+  bindUserId,
+  authErrorResponse,
+  verifyJwt,
+  getBearerToken
+};
@@ -0,0 +1,241 @@
+/**
+ * Registro de backends MCP
+ * El bridge habla con varios servidores MCP: cada herramienta se enruta al backend
+ * cuyo "tools" la incluye (nombre exacto o prefijo con "*", gana el más
+ * específico); el resto va al backend por defecto. Cada backend tiene su propia
+ * sesión MCP y su propio circuit breaker (ver mcp_client.js y resilience.js).
+ *
+ * Sin configuración se usan dos backends:
+ * - estudia (default): MCP_SERVER_URL (default: https://estudia-mcp.fastmcp.app)
+ * - fiscai: get_fiscal_advice en FISCAI_MCP_SERVER_URL (default: https://fiscmcp.fastmcp.app)
+ *
+ * Configuración:
+ * - MCP_BACKENDS: JSON con la lista de backends
+ * - MCP_BACKENDS_FILE: archivo JSON con la lista (un array o { backends: [...] })
+ *
+ *   [
+ *     { "name": "estudia", "url": "https://estudia-mcp.fastmcp.app", "default": true,
+ *       "auth": { "type": "bearer", "token_env": "ESTUDIA_MCP_TOKEN" } },
+ *     { "name": "fiscai", "url": "https://fiscmcp.fastmcp.app", "tools": ["get_fiscal_advice", "fiscal_*"],
+ *       "timeout_ms": 15000, "tool_timeouts": { "get_fiscal_advice": 30000 } }
+ *   ]
+ *
+ * Campos de cada backend:
+ * - name / url: identificador y URL base del servidor
+ * - path: endpoint MCP (default: /mcp)
+ * - tools: herramientas que atiende; default: marca el backend por defecto
+ *   (si ninguno la tiene, el primero sin tools)
+ * - auth: { type: "bearer", token_env } o { type: "header", header, value_env }.
+ *   Los secretos se leen de variables de entorno; token / value literales solo
+ *   para desarrollo local.
+ * - timeout_ms / tool_timeouts: timeouts del backend y por herramienta (ver mcp_client.js)
+ */
+
+const fs = require('fs');
+const { createLogger } = require('./logger');
+
+const log = createLogger('mcp');
+
+const DEFAULT_BACKEND_URL = 'https://estudia-mcp.fastmcp.app';
+const FISCAI_BACKEND_URL = 'https://fiscmcp.fastmcp.app';
+const DEFAULT_MCP_PATH = '/mcp';
+const AUTH_TYPES = ['bearer', 'header'];
+
+let registry = null;
+
+// Backends sin credenciales ya advertidos (una advertencia por contenedor)
+const missingCredentials = new Set();
+
+function defaultConfig() {
+  return [
+    {
+      name: 'estudia',
+      url: process.env.MCP_SERVER_URL || DEFAULT_BACKEND_URL,
+      default: true
+    },
+    {
+      name: 'fiscai',
+      url: process.env.FISCAI_MCP_SERVER_URL || FISCAI_BACKEND_URL,
+      tools: ['get_fiscal_advice']
+    }
+  ];
+}
+
+function loadConfig() {
+  if (process.env.MCP_BACKENDS) {
+    return JSON.parse(process.env.MCP_BACKENDS);
+  }
+  if (process.env.MCP_BACKENDS_FILE) {
+    const parsed = JSON.parse(fs.readFileSync(process.env.MCP_BACKENDS_FILE, 'utf8'));
+    return Array.isArray(parsed) ? parsed : parsed.backends;
+  }
+  return defaultConfig();
+}
+
+/**
+ * Valida una entrada de la configuración. Una configuración inválida es un
+ * error de despliegue, así que se lanza en lugar de ignorar el backend.
+ */
+function normalizeBackend(entry, index) {
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`Backend MCP #${index} inválido`);
+  }
+
+  const name = entry.name || `backend-${index}`;
+  if (!entry.url) {
+    throw new Error(`El backend MCP "${name}" no tiene url`);
+  }
+  if (entry.auth && !AUTH_TYPES.includes(entry.auth.type)) {
+    throw new Error(`Tipo de auth no soportado en el backend MCP "${name}": ${entry.auth.type}`);
+  }
+  if (entry.auth && entry.auth.type === 'header' && !entry.auth.header) {
+    throw new Error(`El backend MCP "${name}" usa auth "header" sin nombre de header`);
+  }
+
+  return {
+    name,
+    url: String(entry.url).replace(/\/+$/, ''),
+    path: entry.path || DEFAULT_MCP_PATH,
+    tools: entry.tools || [],
+    isDefault: entry.default === true,
+    auth: entry.auth || null,
+    timeoutMs: entry.timeout_ms,
+    toolTimeouts: entry.tool_timeouts || {}
+  };
+}
+
+function buildRegistry(config) {
+  if (!Array.isArray(config) || config.length === 0) {
+    throw new Error('La configuración de backends MCP debe ser una lista no vacía');
+  }
+
+  const backends = config.map(normalizeBackend);
+
+  const names = new Set();
+  for (const backend of backends) {
+    if (names.has(backend.name)) {
+      throw new Error(`Backend MCP duplicado: ${backend.name}`);
+    }
+    names.add(backend.name);
+  }
+
+  const defaultBackend = backends.find((backend) => backend.isDefault)
+    || backends.find((backend) => backend.tools.length === 0)
+    || backends[0];
+
+  return { backends, defaultBackend };
+}
+
+function getRegistry() {
+  if (!registry) {
+    registry = buildRegistry(loadConfig());
+  }
+  return registry;
+}
+
+/**
+ * Reemplaza la configuración (tests o inicialización personalizada); null
+ * vuelve a leerla del entorno en el siguiente uso
+ */
+function setBackends(config) {
+  registry = config ? buildRegistry(config) : null;
+}
+
+// ========== RESOLUCIÓN ==========
+
+/**
+ * Qué tan específico es un patrón para una herramienta: exacto > prefijo más
+ * largo > "*"; -1 si no aplica
+ */
+function matchScore(pattern, toolName) {
+  if (pattern === toolName) return Infinity;
+  if (pattern.endsWith('*') && toolName.startsWith(pattern.slice(0, -1))) {
+    return pattern.length - 1;
+  }
+  return -1;
+}
+
+/**
+ * Backend que atiende una herramienta
+ */
+function resolveBackend(toolName) {
+  const { backends, defaultBackend } = getRegistry();
+  let best = null;
+  let bestScore = -1;
+
+  for (const backend of backends) {
+    for (const pattern of backend.tools) {
+      const score = matchScore(pattern, toolName);
+      if (score > bestScore) {
+        best = backend;
+        bestScore = score;
+      }
+    }
+  }
+
+  return best || defaultBackend;
+}
+
+function getBackends() {
+  return getRegistry().backends;
+}
+
+function getDefaultBackend() {
+  return getRegistry().defaultBackend;
+}
+
+function getBackend(name) {
+  return getRegistry().backends.find((backend) => backend.name === name) || null;
+}
+
+/**
+ * Headers de autenticación del backend. Si falta la variable con el secreto
+ * se envía sin auth y se advierte una vez.
+ */
+function backendAuthHeaders(backend) {
+  const { auth } = backend;
+  if (!auth) return {};
+
+  const secret = auth.type === 'bearer'
+    ? (auth.token_env ? process.env[auth.token_env] : auth.token)
+    : (auth.value_env ? process.env[auth.value_env] : auth.value);
+
+  if (!secret) {
+    if (!missingCredentials.has(backend.name)) {
+      missingCredentials.add(backend.name);
+      log.warn('Backend sin credenciales configuradas', {
+        backend: backend.name,
+        variable: auth.token_env || auth.value_env || null
+      });
+    }
+    return {};
+  }
+
+  return auth.type === 'bearer'
+    ? { Authorization: `Bearer ${secret}` }
+    : { [auth.header]: secret };
+}
+
+/**
+ * Descripción del backend para /health (sin secretos)
+ */
+function describeBackend(backend) {
+  return {
+    name: backend.name,
+    url: backend.url,
+    default: backend === getDefaultBackend(),
+    tools: backend.tools,
+    auth: backend.auth ? backend.auth.type : null,
+    ...(backend.timeoutMs !== undefined && { timeout_ms: backend.timeoutMs })
+  };
+}
+
+module.exports = {
+  resolveBackend,
+  getBackends,
+  getDefaultBackend,
+  getBackend,
+  backendAuthHeaders,
+  describeBackend,
+  setBackends
+};
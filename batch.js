@@ -0,0 +1,146 @@
+/**
+ * Batch: varias operaciones en una sola petición HTTP
+ * Cada operación pasa por el mismo pipeline que una petición individual
+ * (ruteo, validación, autenticación con el mismo header Authorization,
+ * membresía y rate limiting), así que una falla no afecta a las demás.
+ *
+ * Las operaciones se ejecutan con concurrencia acotada. No se usa el batching
+ * de JSON-RPC: la versión 2025-06-18 del protocolo MCP lo eliminó y además
+ * saltaría la validación y autorización por operación.
+ */
+
+const { validateRequest } = require('./validation');
+const schemas = require('./schemas');
+const { INTERNAL_ERROR_MESSAGE } = require('./errors');
+const { createLogger } = require('./logger');
+
+const log = createLogger('batch');
+
+/**
+ * Ejecuta fn sobre cada item con a lo más `limit` llamadas en paralelo.
+ * Devuelve los resultados en el mismo orden que items.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return results;
+}
+
+/**
+ * Path del endpoint de una operación, o un mensaje de error si está mal formada
+ */
+function resolveOperationPath(operation) {
+  if (operation.endpoint && operation.tool) {
+    return { error: 'Usa "endpoint" o "tool", no ambos' };
+  }
+  if (operation.tool) {
+    if (typeof operation.tool !== 'string') return { error: '"tool" debe ser un string' };
+    return { path: `/tools/${encodeURIComponent(operation.tool)}` };
+  }
+  if (typeof operation.endpoint !== 'string' || !operation.endpoint.startsWith('/')) {
+    return { error: 'Falta "endpoint" (p. ej. "/classroom-info") o "tool"' };
+  }
+  if (operation.endpoint.replace(/\/+$/, '') === '/batch') {
+    return { error: 'No se permite anidar /batch' };
+  }
+  return { path: operation.endpoint };
+}
+
+function operationError(id, message) {
+  return {
+    id,
+    status: 400,
+    success: false,
+    body: {
+      error: message,
+      code: 'INVALID_PARAMS',
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Handler para POST /batch. ctx.dispatch(path, params) ejecuta una operación
+ * con el pipeline completo y devuelve { statusCode, body } (ver index.js).
+ */
+async function handleBatch(params, ctx = {}) {
+  const { value, errorResponse } = validateRequest(schemas.batch, params);
+  if (errorResponse) {
+    return errorResponse;
+  }
+
+  const { operations, concurrency } = value;
+  log.info('Ejecutando batch', { operations: operations.length, concurrency });
+
+  const results = await mapWithConcurrency(operations, concurrency, async (operation, index) => {
+    const id = operation.id !== undefined ? operation.id : index;
+
+    const { path, error } = resolveOperationPath(operation);
+    if (error) {
+      return operationError(id, error);
+    }
+
+    const operationParams = operation.params === undefined ? {} : operation.params;
+    if (!operationParams || typeof operationParams !== 'object' || Array.isArray(operationParams)) {
+      return operationError(id, '"params" debe ser un objeto');
+    }
+
+    try {
+      const response = await ctx.dispatch(path, operationParams);
+      return {
+        id,
+        status: response.statusCode,
+        success: response.statusCode < 400,
+        body: response.body
+      };
+    } catch (dispatchError) {
+      log.error('Error en una operación del batch', { operation_id: id, error: dispatchError });
+      return {
+        id,
+        status: 500,
+        success: false,
+        body: {
+          error: INTERNAL_ERROR_MESSAGE,
+          code: 'INTERNAL_ERROR',
+          timestamp: new Date().toISOString()
+        }
+      };
+    }
+  });
+
+  const failed = results.filter((result) => !result.success).length;
+
+  return {
+    statusCode: 200,
+    body: {
+      success: failed === 0,
+      data: {
+        results,
+        total: results.length,
+        succeeded: results.length - failed,
+        failed
+      },
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+module.exports = {
+  handleBatch,
+  mapWithConcurrency
+};
@@ -0,0 +1,28 @@
+/**
+ * Cliente DynamoDB de los stores compartidos (rate_limit.js, jobs.js, result_cache.js)
+ * Usa el AWS SDK v3 (@aws-sdk/client-dynamodb y @aws-sdk/lib-dynamodb), que ya
+ * viene en el runtime Node.js de Lambda; fuera de Lambda hay que instalarlo
+ * (peerDependencies opcionales en package.json).
+ */
+
+/**
+ * Devuelve { client, GetCommand, PutCommand }. Para inyectar otro cliente (tests),
+ * client debe exponer send(command) como DynamoDBDocumentClient y commands traer
+ * los constructores { GetCommand, PutCommand }.
+ */
+function createDocumentClient({ client, commands } = {}) {
+  if (!client) {
+    const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+    const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+    client = DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+      marshallOptions: { removeUndefinedValues: true }
+    });
+  }
+  const { GetCommand, PutCommand } = commands || require('@aws-sdk/lib-dynamodb');
+
+  return { client, GetCommand, PutCommand };
+}
+
+module.exports = {
+  createDocumentClient
+};
@@ -0,0 +1,182 @@
+/**
+ * Modelo de errores del bridge
+ * Todas las respuestas de error comparten el mismo envelope:
+ *
+ *   { error: 'mensaje legible', code: 'CODIGO', timestamp, details?, hint? }
+ *
+ * Códigos de las llamadas al servidor MCP y su status HTTP:
+ * - INVALID_PARAMS (400): parámetros inválidos (validación local o JSON-RPC -32602)
+ * - TOOL_NOT_FOUND (404): la herramienta no existe en el servidor MCP (-32601)
+ * - CLASSROOM_NOT_FOUND (404): la herramienta reportó que el classroom no existe
+ * - UPSTREAM_TOOL_ERROR (502): la herramienta falló (isError o -32603)
+ * - MCP_BAD_RESPONSE (502): respuesta inesperada del servidor MCP
+ * - MCP_UNAVAILABLE (503): servidor inaccesible o circuit breaker abierto
+ * - MCP_TIMEOUT (504): sin respuesta antes del deadline
+ * - INTERNAL_ERROR (500): error no clasificado del bridge
+ *
+ * Jobs asíncronos (ver jobs.js):
+ * - JOB_NOT_FOUND (404): el job no existe, expiró o es de otro usuario
+ * - JOB_ALREADY_FINISHED (409): el job ya terminó y no se puede cancelar
+ * - JOBS_UNAVAILABLE (503): en Lambda sin un store de jobs compartido
+ *
+ * Ruteo:
+ * - NOT_FOUND (404) / METHOD_NOT_ALLOWED (405): ruta o método desconocido
+ *
+ * Autenticación y autorización (AuthError, ver auth.js y membership.js):
+ * - MISSING_TOKEN / INVALID_TOKEN / TOKEN_EXPIRED (401): token ausente, inválido o expirado
+ * - USER_MISMATCH (403): el user_id no es el del token
+ * - NOT_A_MEMBER / INSUFFICIENT_ROLE (403): membresía o rol insuficiente en el classroom
+ * - ADMIN_REQUIRED (403): la operación global es solo para administradores
+ *
+ * Rate limiting (ver rate_limit.js):
+ * - RATE_LIMITED (429): bucket agotado, reintentar tras Retry-After
+ * - DAILY_QUOTA_EXCEEDED (429): cuota diaria agotada
+ *
+ * INTERNAL_ERROR responde siempre un mensaje genérico; el detalle solo va al log.
+ */
+
+const {
+  McpTimeoutError,
+  CircuitOpenError,
+  isTransientError
+} = require('./resilience');
+const { createLogger } = require('./logger');
+
+const log = createLogger('errors');
+
+const INTERNAL_ERROR_MESSAGE = 'Error interno del servidor';
+
+const ERROR_STATUS = {
+  INVALID_PARAMS: 400,
+  MISSING_TOKEN: 401,
+  INVALID_TOKEN: 401,
+  TOKEN_EXPIRED: 401,
+  USER_MISMATCH: 403,
+  NOT_A_MEMBER: 403,
+  INSUFFICIENT_ROLE: 403,
+  ADMIN_REQUIRED: 403,
+  NOT_FOUND: 404,
+  TOOL_NOT_FOUND: 404,
+  CLASSROOM_NOT_FOUND: 404,
+  JOB_NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  JOB_ALREADY_FINISHED: 409,
+  RATE_LIMITED: 429,
+  DAILY_QUOTA_EXCEEDED: 429,
+  INTERNAL_ERROR: 500,
+  UPSTREAM_TOOL_ERROR: 502,
+  MCP_BAD_RESPONSE: 502,
+  MCP_UNAVAILABLE: 503,
+  JOBS_UNAVAILABLE: 503,
+  MCP_TIMEOUT: 504
+};
+
+// Errores JSON-RPC estándar que devuelve el servidor MCP
+const JSON_RPC_CODES = {
+  '-32601': 'TOOL_NOT_FOUND',
+  '-32602': 'INVALID_PARAMS',
+  '-32603': 'UPSTREAM_TOOL_ERROR'
+};
+
+class BridgeError extends Error {
+  constructor(code, message, { details, retryAfter, cause } = {}) {
+    super(message);
+    this.name = 'BridgeError';
+    this.code = code;
+    this.statusCode = ERROR_STATUS[code] || 500;
+    if (details !== undefined) this.details = details;
+    if (retryAfter !== undefined) this.retryAfter = retryAfter;
+    if (cause) this.cause = cause;
+  }
+}
+
+/**
+ * Error a partir del mensaje de una herramienta que reportó isError.
+ * El servidor no da un código, así que se reconoce el "classroom no encontrado".
+ */
+function toolError(message, toolName) {
+  const details = toolName ? { tool: toolName } : undefined;
+  if (/classroom/i.test(message) && /(no existe|no encontrad|not found|does not exist)/i.test(message)) {
+    return new BridgeError('CLASSROOM_NOT_FOUND', message, { details });
+  }
+  return new BridgeError('UPSTREAM_TOOL_ERROR', message, { details });
+}
+
+/**
+ * Error a partir de un objeto error de JSON-RPC ({ code, message, data })
+ */
+function fromJsonRpcError(rpcError, toolName) {
+  let code = JSON_RPC_CODES[String(rpcError.code)] || 'UPSTREAM_TOOL_ERROR';
+
+  // Según la spec de MCP una herramienta desconocida es -32602 "Unknown tool"
+  if (code === 'INVALID_PARAMS' && /unknown tool|tool .*not found/i.test(rpcError.message || '')) {
+    code = 'TOOL_NOT_FOUND';
+  }
+
+  if (code === 'UPSTREAM_TOOL_ERROR') {
+    return toolError(rpcError.message || 'Error de la herramienta MCP', toolName);
+  }
+
+  return new BridgeError(code, rpcError.message || code, {
+    details: {
+      tool: toolName,
+      jsonrpc_code: rpcError.code,
+      ...(rpcError.data !== undefined && { data: rpcError.data })
+    }
+  });
+}
+
+/**
+ * Clasifica cualquier error de una llamada MCP en un BridgeError
+ */
+function toBridgeError(error, toolName) {
+  if (error instanceof BridgeError) return error;
+
+  if (error instanceof CircuitOpenError) {
+    return new BridgeError('MCP_UNAVAILABLE', error.message, { retryAfter: error.retryAfter, cause: error });
+  }
+
+  if (error instanceof McpTimeoutError) {
+    const tool = toolName ? ` (${toolName})` : '';
+    return new BridgeError('MCP_TIMEOUT', `El servidor MCP no respondió a tiempo${tool}: ${error.message}`, {
+      cause: error
+    });
+  }
+
+  if (isTransientError(error)) {
+    return new BridgeError('MCP_UNAVAILABLE', `Servidor MCP no disponible: ${error.message}`, { cause: error });
+  }
+
+  log.error('Error interno', { error });
+  return new BridgeError('INTERNAL_ERROR', INTERNAL_ERROR_MESSAGE, { cause: error });
+}
+
+/**
+ * Respuesta { statusCode, headers?, body } con el envelope de error.
+ * Acepta un BridgeError o cualquier error (se clasifica con toBridgeError).
+ */
+function errorResponse(error, hint) {
+  const bridgeError = error instanceof BridgeError ? error : toBridgeError(error);
+
+  return {
+    statusCode: bridgeError.statusCode,
+    ...(bridgeError.retryAfter && { headers: { 'Retry-After': String(bridgeError.retryAfter) } }),
+    body: {
+      error: bridgeError.message,
+      code: bridgeError.code,
+      ...(bridgeError.details !== undefined && { details: bridgeError.details }),
+      ...(hint && { hint }),
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+module.exports = {
+  BridgeError,
+  ERROR_STATUS,
+  INTERNAL_ERROR_MESSAGE,
+  toolError,
+  fromJsonRpcError,
+  toBridgeError,
+  errorResponse
+};
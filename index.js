@@ -3,10 +3,54 @@
  * Handler simplificado que solo expone endpoints conectados al servidor MCP
  */
 
-const mcpBridge = require('./mcp_bridge');
+const crypto = require('crypto');
+const { createRouter, normalizePath } = require('./router');
+const { routes, listAvailableEndpoints } = require('./routes');
+const { AuthError, authenticate, isAdmin, bindUserId, authErrorResponse } = require('./auth');
+const { authorizeClassroom } = require('./membership');
+const { checkRateLimit, rateLimitResponse } = require('./rate_limit');
+const { SSE_HEADERS, wantsStream, streamRouteResponse, writeBufferedResponse } = require('./streaming');
+const { wantsAsync, createJob, dispatchJob, isJobEvent, runJob, jobAcceptedResponse } = require('./jobs');
+const { validateRequest, UUID_REGEX } = require('./validation');
+const { BridgeError, INTERNAL_ERROR_MESSAGE, errorResponse } = require('./errors');
+const { createLogger, runWithLogContext, addLogContext, getLogContext } = require('./logger');
+const { emitMetrics, statusClass, payloadBytes, consumeColdStart } = require('./metrics');
+
+const log = createLogger('lambda');
+
+const router = createRouter(routes);
+
+// X-Request-Id aceptado del cliente; otro formato se reemplaza por uno propio
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
 
 // ========== UTILIDADES ==========
 
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Body de la petición como objeto. API Gateway y local_server.js envían en
+ * base64 los content types que no son texto. Lanza INVALID_PARAMS si el body no
+ * es un objeto JSON (sin repetir el mensaje del parser).
+ */
+function parseBody(event) {
+  if (typeof event.body !== 'string') return event.body;
+
+  const raw = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+  let body;
+  try {
+    body = JSON.parse(raw);
+  } catch (error) {
+    throw new BridgeError('INVALID_PARAMS', 'El body no es JSON válido');
+  }
+
+  if (!isPlainObject(body)) {
+    throw new BridgeError('INVALID_PARAMS', 'El body debe ser un objeto JSON');
+  }
+  return body;
+}
+
 function extractParams(event) {
   let params = {};
 
@@ -15,394 +59,558 @@ function extractParams(event) {
   }
   
   if (event.body) {
-    const body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
-    params = { ...params, ...body };
+    params = { ...params, ...parseBody(event) };
   }
   
-  if (!event.queryStringParameters && !event.body && !event.httpMethod) {
+  if (!event.queryStringParameters && !event.body && !getMethod(event)) {
     params = { ...event };
   }
 
   return params;
 }
 
-function createResponse(statusCode, body) {
+/**
+ * La validación acepta UUID en mayúsculas; classroom_id y user_id se pasan a
+ * minúsculas para la membresía, el rate limit y el servidor MCP
+ */
+function normalizeIds(params) {
+  const normalized = { ...params };
+  for (const field of ['classroom_id', 'user_id']) {
+    if (typeof normalized[field] === 'string' && UUID_REGEX.test(normalized[field])) {
+      normalized[field] = normalized[field].toLowerCase();
+    }
+  }
+  if (isPlainObject(normalized.request)) {
+    normalized.request = normalizeIds(normalized.request);
+  }
+  return normalized;
+}
+
+/**
+ * Argumentos que llegan a la herramienta y pueden traer classroom_id o user_id.
+ * En el gateway incluye "request", donde herramientas como
+ * chat_with_classroom_assistant reciben sus argumentos.
+ */
+function argumentScopes(route, params) {
+  return route.gateway && isPlainObject(params.request) ? [params, params.request] : [params];
+}
+
+// Con classroom_id opcional en su schema, la ruta opera sin él sobre datos globales
+function allowsGlobal(route) {
+  const field = route.schema && route.schema.fields.classroom_id;
+  return Boolean(field) && !field.required;
+}
+
+/**
+ * Aplica los roles de policy a cada classroom_id que recibirá la herramienta.
+ * Falla cerrado: sin un classroom_id válido solo sigue si la ruta admite
+ * operaciones globales. Lanza AuthError (403) o BridgeError (400) y devuelve
+ * { classroomId } o { response } con la validación del schema de la ruta.
+ */
+async function authorizeClassroomScope(route, policy, params, auth) {
+  const classroomIds = [...new Set(argumentScopes(route, params)
+    .map((scope) => scope.classroom_id)
+    .filter((id) => id !== undefined && id !== null && id !== ''))];
+  const valid = classroomIds.every((id) => typeof id === 'string' && UUID_REGEX.test(id));
+
+  if (!valid || (classroomIds.length === 0 && !allowsGlobal(policy))) {
+    if (route.schema) {
+      const { errorResponse: invalid } = validateRequest(route.schema, params);
+      if (invalid) return { response: invalid };
+    }
+    throw new BridgeError('INVALID_PARAMS', valid
+      ? 'Falta "classroom_id": la operación se autoriza por classroom'
+      : '"classroom_id" debe ser un UUID');
+  }
+
+  for (const classroomId of classroomIds) {
+    const role = await authorizeClassroom(auth, { classroom_id: classroomId }, policy.roles);
+    log.info('Rol en classroom', { classroom_id: classroomId, role });
+  }
+
+  return { classroomId: classroomIds[0] || null };
+}
+
+function buildHeaders(extraHeaders = {}) {
+  return {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Request-Id',
+    'Access-Control-Expose-Headers': 'X-Request-Id, Location, Retry-After, X-Cache, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-RateLimit-Daily-Limit, X-RateLimit-Daily-Remaining',
+    ...extraHeaders
+  };
+}
+
+function createResponse(statusCode, body, extraHeaders = {}) {
   return {
     statusCode,
-    headers: {
-      'Content-Type': 'application/json',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
-    },
-    body: JSON.stringify(body)
+    headers: buildHeaders(extraHeaders),
+    body: typeof body === 'string' ? body : JSON.stringify(body)
   };
 }
 
-function getEndpoint(event) {
+function getMethod(event) {
+  return event.httpMethod || event.requestContext?.http?.method || null;
+}
+
+function getPath(event) {
   // Extraer path de diferentes formatos de API Gateway
-  let path = event.path || event.rawPath || event.requestContext?.resourcePath || '';
-  
-  // Normalizar path (remover trailing slash)
-  path = path.replace(/\/$/, '');
-  
-  console.log(`[ROUTER] Path: ${path}`);
-  
-  // Mapeo de endpoints
-  if (path.includes('/fiscal-advice') || path.includes('/fiscaladvice')) return 'fiscal-advice';
-  if (path.includes('/generate-embedding') || path.includes('/embedding')) return 'generate-embedding';
-  if (path.includes('/store-document-chunks') || path.includes('/store-chunks')) return 'store-document-chunks';
-  if (path.includes('/search-chunks') || path.includes('/chunks')) return 'search-chunks';
-  if (path.includes('/chat-classroom') || path.includes('/chat-classroom')) return 'chat-classroom';
-  if (path.includes('/classroom-info') || path.includes('/classroom')) return 'classroom-info';
-  if (path.includes('/create-embedding')) return 'create-embedding';
-  if (path.includes('/professor-assistant') || path.includes('/professor')) return 'professor-assistant';
-  if (path.includes('/generate-resources') || path.includes('/resources')) return 'generate-resources';
-  if (path.includes('/analyze-user-context') || path.includes('/analyze-context')) return 'analyze-user-context';
-  if (path.includes('/generate-flashcards') || path.includes('/flashcards')) return 'generate-flashcards';
-  
-  // Health check
-  if (path.includes('/health')) return 'health';
-  
-  // Root o info
-  if (path === '/' || path === '' || path === '/info') return 'info';
-  
-  return 'unknown';
+  const path = event.path || event.rawPath || event.requestContext?.resourcePath || '';
+  return normalizePath(path, event.requestContext?.stage);
 }
 
-// ========== HANDLER PRINCIPAL ==========
+// Margen para responder y cancelar en el servidor MCP antes de que Lambda corte la invocación
+const DEADLINE_MARGIN_MS = parseInt(process.env.MCP_DEADLINE_MARGIN_MS || '1500', 10);
 
-exports.handler = async (event, context) => {
-  console.log('Event:', JSON.stringify(event, null, 2));
-  
-  // Manejar OPTIONS (CORS preflight)
-  if (event.httpMethod === 'OPTIONS' || event.requestContext?.http?.method === 'OPTIONS') {
-    return createResponse(200, { message: 'OK' });
+function findHeader(event, name) {
+  const headers = (event && event.headers) || {};
+  const key = Object.keys(headers).find((header) => header.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+/**
+ * Id de correlación de la petición: el X-Request-Id del cliente si es válido;
+ * si no, el del job (invocación asíncrona), el request id de API Gateway, el de
+ * Lambda o, fuera de AWS, un UUID nuevo
+ */
+function resolveRequestId(event, context) {
+  const header = findHeader(event, 'x-request-id');
+  if (header && REQUEST_ID_PATTERN.test(header)) return header;
+  if (header) log.warn('X-Request-Id inválido, se genera uno nuevo', { received: header });
+
+  return (isJobEvent(event) && event.request_id)
+    || event?.requestContext?.requestId
+    || context?.awsRequestId
+    || crypto.randomUUID();
+}
+
+/**
+ * Contexto que reciben los handlers:
+ * - requestId: id de correlación (X-Request-Id), se reenvía al servidor MCP
+ * - deadline (epoch en ms) a partir del tiempo restante de la invocación;
+ *   fuera de Lambda no hay deadline
+ * - dispatch(path, params): ejecuta otra ruta con el pipeline completo (usado por /batch)
+ */
+function createHandlerContext(event, context, requestId) {
+  const ctx = { requestId };
+
+  if (context && typeof context.getRemainingTimeInMillis === 'function') {
+    ctx.deadline = Date.now() + context.getRemainingTimeInMillis() - DEADLINE_MARGIN_MS;
   }
 
-  try {
-    const endpoint = getEndpoint(event);
-    console.log(`[ROUTER] Endpoint detectado: ${endpoint}`);
-    
-    const params = extractParams(event);
-
-    // Enrutamiento
-    switch (endpoint) {
-    
-      
-      // ========== ENDPOINTS MCP ==========
-      
-      case 'fiscal-advice': {
-        console.log('[MCP] Llamando get_fiscal_advice...');
-        const result = await mcpBridge.handleMcpFiscalAdvice(params);
-        return createResponse(result.statusCode, result.body);
-      }
+  // Cada operación tiene su propio contexto de log (route, user_id) heredado de la petición
+  ctx.dispatch = (path, params) => runWithLogContext(
+    { operation_path: path },
+    () => executeRequest(buildOperationEvent(event, path, params), ctx)
+  );
+  return ctx;
+}
 
-      case 'generate-embedding': {
-        console.log('[MCP] Llamando generate_embedding...');
-        const result = await mcpBridge.handleMcpGenerateEmbedding(params);
-        return createResponse(result.statusCode, result.body);
-      }
+function internalErrorResponse(error, requestId) {
+  log.error('Error no controlado', { error });
 
-      case 'store-document-chunks': {
-        console.log('[MCP] Llamando store_document_chunks...');
-        const result = await mcpBridge.handleMcpStoreDocumentChunk(params);
-        return createResponse(result.statusCode, result.body);
-      }
+  return createResponse(500, {
+    error: INTERNAL_ERROR_MESSAGE,
+    code: 'INTERNAL_ERROR',
+    request_id: requestId,
+    stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
+    timestamp: new Date().toISOString()
+  }, { 'X-Request-Id': requestId });
+}
 
-      case 'search-chunks': {
-        console.log('[MCP] Llamando search_similar_chunks...');
-        const result = await mcpBridge.handleMcpSearchSimilarChunks(params);
-        return createResponse(result.statusCode, result.body);
-      }
+/**
+ * Agrega el id de correlación a los bodies de error y el header X-Request-Id
+ */
+function withRequestId(result, requestId) {
+  const isErrorBody = result.statusCode >= 400 && result.body && typeof result.body === 'object';
 
-      case 'chat-classroom': {
-        console.log('[MCP] Llamando chat_with_classroom_assistant...');
-        const result = await mcpBridge.handleMcpChatWithClassroom(params);
-        return createResponse(result.statusCode, result.body);
-      }
+  return {
+    ...result,
+    body: isErrorBody ? { ...result.body, request_id: requestId } : result.body,
+    headers: { ...result.headers, 'X-Request-Id': requestId }
+  };
+}
 
-      case 'classroom-info': {
-        console.log('[MCP] Llamando get_classroom_info...');
-        const result = await mcpBridge.handleMcpGetClassroomInfo(params);
-        return createResponse(result.statusCode, result.body);
-      }
+// ========== PIPELINE ==========
 
-      case 'create-embedding': {
-        console.log('[MCP] Llamando create_embedding...');
-        const result = await mcpBridge.handleMcpCreateEmbedding(params);
-        return createResponse(result.statusCode, result.body);
-      }
+/**
+ * Resuelve la ruta y aplica autenticación, membresía y rate limiting.
+ * Devuelve { response } ({ statusCode, body, headers? }) si la petición termina
+ * aquí (404, 405, 401, 403, 429) o { route, params, auth, headers } para
+ * ejecutar el handler de la ruta.
+ */
+async function prepareRequest(event) {
+  const method = getMethod(event);
+  const path = getPath(event);
+  log.info('Petición recibida', { method: method || 'INVOKE', path });
+
+  const match = router.match(method, path);
 
-      case 'professor-assistant': {
-        console.log('[MCP] Llamando professor_assistant...');
-        const result = await mcpBridge.handleMcpProfessorAssistant(params);
-        return createResponse(result.statusCode, result.body);
+  // ========== 404 ==========
+
+  if (!match) {
+    return {
+      response: {
+        statusCode: 404,
+        body: {
+          error: 'Endpoint no encontrado',
+          code: 'NOT_FOUND',
+          path: event.path || event.rawPath || 'N/A',
+          method: method || 'N/A',
+          available_endpoints: listAvailableEndpoints(),
+          tip: 'Accede a / o /info para ver la documentación completa',
+          timestamp: new Date().toISOString()
+        }
       }
+    };
+  }
 
-      case 'generate-resources': {
-        console.log('[MCP] Llamando generate_resources...');
-        const result = await mcpBridge.handleMcpGenerateResources(params);
-        return createResponse(result.statusCode, result.body);
+  // ========== 405 ==========
+
+  if (match.allow) {
+    return {
+      response: {
+        statusCode: 405,
+        headers: { 'Allow': match.allow.join(', ') },
+        body: {
+          error: `Método ${method} no permitido para ${path}`,
+          code: 'METHOD_NOT_ALLOWED',
+          path,
+          method,
+          allowed_methods: match.allow,
+          timestamp: new Date().toISOString()
+        }
       }
+    };
+  }
 
-      case 'analyze-user-context': {
-        console.log('[MCP] Llamando analyze_and_update_user_context...');
-        const result = await mcpBridge.handleMcpAnalyzeUserContext(params);
-        return createResponse(result.statusCode, result.body);
+  const { route, pathParams } = match;
+  addLogContext({ route: route.name });
+
+  let params;
+  try {
+    params = normalizeIds({ ...extractParams(event), ...pathParams });
+  } catch (error) {
+    if (!(error instanceof BridgeError)) throw error;
+
+    log.warn('Body inválido', { reason: error.message });
+    return { response: errorResponse(error) };
+  }
+
+  // El gateway genérico aplica los roles y el rate limit del endpoint dedicado de la
+  // herramienta; policyFor permite que el body cambie la política (p. ej. lotes)
+  const policy = (route.gateway && routes.find((candidate) => candidate.tool === params.tool))
+    || (route.policyFor && route.policyFor(params))
+    || route;
+
+  // ========== AUTENTICACIÓN ==========
+
+  let auth = null;
+  let classroomId = params.classroom_id;
+
+  if (route.auth || policy.auth) {
+    try {
+      auth = authenticate(event);
+      params = bindUserId(params, auth, route.schema);
+      if (route.gateway && isPlainObject(params.request)) {
+        params = { ...params, request: bindUserId(params.request, auth) };
       }
+      addLogContext({ user_id: auth.user_id });
 
-      case 'generate-flashcards': {
-        console.log('[MCP] Llamando generate_flashcards...');
-        const result = await mcpBridge.handleMcpGenerateFlashcards(params);
-        return createResponse(result.statusCode, result.body);
+      if (policy.roles) {
+        const authorized = await authorizeClassroomScope(route, policy, params, auth);
+        if (authorized.response) {
+          return { response: authorized.response };
+        }
+        classroomId = authorized.classroomId;
       }
-      
-      // ========== HEALTH CHECK ==========
-      
-      case 'health': {
-        return createResponse(200, {
-          status: 'healthy',
-          service: 'FiscAI Lambda MCP Bridge',
-          version: '2.0.0',
-          mcp_server: process.env.MCP_SERVER_URL || 'https://fiscmcp.fastmcp.app',
-          timestamp: new Date().toISOString()
-        });
+
+      // Sin classroom_id la operación es sobre la base de conocimiento global
+      if (policy.adminForGlobal && !classroomId && !isAdmin(auth)) {
+        throw new AuthError('Solo los administradores pueden operar sobre documentos globales', { code: 'ADMIN_REQUIRED' });
       }
-      
-      // ========== INFO / ROOT ==========
-      
-      case 'info': {
-        return createResponse(200, {
-          service: 'EstudIA Lambda - MCP Bridge',
-          version: '3.0.0',
-          description: 'Bridge HTTP para conectar apps con servidor MCP de EstudIA (Sistema de gestión educativa tipo NotebookLM)',
-          mcp_server: process.env.MCP_SERVER_URL || 'https://estudia-mcp.fastmcp.app',
-          endpoints: {
-            health: '/health',
-            // Embeddings
-            generateEmbedding: '/generate-embedding',
-            createEmbedding: '/create-embedding',
-            // Documentos y Chunks
-            storeDocumentChunks: '/store-document-chunks',
-            searchChunks: '/search-chunks',
-            // Asistentes
-            chatClassroom: '/chat-classroom',
-            professorAssistant: '/professor-assistant',
-            // Classroom
-            classroomInfo: '/classroom-info',
-            generateResources: '/generate-resources',
-            generateFlashcards: '/generate-flashcards',
-            // Contexto de Usuario
-            analyzeUserContext: '/analyze-user-context',
-            // Legacy (FiscAI)
-            fiscalAdvice: '/fiscal-advice',
-          },
-          usage: {
-            generateEmbedding: {
-              method: 'POST',
-              path: '/generate-embedding',
-              body: {
-                text: 'string (required)'
-              }
-            },
-            createEmbedding: {
-              method: 'POST',
-              path: '/create-embedding',
-              body: {
-                text: 'string (required)',
-                classroom_id: 'string (required, UUID del classroom)'
-              }
-            },
-            storeDocumentChunks: {
-              method: 'POST',
-              path: '/store-document-chunks',
-              description: 'Procesa y almacena chunks AUTOMÁTICAMENTE - solo pasa el ID del documento',
-              body: {
-                classroom_document_id: 'string (required, UUID del documento)',
-                chunk_size: 'number (optional, tamaño de cada chunk en caracteres, default: 1000)',
-                chunk_overlap: 'number (optional, overlap entre chunks, default: 100)'
-              },
-              note: 'Este endpoint lee el documento, aplica OCR si es imagen, divide en chunks y almacena todo automáticamente'
-            },
-            searchChunks: {
-              method: 'POST',
-              path: '/search-chunks',
-              body: {
-                query_text: 'string (required)',
-                classroom_id: 'string (required, UUID del classroom)',
-                limit: 'number (optional, default: 5)',
-                threshold: 'number (optional, 0-1, default: 0.6)'
-              }
-            },
-            chatClassroom: {
-              method: 'POST',
-              path: '/chat-classroom',
-              body: {
-                message: 'string (required, mensaje del usuario)',
-                classroom_id: 'string (required, UUID del classroom)',
-                user_id: 'string (optional, UUID del usuario)',
-                session_id: 'string (optional, ID de sesión)'
-              }
-            },
-            classroomInfo: {
-              method: 'GET/POST',
-              path: '/classroom-info',
-              body: {
-                classroom_id: 'string (required, UUID del classroom)'
-              }
-            },
-            professorAssistant: {
-              method: 'POST',
-              path: '/professor-assistant',
-              body: {
-                question: 'string (required, pregunta del estudiante)',
-                classroom_id: 'string (required, UUID del classroom)'
-              }
-            },
-            generateResources: {
-              method: 'POST',
-              path: '/generate-resources',
-              body: {
-                classroom_id: 'string (required, UUID del classroom)',
-                resource_type: 'string (required, "pdf" o "ppt")',
-                user_id: 'string (required, UUID del usuario)',
-                topic: 'string (optional, tema específico del recurso)',
-                source_document_ids: 'array (optional, UUIDs de documentos específicos)'
-              }
-            },
-            generateFlashcards: {
-              method: 'POST',
-              path: '/generate-flashcards',
-              description: 'Genera tarjetas de estudio (flashcards) a partir de documentos del classroom',
-              body: {
-                classroom_id: 'string (required, UUID del classroom)',
-                max_flashcards: 'number (optional, máximo de tarjetas a generar, default: 20, max: 50)',
-                difficulty_level: 'string (optional, "easy", "medium", "hard", "mixed", default: mixed)'
-              },
-              note: 'Las flashcards incluyen preguntas, respuestas, conceptos clave y términos del contenido'
-            },
-            analyzeUserContext: {
-              method: 'POST',
-              path: '/analyze-user-context',
-              body: {
-                user_id: 'string (required, UUID del usuario)',
-                session_id: 'string (required, UUID de la sesión del cubículo)'
-              }
-            },
-            fiscalAdvice: {
-              method: 'POST',
-              path: '/fiscal-advice',
-              body: {
-                actividad: 'string (required)',
-                ingresos_anuales: 'number (optional)',
-                estado: 'string (optional)',
-                regimen_actual: 'string (optional)',
-                tiene_rfc: 'boolean (optional)',
-                contexto_adicional: 'string (optional)'
-              }
-            },
-          },
-          examples: {
-            chatClassroom: `
-            curl -X POST https://your-api-url.com/chat-classroom \\
-              -H "Content-Type: application/json" \\
-              -d '{
-                "message": "¿Cuáles son los conceptos clave de la clase?",
-                "classroom_id": "550e8400-e29b-41d4-a716-446655440000"
-              }'
-            `.trim(),
-            professorAssistant: `
-            curl -X POST https://your-api-url.com/professor-assistant \\
-              -H "Content-Type: application/json" \\
-              -d '{
-                "question": "¿Puedes explicar el concepto de embeddings?",
-                "classroom_id": "550e8400-e29b-41d4-a716-446655440000"
-              }'
-            `.trim(),
-            storeChunk: `
-            # PROCESAMIENTO AUTOMÁTICO - Solo pasa el ID del documento
-            curl -X POST https://your-api-url.com/store-document-chunks \\
-              -H "Content-Type: application/json" \\
-              -d '{
-                "classroom_document_id": "doc-uuid-123",
-                "chunk_size": 1000,
-                "chunk_overlap": 100
-              }'
-            
-            # El servidor automáticamente:
-            # 1. Lee el documento de Storage
-            # 2. Aplica OCR si es imagen
-            # 3. Divide en chunks con overlap
-            # 4. Genera embeddings
-            # 5. Almacena todos los chunks
-            `.trim(),
-            searchChunks: `
-            curl -X POST https://your-api-url.com/search-chunks \\
-              -H "Content-Type: application/json" \\
-              -d '{
-                "query_text": "embeddings vectores",
-                "classroom_id": "550e8400-e29b-41d4-a716-446655440000",
-                "limit": 5
-              }'
-            `.trim(),
-            analyzeUserContext: `
-            curl -X POST https://your-api-url.com/analyze-user-context \\
-              -H "Content-Type: application/json" \\
-              -d '{
-                "user_id": "user-uuid-123",
-                "session_id": "session-uuid-456"
-              }'
-            `.trim(),
-            generateFlashcards: `
-            curl -X POST https://your-api-url.com/generate-flashcards \\
-              -H "Content-Type: application/json" \\
-              -d '{
-                "classroom_id": "550e8400-e29b-41d4-a716-446655440000",
-                "max_flashcards": 20,
-                "difficulty_level": "mixed"
-              }'
-            `.trim()
-          },
-          timestamp: new Date().toISOString()
-        });
-      }
-      
-      // ========== 404 ==========
-      
-      default: {
-        return createResponse(404, {
-          error: 'Endpoint no encontrado',
-          endpoint_requested: endpoint,
-          path: event.path || event.rawPath || 'N/A',
-          method: event.httpMethod || event.requestContext?.http?.method || 'N/A',
-          available_endpoints: [
-            '/health',
-            '/generate-embedding',
-            '/create-embedding',
-            '/store-document-chunks',
-            '/search-chunks',
-            '/chat-classroom',
-            '/classroom-info',
-            '/professor-assistant',
-            '/generate-resources',
-            '/generate-flashcards',
-            '/analyze-user-context',
-            '/fiscal-advice (legacy)',
-          ],
-          tip: 'Accede a / o /info para ver la documentación completa',
-          timestamp: new Date().toISOString()
-        });
+    } catch (error) {
+      if (error instanceof BridgeError) {
+        log.warn('Parámetros rechazados', { reason: error.message });
+        return { response: errorResponse(error) };
       }
+      if (!(error instanceof AuthError)) throw error;
+
+      log.warn('Acceso rechazado', { code: error.code, reason: error.message });
+      return { response: authErrorResponse(error) };
     }
+  }
 
-  } catch (error) {
-    console.error('[ERROR]', error);
-    
-    return createResponse(500, {
-      error: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
-      timestamp: new Date().toISOString()
+  // ========== RATE LIMITING ==========
+
+  let headers = {};
+
+  if (policy.rateLimit) {
+    const limit = await checkRateLimit(policy, {
+      user_id: auth && auth.user_id,
+      classroom_id: classroomId
+    });
+
+    if (!limit.allowed) {
+      log.warn('Rate limit excedido', {
+        endpoint: policy.name,
+        scope: limit.scope,
+        reason: limit.reason,
+        retry_after: limit.retryAfter
+      });
+      return { response: rateLimitResponse(limit) };
+    }
+
+    headers = limit.headers;
+  }
+
+  return { route, params, auth, headers };
+}
+
+/**
+ * Modo asíncrono: valida los parámetros, guarda el job y lo despacha (202)
+ */
+async function startJob({ route, params, auth }, ctx) {
+  const jobParams = { ...params };
+  delete jobParams.async;
+
+  if (route.schema) {
+    const { errorResponse } = validateRequest(route.schema, jobParams);
+    if (errorResponse) {
+      return errorResponse;
+    }
+  }
+
+  let job;
+  try {
+    job = await createJob({
+      route,
+      params: jobParams,
+      userId: auth && auth.user_id,
+      requestId: ctx.requestId
     });
+  } catch (error) {
+    if (!(error instanceof BridgeError)) throw error;
+    return errorResponse(error);
+  }
+  await dispatchJob(job, (jobId) => runWithLogContext({ job_id: jobId }, () => (
+    runJob(jobId, router.getRoute, { requestId: ctx.requestId })
+  )));
+  return jobAcceptedResponse(job);
+}
+
+/**
+ * Ejecuta el handler de una petición ya preparada; agrega los headers del rate limit.
+ * Las rutas con async admiten ?async=true y responden 202 con un job.
+ */
+async function runHandler(prepared, ctx) {
+  const { route, params, headers } = prepared;
+  const result = route.async && wantsAsync(params)
+    ? await startJob(prepared, ctx)
+    : await route.handler(params, ctx);
+  return {
+    statusCode: result.statusCode,
+    body: result.body,
+    headers: { ...headers, ...result.headers }
+  };
+}
+
+/**
+ * Pipeline completo de una petición. Devuelve { statusCode, body, headers }
+ * con el body sin serializar; los errores llevan request_id.
+ */
+async function executeRequest(event, ctx) {
+  const startedAt = Date.now();
+  const prepared = await prepareRequest(event);
+  const result = prepared.response || await runHandler(prepared, ctx);
+  log.info('Respuesta', { status: result.statusCode, duration_ms: Date.now() - startedAt });
+  return withRequestId(result, ctx.requestId);
+}
+
+/**
+ * Evento sintético para una operación de /batch: mismo header Authorization
+ * que la petición original; GET solo si la ruta no acepta POST.
+ */
+function buildOperationEvent(parentEvent, path, params) {
+  const match = router.match(null, normalizePath(path));
+  const methods = match && match.route ? match.route.methods : ['POST'];
+  const method = methods.includes('POST') ? 'POST' : methods[0];
+
+  return {
+    httpMethod: method,
+    path,
+    headers: parentEvent.headers || {},
+    ...(method === 'GET' ? { queryStringParameters: params } : { body: params })
+  };
+}
+
+// ========== HANDLER PRINCIPAL ==========
+
+/**
+ * Campos de log de la invocación: el id de correlación y, si difiere, el request id de Lambda
+ */
+function invocationLogFields(event, context, requestId) {
+  return {
+    request_id: requestId,
+    ...(context && context.awsRequestId && context.awsRequestId !== requestId && {
+      aws_request_id: context.awsRequestId
+    }),
+    ...(isJobEvent(event) && { job_id: event.job_id })
+  };
+}
+
+/**
+ * Evento para el log de debug: el body se parsea para que la redacción
+ * alcance sus campos (message, tokens, ...)
+ */
+function logEvent(event) {
+  let body = event && event.body;
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(event.isBase64Encoded ? Buffer.from(body, 'base64').toString('utf8') : body);
+    } catch (error) {
+      // body que no es JSON: se loguea truncado tal cual
+    }
+  }
+  log.debug('Evento recibido', { event: { ...event, body } });
+}
+
+/**
+ * Invocación asíncrona de un job (ver jobs.js)
+ */
+async function runJobEvent(event, context, requestId) {
+  await runJob(event.job_id, router.getRoute, createHandlerContext(event, context, requestId));
+  return { statusCode: 200, body: JSON.stringify({ job_id: event.job_id }) };
+}
+
+async function handleEvent(event, context, requestId) {
+  logEvent(event);
+
+  if (isJobEvent(event)) {
+    return runJobEvent(event, context, requestId);
+  }
+  
+  // Manejar OPTIONS (CORS preflight)
+  if (event.httpMethod === 'OPTIONS' || event.requestContext?.http?.method === 'OPTIONS') {
+    return createResponse(200, { message: 'OK' }, { 'X-Request-Id': requestId });
   }
+
+  try {
+    const result = await executeRequest(event, createHandlerContext(event, context, requestId));
+    return createResponse(result.statusCode, result.body, result.headers);
+
+  } catch (error) {
+    return internalErrorResponse(error, requestId);
+  }
+}
+
+/**
+ * Métricas EMF de una petición HTTP (ver metrics.js). Las invocaciones de jobs y
+ * los preflight OPTIONS no se cuentan; las llamadas MCP de un job sí emiten sus
+ * métricas por herramienta.
+ */
+function recordRequestMetrics(event, { statusCode, startedAt, coldStart, requestId, responseBody }) {
+  if (isJobEvent(event) || getMethod(event) === 'OPTIONS') return;
+
+  emitMetrics({
+    dimensions: {
+      Endpoint: getLogContext().route || 'unmatched',
+      StatusClass: statusClass(statusCode)
+    },
+    metrics: {
+      Latency: { value: Date.now() - startedAt, unit: 'ms' },
+      Requests: { value: 1, unit: 'count' },
+      Errors: { value: statusCode >= 500 ? 1 : 0, unit: 'count' },
+      ColdStart: { value: coldStart ? 1 : 0, unit: 'count' },
+      RequestBytes: { value: payloadBytes(event.body), unit: 'bytes' },
+      ResponseBytes: { value: payloadBytes(responseBody), unit: 'bytes' }
+    },
+    properties: { request_id: requestId, status: statusCode }
+  });
+}
+
+exports.handler = (event, context) => {
+  const startedAt = Date.now();
+  const coldStart = consumeColdStart();
+  const requestId = resolveRequestId(event, context);
+
+  return runWithLogContext(invocationLogFields(event, context, requestId), async () => {
+    const response = await handleEvent(event, context, requestId);
+    recordRequestMetrics(event, {
+      statusCode: response.statusCode,
+      startedAt,
+      coldStart,
+      requestId,
+      responseBody: response.body
+    });
+    return response;
+  });
 };
+
+// ========== HANDLER CON STREAMING ==========
+
+async function processStreamingRequest(event, responseStream, context, requestId) {
+  logEvent(event);
+
+  let response;
+
+  if (isJobEvent(event)) {
+    response = await runJobEvent(event, context, requestId);
+  } else if (getMethod(event) === 'OPTIONS') {
+    response = createResponse(200, { message: 'OK' }, { 'X-Request-Id': requestId });
+  } else {
+    try {
+      const prepared = await prepareRequest(event);
+      const ctx = createHandlerContext(event, context, requestId);
+
+      if (!prepared.response && prepared.route.streaming && wantsStream(event, prepared.params)) {
+        await streamRouteResponse(prepared, responseStream, buildHeaders({
+          ...prepared.headers,
+          ...SSE_HEADERS,
+          'X-Request-Id': requestId
+        }), ctx);
+        return { statusCode: 200 };
+      }
+
+      const result = withRequestId(prepared.response || await runHandler(prepared, ctx), requestId);
+      response = createResponse(result.statusCode, result.body, result.headers);
+    } catch (error) {
+      response = internalErrorResponse(error, requestId);
+    }
+  }
+
+  writeBufferedResponse(responseStream, response);
+  return response;
+}
+
+/**
+ * Handler para Lambda response streaming (Function URL con InvokeMode RESPONSE_STREAM).
+ * Las rutas con streaming (chat-classroom, professor-assistant) responden como SSE
+ * cuando el cliente envía "Accept: text/event-stream" o stream=true; el resto de
+ * peticiones se responden igual que en exports.handler.
+ */
+function handleStreamingRequest(event, responseStream, context) {
+  const startedAt = Date.now();
+  const coldStart = consumeColdStart();
+  const requestId = resolveRequestId(event, context);
+
+  return runWithLogContext(invocationLogFields(event, context, requestId), async () => {
+    // En modo SSE no hay body que medir: ResponseBytes queda en 0
+    const response = await processStreamingRequest(event, responseStream, context, requestId);
+    recordRequestMetrics(event, {
+      statusCode: response.statusCode,
+      startedAt,
+      coldStart,
+      requestId,
+      responseBody: response.body
+    });
+  });
+}
+
+exports.handleStreamingRequest = handleStreamingRequest;
+
+// awslambda solo existe dentro del runtime de Lambda
+if (typeof awslambda !== 'undefined' && awslambda.streamifyResponse) {
+  exports.streamHandler = awslambda.streamifyResponse(handleStreamingRequest);
+}
@@ -0,0 +1,465 @@
+/**
+ * Jobs asíncronos para endpoints lentos (procesamiento de documentos y generación)
+ * Con ?async=true la petición se valida y autoriza como siempre, se guarda un job
+ * y se responde 202 de inmediato. El job se ejecuta:
+ * - en Lambda: invocándose a sí mismo de forma asíncrona (InvocationType "Event")
+ *   con el evento { source: 'estudia.job', job_id, request_id }; el job conserva
+ *   el X-Request-Id de la petición que lo creó
+ * - fuera de Lambda (local / tests): en el mismo proceso, después de responder
+ *
+ * Estados: queued -> running -> succeeded | failed, o cancelled con DELETE /jobs/{id}.
+ * Cancelar un job en ejecución descarta su resultado; la llamada MCP en curso no se
+ * interrumpe.
+ *
+ * Configuración:
+ * - JOB_STORE: "memory" (default fuera de Lambda), "file" o "dynamodb". En Lambda
+ *   el job corre en otra invocación, casi siempre en otro contenedor, así que se
+ *   exige "dynamodb" o "file" con JOB_STORE_FILE en almacenamiento compartido
+ *   (EFS); si no, los jobs responden 503 JOBS_UNAVAILABLE
+ * - JOB_STORE_FILE: archivo JSON del store "file" (default: /tmp/estudia-jobs.json)
+ * - JOB_TABLE: tabla DynamoDB (llave de partición "job_id", TTL en "expires_at")
+ * - JOB_TTL_SECONDS: tiempo que se conserva un job (default: 86400)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { BridgeError, errorResponse } = require('./errors');
+const { validateRequest } = require('./validation');
+const schemas = require('./schemas');
+const { createLogger, addLogContext } = require('./logger');
+const { createDocumentClient } = require('./dynamodb');
+
+const log = createLogger('jobs');
+
+const JOB_EVENT_SOURCE = 'estudia.job';
+const FINAL_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+function jobTtlSeconds() {
+  return parseInt(process.env.JOB_TTL_SECONDS, 10) || 86400;
+}
+
+function isExpired(job) {
+  return job.expires_at && job.expires_at <= Date.now() / 1000;
+}
+
+// ========== STORES ==========
+
+// Cada store expone get(id) y put(job, { expectedStatus }). Con expectedStatus la
+// escritura es condicional: devuelve false si el job guardado ya no está en ese estado.
+
+/**
+ * Store en memoria. Solo sirve fuera de Lambda: la invocación que ejecuta el
+ * job no comparte memoria con la que lo creó.
+ */
+function createMemoryJobStore() {
+  const jobs = new Map();
+
+  return {
+    async get(id) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      if (isExpired(job)) {
+        jobs.delete(id);
+        return null;
+      }
+      return { ...job };
+    },
+
+    async put(job, { expectedStatus } = {}) {
+      const current = jobs.get(job.id);
+      if (expectedStatus && (!current || current.status !== expectedStatus)) return false;
+      jobs.set(job.id, { ...job });
+      return true;
+    }
+  };
+}
+
+/**
+ * Store en un archivo JSON ({ [id]: job }), útil para pruebas locales con
+ * varios procesos
+ */
+function createFileJobStore(filePath = process.env.JOB_STORE_FILE || '/tmp/estudia-jobs.json') {
+  function readAll() {
+    if (!fs.existsSync(filePath)) return {};
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  return {
+    async get(id) {
+      const job = readAll()[id];
+      return job && !isExpired(job) ? job : null;
+    },
+
+    async put(job, { expectedStatus } = {}) {
+      const jobs = readAll();
+      const current = jobs[job.id];
+      if (expectedStatus && (!current || current.status !== expectedStatus)) return false;
+      for (const [id, stored] of Object.entries(jobs)) {
+        if (isExpired(stored)) delete jobs[id];
+      }
+      jobs[job.id] = job;
+      fs.writeFileSync(filePath, JSON.stringify(jobs, null, 2));
+      return true;
+    }
+  };
+}
+
+/**
+ * Store en DynamoDB. client y commands: ver createDocumentClient en dynamodb.js.
+ */
+function createDynamoDbJobStore({ tableName = process.env.JOB_TABLE, client, commands } = {}) {
+  const { client: documentClient, GetCommand, PutCommand } = createDocumentClient({ client, commands });
+
+  return {
+    async get(id) {
+      const { Item } = await documentClient.send(new GetCommand({
+        TableName: tableName,
+        Key: { job_id: id },
+        ConsistentRead: true
+      }));
+      if (!Item || isExpired(Item)) return null;
+      const { job_id, ...job } = Item;
+      return { ...job, id: job_id };
+    },
+
+    async put(job, { expectedStatus } = {}) {
+      const { id, ...rest } = job;
+      try {
+        await documentClient.send(new PutCommand({
+          TableName: tableName,
+          Item: { job_id: id, ...rest },
+          // "status" es palabra reservada en DynamoDB
+          ...(expectedStatus && {
+            ConditionExpression: '#status = :expected',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: { ':expected': expectedStatus }
+          })
+        }));
+        return true;
+      } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') return false;
+        throw error;
+      }
+    }
+  };
+}
+
+let jobStore;
+
+/**
+ * Store configurado en JOB_STORE. Lanza JOBS_UNAVAILABLE en Lambda si el store
+ * no es compartido entre contenedores (ver el encabezado).
+ */
+function getJobStore() {
+  if (!jobStore) {
+    const onLambda = Boolean(process.env.AWS_LAMBDA_FUNCTION_NAME);
+
+    if (process.env.JOB_STORE === 'dynamodb') {
+      jobStore = createDynamoDbJobStore();
+    } else if (process.env.JOB_STORE === 'file' && (!onLambda || process.env.JOB_STORE_FILE)) {
+      jobStore = createFileJobStore();
+    } else if (!onLambda) {
+      jobStore = createMemoryJobStore();
+    } else {
+      log.error('Jobs asíncronos sin store compartido en Lambda', { job_store: process.env.JOB_STORE || 'memory' });
+      throw new BridgeError('JOBS_UNAVAILABLE', 'Los jobs asíncronos no están disponibles: configura JOB_STORE=dynamodb');
+    }
+  }
+  return jobStore;
+}
+
+/**
+ * Reemplaza el store activo (tests o inicialización personalizada)
+ */
+function setJobStore(store) {
+  jobStore = store;
+}
+
+/**
+ * Aplica patch al job con una escritura condicional sobre su estado. Con
+ * expectedStatus solo actualiza si el job sigue en ese estado (p. ej. no
+ * sobrescribir un job cancelado). Devuelve { job, updated }: job es el job
+ * actualizado o, si no se escribió, tal como quedó (null si no existe).
+ */
+async function updateJob(id, patch, { expectedStatus } = {}) {
+  const store = getJobStore();
+  const job = await store.get(id);
+  if (!job) return { job: null, updated: false };
+  if (expectedStatus && job.status !== expectedStatus) return { job, updated: false };
+
+  const next = { ...job, ...patch, updated_at: new Date().toISOString() };
+  if (await store.put(next, { expectedStatus: job.status })) {
+    return { job: next, updated: true };
+  }
+  // Otra invocación cambió el estado entre la lectura y la escritura
+  return { job: await store.get(id), updated: false };
+}
+
+// ========== CICLO DE VIDA ==========
+
+/**
+ * El cliente pide modo asíncrono con async=true (query string o body)
+ */
+function wantsAsync(params) {
+  return params.async === true || params.async === 'true';
+}
+
+/**
+ * Crea un job en estado queued con los parámetros ya validados y autorizados
+ */
+async function createJob({ route, params, userId, requestId }) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    endpoint: route.name,
+    status: 'queued',
+    params,
+    user_id: userId || null,
+    request_id: requestId || null,
+    progress: null,
+    result: null,
+    error: null,
+    created_at: now,
+    updated_at: now,
+    expires_at: Math.floor(Date.now() / 1000) + jobTtlSeconds()
+  };
+
+  await getJobStore().put(job);
+  log.info('Job creado', { job_id: job.id, endpoint: route.name });
+  return job;
+}
+
+/**
+ * Lanza la ejecución del job. runLocally se usa fuera de Lambda.
+ */
+async function dispatchJob(job, runLocally) {
+  const functionName = process.env.AWS_LAMBDA_FUNCTION_NAME;
+
+  if (!functionName) {
+    setImmediate(() => {
+      runLocally(job.id).catch((error) => log.error('Error ejecutando job', { job_id: job.id, error }));
+    });
+    return;
+  }
+
+  const { LambdaClient, InvokeCommand } = require('@aws-sdk/client-lambda');
+  const client = new LambdaClient({});
+  await client.send(new InvokeCommand({
+    FunctionName: functionName,
+    InvocationType: 'Event',
+    Payload: Buffer.from(JSON.stringify({
+      source: JOB_EVENT_SOURCE,
+      job_id: job.id,
+      ...(job.request_id && { request_id: job.request_id })
+    }))
+  }));
+  log.info('Job enviado', { job_id: job.id, function_name: functionName });
+}
+
+function isJobEvent(event) {
+  return Boolean(event) && event.source === JOB_EVENT_SOURCE && typeof event.job_id === 'string';
+}
+
+/**
+ * Ejecuta un job: corre el handler de su ruta, reporta el progreso MCP y guarda
+ * el resultado. getRoute(name) resuelve la ruta del job.
+ */
+async function runJob(jobId, getRoute, ctx = {}) {
+  const job = await getJobStore().get(jobId);
+  if (!job) {
+    log.warn('Job no encontrado', { job_id: jobId });
+    return null;
+  }
+  if (job.status !== 'queued') {
+    log.info('Job ya procesado, no se ejecuta', { job_id: jobId, status: job.status });
+    return job;
+  }
+
+  // Solo una invocación pasa el job de queued a running (reintentos de Lambda, cancelaciones)
+  const started = await updateJob(jobId, {
+    status: 'running',
+    started_at: new Date().toISOString()
+  }, { expectedStatus: 'queued' });
+  if (!started.updated) {
+    log.info('Job ya procesado, no se ejecuta', { job_id: jobId, status: started.job && started.job.status });
+    return started.job;
+  }
+
+  const route = getRoute(job.endpoint);
+  addLogContext({ route: job.endpoint });
+
+  // Las escrituras de progreso se encadenan para no pisar el resultado final
+  let progressWrites = Promise.resolve();
+  const onNotification = ({ method, params = {} }) => {
+    if (method !== 'notifications/progress') return;
+    const { progressToken, ...progress } = params;
+    progressWrites = progressWrites
+      .then(() => updateJob(jobId, { progress }, { expectedStatus: 'running' }))
+      .catch((error) => log.error('No se pudo guardar el progreso del job', { job_id: jobId, error }));
+  };
+
+  let outcome;
+  try {
+    const result = await route.handler(job.params, { ...ctx, onNotification });
+    outcome = result.statusCode < 400
+      ? { status: 'succeeded', result: result.body }
+      : { status: 'failed', error: { status: result.statusCode, ...result.body } };
+  } catch (error) {
+    log.error('Job falló', { job_id: jobId, error });
+    const failed = errorResponse(error);
+    outcome = { status: 'failed', error: { status: failed.statusCode, ...failed.body } };
+  }
+
+  await progressWrites;
+
+  // Si el job se canceló mientras corría, el resultado se descarta
+  const { job: finished, updated } = await updateJob(jobId, {
+    ...outcome,
+    finished_at: new Date().toISOString()
+  }, { expectedStatus: 'running' });
+
+  if (!finished) {
+    log.warn('Job expirado antes de terminar, resultado descartado', { job_id: jobId });
+    return null;
+  }
+  log.info(updated ? 'Job terminado' : 'Job cancelado, resultado descartado', {
+    job_id: jobId,
+    status: finished.status
+  });
+  return finished;
+}
+
+// ========== RESPUESTAS Y HANDLERS ==========
+
+/**
+ * Vista pública de un job (sin los parámetros internos)
+ */
+function describeJob(job) {
+  return {
+    job_id: job.id,
+    endpoint: job.endpoint,
+    status: job.status,
+    request_id: job.request_id,
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    ...(job.started_at && { started_at: job.started_at }),
+    ...(job.finished_at && { finished_at: job.finished_at })
+  };
+}
+
+function jobAcceptedResponse(job) {
+  const statusUrl = `/jobs/${job.id}`;
+
+  return {
+    statusCode: 202,
+    headers: { 'Location': statusUrl },
+    body: {
+      success: true,
+      data: {
+        job_id: job.id,
+        status: job.status,
+        status_url: statusUrl
+      },
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Busca el job del usuario; los jobs de otros usuarios se reportan como inexistentes
+ */
+async function findOwnJob(params) {
+  const job = await getJobStore().get(params.job_id);
+  if (!job || (job.user_id && job.user_id !== params.user_id)) {
+    throw new BridgeError('JOB_NOT_FOUND', `Job ${params.job_id} no encontrado`);
+  }
+  return job;
+}
+
+/**
+ * Handler para GET /jobs/{job_id}
+ */
+async function handleGetJob(params) {
+  const { value, errorResponse: invalid } = validateRequest(schemas.job, params);
+  if (invalid) {
+    return invalid;
+  }
+
+  try {
+    const job = await findOwnJob(value);
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        data: describeJob(job),
+        timestamp: new Date().toISOString()
+      }
+    };
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+/**
+ * Handler para DELETE /jobs/{job_id}. Un job terminado no se puede cancelar (409).
+ */
+async function handleCancelJob(params) {
+  const { value, errorResponse: invalid } = validateRequest(schemas.job, params);
+  if (invalid) {
+    return invalid;
+  }
+
+  try {
+    let job = await findOwnJob(value);
+    let cancelled = null;
+
+    // Si el job cambia de estado entre la lectura y la escritura (p. ej. termina),
+    // se vuelve a evaluar con el estado nuevo
+    while (!cancelled) {
+      if (FINAL_STATUSES.includes(job.status)) {
+        throw new BridgeError('JOB_ALREADY_FINISHED', `El job ya terminó (${job.status})`);
+      }
+
+      const result = await updateJob(job.id, {
+        status: 'cancelled',
+        finished_at: new Date().toISOString()
+      }, { expectedStatus: job.status });
+      if (!result.job) {
+        throw new BridgeError('JOB_NOT_FOUND', `Job ${job.id} no encontrado`);
+      }
+      if (result.updated) cancelled = result.job;
+      job = result.job;
+    }
+    log.info('Job cancelado', { job_id: job.id });
+
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        data: describeJob(cancelled),
+        timestamp: new Date().toISOString()
+      }
+    };
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+module.exports = {
+  wantsAsync,
+  createJob,
+  dispatchJob,
+  isJobEvent,
+  runJob,
+  jobAcceptedResponse,
+  handleGetJob,
+  handleCancelJob,
+  getJobStore,
+  setJobStore,
+  createMemoryJobStore,
+  createFileJobStore,
+  createDynamoDbJobStore
+};
@@ -0,0 +1,175 @@
+/**
+ * Validador de JSON Schema (subconjunto) para los inputSchema de las herramientas MCP
+ * Soporta: type (incluye arrays de tipos), properties, required,
+ * additionalProperties, items, enum, const, minLength / maxLength, pattern,
+ * format uuid, minimum / maximum (y exclusive*), minItems / maxItems,
+ * allOf / anyOf / oneOf y $ref locales (#/$defs/... o #/definitions/...).
+ *
+ * Los errores tienen la misma forma que los de validation.js:
+ *   { field: 'request.actividad', code, message, received? }
+ * Un inputSchema que no se puede evaluar ($ref externo, pattern inválido,
+ * demasiado profundo) es una respuesta inválida del servidor: MCP_BAD_RESPONSE.
+ */
+
+const { UUID_REGEX } = require('./validation');
+const { BridgeError } = require('./errors');
+
+// Evita ciclos en schemas recursivos mal formados
+const MAX_DEPTH = 32;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function resolveRef(ref, root) {
+  const match = ref.match(/^#\/(\$defs|definitions)\/(.+)$/);
+  if (!match || !root[match[1]] || !root[match[1]][match[2]]) {
+    throw new BridgeError('MCP_BAD_RESPONSE', `$ref no soportado en inputSchema: ${ref}`);
+  }
+  return root[match[1]][match[2]];
+}
+
+function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern, 'u');
+  } catch (error) {
+    throw new BridgeError('MCP_BAD_RESPONSE', `pattern inválido en inputSchema: ${pattern}`, { cause: error });
+  }
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function validateNode(schema, value, path, root, depth) {
+  if (depth > MAX_DEPTH) {
+    throw new BridgeError('MCP_BAD_RESPONSE', 'inputSchema demasiado profundo');
+  }
+  if (schema === true || schema === undefined) return [];
+  if (schema === false) {
+    return [{ field: path, code: 'invalid', message: `"${path}" no está permitido` }];
+  }
+  if (schema.$ref) {
+    return validateNode(resolveRef(schema.$ref, root), value, path, root, depth + 1);
+  }
+
+  const errors = [];
+  const field = path || 'body';
+  const fail = (code, message) => errors.push({ field, code, message, received: value });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      fail('type', `"${field}" debe ser de tipo ${types.join(' o ')}`);
+      return errors;
+    }
+  }
+
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    fail('enum', `"${field}" debe ser ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+    fail('enum', `"${field}" debe ser uno de: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(value.length === 0 ? 'empty' : 'min_length', `"${field}" debe tener al menos ${schema.minLength} caracteres`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('max_length', `"${field}" debe tener como máximo ${schema.maxLength} caracteres`);
+    }
+    if (schema.pattern && !compilePattern(schema.pattern).test(value)) {
+      fail('pattern', `"${field}" no cumple el patrón ${schema.pattern}`);
+    }
+    if (schema.format === 'uuid' && !UUID_REGEX.test(value)) {
+      fail('format', `"${field}" debe ser un UUID válido`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('min', `"${field}" debe ser >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('max', `"${field}" debe ser <= ${schema.maximum}`);
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      fail('min', `"${field}" debe ser > ${schema.exclusiveMinimum}`);
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      fail('max', `"${field}" debe ser < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('min_items', `"${field}" debe tener al menos ${schema.minItems} elementos`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('max_items', `"${field}" debe tener como máximo ${schema.maxItems} elementos`);
+    }
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, i) => {
+        errors.push(...validateNode(schema.items, item, joinPath(path, i), root, depth + 1));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ field: joinPath(path, name), code: 'required', message: `Falta el parámetro "${joinPath(path, name)}"` });
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (properties[name] !== undefined) {
+        errors.push(...validateNode(properties[name], propertyValue, joinPath(path, name), root, depth + 1));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: joinPath(path, name), code: 'additional_property', message: `"${joinPath(path, name)}" no es un parámetro aceptado` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateNode(schema.additionalProperties, propertyValue, joinPath(path, name), root, depth + 1));
+      }
+    }
+  }
+
+  for (const subschema of schema.allOf || []) {
+    errors.push(...validateNode(subschema, value, path, root, depth + 1));
+  }
+
+  if (schema.anyOf) {
+    const valid = schema.anyOf.some((subschema) => validateNode(subschema, value, path, root, depth + 1).length === 0);
+    if (!valid) fail('invalid', `"${field}" no coincide con ninguna de las opciones permitidas`);
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((subschema) => validateNode(subschema, value, path, root, depth + 1).length === 0);
+    if (matches.length !== 1) fail('invalid', `"${field}" debe coincidir con exactamente una de las opciones permitidas`);
+  }
+
+  return errors;
+}
+
+/**
+ * Valida value contra un JSON Schema. Devuelve la lista de errores (vacía si es válido).
+ */
+function validateJsonSchema(schema, value) {
+  return validateNode(schema || {}, value, '', schema || {}, 0);
+}
+
+module.exports = {
+  validateJsonSchema
+};
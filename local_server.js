@@ -0,0 +1,322 @@
+/**
+ * Servidor HTTP para desarrollo local
+ * Convierte cada petición HTTP en un evento de API Gateway (REST v1 o HTTP API v2),
+ * llama a exports.handler de index.js y traduce el resultado a la respuesta HTTP.
+ *
+ *   npm start                          # http://localhost:3000, eventos v1
+ *   npm run dev                        # igual, con recarga al guardar archivos
+ *   node local_server.js --port 4000 --event v2
+ *   node local_server.js --stream      # usa handleStreamingRequest (Function URL, SSE)
+ *
+ * Las variables de entorno se leen de .env (dotenv) antes de cargar el handler;
+ * MCP_SERVER_URL se puede fijar ahí o con --mcp-url.
+ *
+ * Opciones (o variables de entorno):
+ * - --port / PORT: puerto (default: 3000)
+ * - --event / LOCAL_EVENT_VERSION: "v1" (default) o "v2"
+ * - --watch / LOCAL_WATCH=true: recarga los módulos del proyecto al cambiar un .js
+ * - --stream / LOCAL_STREAM=true: respuestas vía handleStreamingRequest (implica v2)
+ * - --mcp-url: MCP_SERVER_URL
+ * - LOCAL_TIMEOUT_MS: timeout simulado de la invocación (default: 30000)
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('local');
+
+const PROJECT_DIR = __dirname;
+
+// Content-Types que viajan como texto; el resto se envía en base64 como API Gateway
+const TEXT_CONTENT_TYPE = /^(text\/|application\/(json|x-www-form-urlencoded|xml|javascript)|[^;]*\+json)/i;
+
+function parseArgs(argv) {
+  const options = {
+    port: parseInt(process.env.PORT, 10) || 3000,
+    eventVersion: process.env.LOCAL_EVENT_VERSION || 'v1',
+    watch: process.env.LOCAL_WATCH === 'true',
+    stream: process.env.LOCAL_STREAM === 'true',
+    timeoutMs: parseInt(process.env.LOCAL_TIMEOUT_MS, 10) || 30000
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') options.port = parseInt(argv[++i], 10);
+    else if (arg === '--event') options.eventVersion = argv[++i];
+    else if (arg === '--watch') options.watch = true;
+    else if (arg === '--stream') options.stream = true;
+    else if (arg === '--mcp-url') process.env.MCP_SERVER_URL = argv[++i];
+    else throw new Error(`Opción desconocida: ${arg}`);
+  }
+
+  if (options.stream) options.eventVersion = 'v2';
+  if (!['v1', 'v2'].includes(options.eventVersion)) {
+    throw new Error(`--event debe ser v1 o v2 (recibido: ${options.eventVersion})`);
+  }
+
+  return options;
+}
+
+// ========== HTTP -> EVENTO ==========
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function encodeBody(buffer, contentType) {
+  if (buffer.length === 0) return { body: null, isBase64Encoded: false };
+  if (!contentType || TEXT_CONTENT_TYPE.test(contentType)) {
+    return { body: buffer.toString('utf8'), isBase64Encoded: false };
+  }
+  return { body: buffer.toString('base64'), isBase64Encoded: true };
+}
+
+/**
+ * Headers y query string en las dos formas de API Gateway: último valor y
+ * todos los valores (multiValue*)
+ */
+function collectPairs(pairs) {
+  const single = {};
+  const multi = {};
+  for (const [name, value] of pairs) {
+    single[name] = value;
+    (multi[name] = multi[name] || []).push(value);
+  }
+  return { single, multi };
+}
+
+function rawHeaderPairs(req) {
+  const pairs = [];
+  for (let i = 0; i < req.rawHeaders.length; i += 2) {
+    pairs.push([req.rawHeaders[i], req.rawHeaders[i + 1]]);
+  }
+  return pairs;
+}
+
+function buildV1Event(req, url, bodyBuffer, requestId) {
+  const headers = collectPairs(rawHeaderPairs(req));
+  const query = collectPairs(url.searchParams.entries());
+  const hasQuery = Object.keys(query.single).length > 0;
+
+  return {
+    resource: '/{proxy+}',
+    path: url.pathname,
+    httpMethod: req.method,
+    headers: headers.single,
+    multiValueHeaders: headers.multi,
+    queryStringParameters: hasQuery ? query.single : null,
+    multiValueQueryStringParameters: hasQuery ? query.multi : null,
+    pathParameters: { proxy: url.pathname.slice(1) },
+    stageVariables: null,
+    requestContext: {
+      requestId,
+      stage: 'local',
+      httpMethod: req.method,
+      path: url.pathname,
+      resourcePath: '/{proxy+}',
+      identity: { sourceIp: req.socket.remoteAddress, userAgent: req.headers['user-agent'] || null },
+      requestTimeEpoch: Date.now()
+    },
+    ...encodeBody(bodyBuffer, req.headers['content-type'])
+  };
+}
+
+function buildV2Event(req, url, bodyBuffer, requestId) {
+  // v2: headers en minúsculas con los valores repetidos unidos por coma; cookies aparte
+  const headers = {};
+  for (const [name, value] of rawHeaderPairs(req)) {
+    const key = name.toLowerCase();
+    if (key === 'cookie') continue;
+    headers[key] = headers[key] ? `${headers[key]},${value}` : value;
+  }
+
+  const query = {};
+  for (const [name, value] of url.searchParams.entries()) {
+    query[name] = query[name] ? `${query[name]},${value}` : value;
+  }
+
+  return {
+    version: '2.0',
+    routeKey: '$default',
+    rawPath: url.pathname,
+    rawQueryString: url.search.slice(1),
+    ...(req.headers.cookie && { cookies: req.headers.cookie.split(/;\s*/) }),
+    headers,
+    ...(Object.keys(query).length > 0 && { queryStringParameters: query }),
+    requestContext: {
+      requestId,
+      stage: '$default',
+      routeKey: '$default',
+      http: {
+        method: req.method,
+        path: url.pathname,
+        protocol: `HTTP/${req.httpVersion}`,
+        sourceIp: req.socket.remoteAddress,
+        userAgent: req.headers['user-agent'] || null
+      },
+      timeEpoch: Date.now()
+    },
+    ...encodeBody(bodyBuffer, req.headers['content-type'])
+  };
+}
+
+function buildContext(requestId, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  return {
+    awsRequestId: requestId,
+    functionName: 'estudia-lambda-local',
+    getRemainingTimeInMillis: () => Math.max(0, deadline - Date.now())
+  };
+}
+
+// ========== RESULTADO -> HTTP ==========
+
+function writeResult(res, result, eventVersion) {
+  // v2 acepta un valor que no es { statusCode, body } y lo devuelve como JSON 200
+  if (!result || typeof result !== 'object' || result.statusCode === undefined) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+    return;
+  }
+
+  const headers = { ...result.headers };
+  for (const [name, values] of Object.entries(result.multiValueHeaders || {})) {
+    headers[name] = values;
+  }
+  if (eventVersion === 'v2' && result.cookies) {
+    headers['Set-Cookie'] = result.cookies;
+  }
+
+  const body = result.body === undefined || result.body === null ? '' : result.body;
+  res.writeHead(result.statusCode, headers);
+  res.end(result.isBase64Encoded ? Buffer.from(body, 'base64') : body);
+}
+
+// ========== RECARGA ==========
+
+/**
+ * Olvida los módulos del proyecto (no los de node_modules) para que el siguiente
+ * require de index.js cargue el código nuevo. El estado en memoria (sesión MCP,
+ * caches, jobs) se pierde, igual que en un arranque en frío.
+ */
+function clearProjectModules() {
+  for (const file of Object.keys(require.cache)) {
+    if (file.startsWith(PROJECT_DIR) && !file.includes(`${path.sep}node_modules${path.sep}`)) {
+      delete require.cache[file];
+    }
+  }
+}
+
+function watchProject(onChange) {
+  let timer = null;
+  fs.watch(PROJECT_DIR, (eventType, filename) => {
+    if (!filename || !filename.endsWith('.js') || filename === path.basename(__filename)) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => onChange(filename), 100);
+  });
+}
+
+/**
+ * En modo streaming, awslambda.HttpResponseStream.from escribe status y
+ * headers en la respuesta HTTP, como hace el runtime de Lambda
+ */
+function installStreamingRuntime() {
+  global.awslambda = {
+    HttpResponseStream: {
+      from(responseStream, { statusCode, headers }) {
+        responseStream.writeHead(statusCode, headers);
+        return responseStream;
+      }
+    }
+  };
+}
+
+// ========== SERVIDOR ==========
+
+function startServer(options) {
+  let lambda = null;
+  const loadHandler = () => {
+    if (!lambda) lambda = require('./index');
+    return lambda;
+  };
+
+  if (options.stream) installStreamingRuntime();
+
+  if (options.watch) {
+    watchProject((filename) => {
+      clearProjectModules();
+      lambda = null;
+      log.info('Módulos recargados', { file: filename });
+    });
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const startedAt = Date.now();
+    const requestId = crypto.randomUUID();
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    try {
+      const bodyBuffer = await readBody(req);
+      const event = options.eventVersion === 'v2'
+        ? buildV2Event(req, url, bodyBuffer, requestId)
+        : buildV1Event(req, url, bodyBuffer, requestId);
+      const context = buildContext(requestId, options.timeoutMs);
+      const { handler, handleStreamingRequest } = loadHandler();
+
+      if (options.stream) {
+        await handleStreamingRequest(event, res, context);
+        if (!res.writableEnded) res.end();
+      } else {
+        writeResult(res, await handler(event, context), options.eventVersion);
+      }
+    } catch (error) {
+      log.error('Error ejecutando el handler', { error });
+      if (!res.headersSent) {
+        res.writeHead(502, { 'Content-Type': 'application/json' });
+      }
+      res.end(JSON.stringify({ error: 'Internal server error', message: error.message }));
+    }
+
+    log.info(`${req.method} ${url.pathname}`, {
+      status_code: res.statusCode,
+      duration_ms: Date.now() - startedAt
+    });
+  });
+
+  server.listen(options.port, () => {
+    log.info(`EstudIA Lambda en http://localhost:${options.port}`, {
+      event_version: options.eventVersion,
+      stream: options.stream,
+      watch: options.watch,
+      mcp_server_url: process.env.MCP_SERVER_URL || '(default)'
+    });
+  });
+
+  return server;
+}
+
+if (require.main === module) {
+  try {
+    startServer(parseArgs(process.argv.slice(2)));
+  } catch (error) {
+    log.error('No se pudo iniciar el servidor local', { error });
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  startServer,
+  buildV1Event,
+  buildV2Event,
+  writeResult
+};
@@ -0,0 +1,214 @@
+/**
+ * Logger estructurado: una línea JSON por entrada
+ *
+ *   {"level":"info","time":"...","component":"mcp","msg":"...","request_id":"...",...}
+ *
+ * Cada entrada lleva los campos del contexto de la petición en curso (request_id,
+ * ruta, ...) que index.js fija con runWithLogContext; se propagan por las llamadas
+ * async sin pasarlos a mano.
+ *
+ * Antes de escribir, los campos se redactan (headers y llaves sensibles, tokens
+ * Bearer dentro de strings) y se truncan (strings largos, arreglos grandes y
+ * objetos profundos), así que se puede loguear un evento o una respuesta MCP
+ * completos sin filtrar secretos ni vectores de embeddings.
+ *
+ * Configuración:
+ * - LOG_LEVEL: debug, info (default), warn, error o silent
+ * - LOG_REDACT_KEYS: llaves adicionales a redactar, separadas por coma
+ * - LOG_MAX_STRING_LENGTH: caracteres por string antes de truncar (default: 500)
+ * - LOG_MAX_ARRAY_ITEMS: elementos por arreglo antes de truncar (default: 20)
+ * - LOG_DEBUG_SAMPLE_RATE: fracción de peticiones (0 a 1) que escriben logs debug (default: 1)
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Comparación sin mayúsculas; los headers llegan con cualquier capitalización
+const DEFAULT_REDACT_KEYS = [
+  'authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key',
+  'password',
+  'token',
+  'access_token',
+  'refresh_token',
+  'id_token',
+  'secret',
+  'client_secret',
+  'api_key',
+  // Contenido de los usuarios que viaja en los argumentos de las herramientas
+  'message',
+  'question',
+  'query_text',
+  'text',
+  'texts',
+  'embedding',
+  'embeddings'
+];
+
+const MAX_DEPTH = 6;
+
+const context = new AsyncLocalStorage();
+
+function currentLevel() {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS[level] !== undefined ? LEVELS[level] : LEVELS.info;
+}
+
+function intFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function redactKeys() {
+  const extra = (process.env.LOG_REDACT_KEYS || '')
+    .split(',')
+    .map((key) => key.trim().toLowerCase())
+    .filter(Boolean);
+  return new Set([...DEFAULT_REDACT_KEYS, ...extra]);
+}
+
+function debugSampled() {
+  const rate = parseFloat(process.env.LOG_DEBUG_SAMPLE_RATE);
+  if (!Number.isFinite(rate) || rate >= 1) return true;
+  return Math.random() < rate;
+}
+
+// ========== SANITIZACIÓN ==========
+
+function describeRedacted(value) {
+  if (Array.isArray(value)) return `[REDACTED array(${value.length})]`;
+  if (typeof value === 'string') return `[REDACTED ${value.length} chars]`;
+  return '[REDACTED]';
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.statusCode !== undefined && { status: error.statusCode }),
+    ...(error.stack && { stack: error.stack.split('\n').slice(0, 6).join('\n') })
+  };
+}
+
+/**
+ * Copia de value con las llaves sensibles redactadas y los valores grandes truncados
+ */
+function sanitize(value, options = {}, depth = 0) {
+  const keys = options.keys || redactKeys();
+  const maxString = options.maxString || intFromEnv('LOG_MAX_STRING_LENGTH', 500);
+  const maxItems = options.maxItems || intFromEnv('LOG_MAX_ARRAY_ITEMS', 20);
+  const resolved = { keys, maxString, maxItems };
+
+  // El mensaje de un error se conserva aunque "message" esté en las llaves redactadas
+  if (value instanceof Error) {
+    const { message, ...rest } = serializeError(value);
+    return { message: sanitize(message, resolved, depth + 1), ...sanitize(rest, resolved, depth) };
+  }
+
+  if (typeof value === 'string') {
+    const masked = value.replace(/Bearer\s+[\w.~+/=-]+/gi, 'Bearer [REDACTED]');
+    return masked.length > maxString
+      ? `${masked.slice(0, maxString)}... [${masked.length - maxString} chars truncados]`
+      : masked;
+  }
+
+  if (!value || typeof value !== 'object') return value;
+
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? `[array(${value.length})]` : '[object]';
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, maxItems).map((item) => sanitize(item, resolved, depth + 1));
+    if (value.length > maxItems) items.push(`... ${value.length - maxItems} elementos más`);
+    return items;
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = keys.has(key.toLowerCase())
+      ? describeRedacted(item)
+      : sanitize(item, resolved, depth + 1);
+  }
+  return result;
+}
+
+// ========== CONTEXTO ==========
+
+/**
+ * Ejecuta fn con campos de contexto que se agregan a cada entrada de log.
+ * Decide aquí el muestreo de debug, así que una petición muestreada loguea completo.
+ */
+function runWithLogContext(fields, fn) {
+  const parent = context.getStore();
+  const store = {
+    fields: { ...(parent && parent.fields), ...fields },
+    debug: parent ? parent.debug : debugSampled()
+  };
+  return context.run(store, fn);
+}
+
+/**
+ * Agrega campos al contexto de la petición en curso (p. ej. user_id tras autenticar)
+ */
+function addLogContext(fields) {
+  const store = context.getStore();
+  if (store) Object.assign(store.fields, fields);
+}
+
+function getLogContext() {
+  const store = context.getStore();
+  return store ? { ...store.fields } : {};
+}
+
+// ========== LOGGER ==========
+
+function write(level, component, msg, fields) {
+  if (LEVELS[level] < currentLevel()) return;
+
+  const store = context.getStore();
+  if (level === 'debug' && !(store ? store.debug : debugSampled())) return;
+
+  const entry = {
+    level,
+    time: new Date().toISOString(),
+    component,
+    msg,
+    ...(store && store.fields),
+    ...sanitize(fields || {})
+  };
+
+  const line = JSON.stringify(entry);
+  if (level === 'error' || level === 'warn') {
+    process.stderr.write(`${line}\n`);
+  } else {
+    process.stdout.write(`${line}\n`);
+  }
+}
+
+/**
+ * Logger de un componente. fields es opcional; un Error en fields.error se
+ * serializa con name, message, code y stack.
+ */
+function createLogger(component, baseFields = {}) {
+  const log = (level) => (msg, fields) => write(level, component, msg, { ...baseFields, ...fields });
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    child: (fields) => createLogger(component, { ...baseFields, ...fields }),
+    isDebugEnabled: () => LEVELS.debug >= currentLevel()
+  };
+}
+
+module.exports = {
+  createLogger,
+  runWithLogContext,
+  addLogContext,
+  getLogContext,
+  sanitize
+};
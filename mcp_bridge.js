@@ -1,184 +1,66 @@
 /**
  * HTTP Bridge para conectar AWS Lambda con el servidor MCP de FiscAI
  * Este módulo extiende la funcionalidad Lambda para incluir llamadas al servidor MCP
+ * (el transporte y la sesión MCP viven en mcp_client.js)
  */
 
-const https = require('https');
-const http = require('http');
+const { callMcpToolWithMeta } = require('./mcp_client');
+const schemas = require('./schemas');
+const { validateRequest } = require('./validation');
+const { normalizeToolResult } = require('./tool_result');
+const { BridgeError, toolError, errorResponse: mcpErrorResponse } = require('./errors');
+const { listTools, getTool } = require('./tool_registry');
+const { validateJsonSchema } = require('./json_schema');
+const { cachedEmbedding, cachedSearch, invalidateClassroomSearches } = require('./result_cache');
+const { mapWithConcurrency } = require('./batch');
+const { createLogger } = require('./logger');
 
-// URL del servidor MCP desplegado
-const MCP_SERVER_URL = process.env.MCP_SERVER_URL || '';
+const log = createLogger('mcp');
 
 /**
- * Realiza una petición HTTP/HTTPS
+ * Respuesta estándar de una llamada a herramienta. El CallToolResult se
+ * normaliza (ver tool_result.js); si la herramienta reportó isError se responde
+ * con su error (UPSTREAM_TOOL_ERROR o CLASSROOM_NOT_FOUND). Si el servidor MCP
+ * envió notificaciones de progreso o log durante la llamada se incluyen en
+ * metadata.mcp_notifications.
  */
-function makeHttpRequest(url, options = {}) {
-  return new Promise((resolve, reject) => {
-    const urlObj = new URL(url);
-    const protocol = urlObj.protocol === 'https:' ? https : http;
-    
-    const reqOptions = {
-      hostname: urlObj.hostname,
-      port: urlObj.port,
-      path: urlObj.pathname + urlObj.search,
-      method: options.method || 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json, text/event-stream',
-        'User-Agent': 'FiscAI-Lambda-Bridge',
-        ...options.headers
-      }
-    };
-
-    const req = protocol.request(reqOptions, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        try {
-          // Si el Content-Type es text/event-stream, parsear como SSE
-          const contentType = res.headers['content-type'] || '';
-          if (contentType.includes('text/event-stream')) {
-            // Parsear formato SSE: "event: message\ndata: {json}\n\n"
-            const lines = data.trim().split('\n');
-            let jsonData = '';
-            
-            for (const line of lines) {
-              if (line.startsWith('data: ')) {
-                jsonData = line.substring(6); // Remove "data: " prefix
-                break;
-              }
-            }
-            
-            if (jsonData) {
-              const parsed = JSON.parse(jsonData);
-              resolve({
-                statusCode: res.statusCode,
-                headers: res.headers,
-                body: parsed
-              });
-              return;
-            }
-          }
-          
-          // Parsear como JSON normal
-          const parsed = JSON.parse(data);
-          resolve({
-            statusCode: res.statusCode,
-            headers: res.headers,
-            body: parsed
-          });
-        } catch (e) {
-          resolve({
-            statusCode: res.statusCode,
-            headers: res.headers,
-            body: data
-          });
-        }
-      });
-    });
-    
-    req.on('error', reject);
-    
-    if (options.body) {
-      req.write(typeof options.body === 'string' ? options.body : JSON.stringify(options.body));
+function mcpToolResponse({ result, notifications }, metadata) {
+  const { data, isError, errorMessage } = normalizeToolResult(result);
+
+  if (isError) {
+    return mcpErrorResponse(toolError(errorMessage));
+  }
+
+  const fullMetadata = {
+    ...metadata,
+    ...(notifications.length > 0 && { mcp_notifications: notifications })
+  };
+
+  return {
+    statusCode: 200,
+    body: {
+      success: true,
+      data,
+      source: 'mcp_server',
+      timestamp: new Date().toISOString(),
+      ...(Object.keys(fullMetadata).length > 0 && { metadata: fullMetadata })
     }
-    
-    req.end();
-  });
+  };
 }
 
-/**
- * Llama una herramienta del servidor MCP
- */
-async function callMcpTool(toolName, toolArgs) {
-  try {
-    console.log(`[MCP] Llamando herramienta: ${toolName}`);
-    console.log(`[MCP] Arguments:`, JSON.stringify(toolArgs));
-    
-    // FastMCP usa el protocolo MCP nativo vía POST /mcp/v1/tools/call
-    // o simplemente POST con el formato JSON-RPC
-    const mcpRequest = {
-      jsonrpc: '2.0',
-      id: `call-${Date.now()}`,
-      method: 'tools/call',
-      params: {
-        name: toolName,
-        arguments: toolArgs
-      }
-    };
-    
-    // Intentar con endpoint /mcp que requiere Accept: application/json, text/event-stream
-    const response = await makeHttpRequest(`${MCP_SERVER_URL}/mcp`, {
-      method: 'POST',
-      body: mcpRequest,
-      headers: {
-        'Accept': 'application/json, text/event-stream',
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    console.log(`[MCP] Response status:`, response.statusCode);
-    console.log(`[MCP] Response body:`, JSON.stringify(response.body));
-    
-    if (response.statusCode === 200) {
-      // Si la respuesta tiene result, extraerlo
-      if (response.body.result) {
-        return response.body.result;
-      }
-      // Si es directamente el resultado
-      return response.body;
-    }
-    
-    // Si el error es por SSE, intentar sin SSE
-    if (response.body.error && response.body.error.code === -32600) {
-      console.log(`[MCP] Intentando con método alternativo...`);
-      return await callMcpAlternative(toolName, toolArgs);
-    }
-    
-    throw new Error(`Error MCP: ${JSON.stringify(response.body)}`);
-    
-  } catch (error) {
-    console.error(`[MCP] Error llamando herramienta ${toolName}:`, error);
-    throw new Error(`Error conectando con MCP: ${error.message}`);
-  }
-}
-
-/**
- * Método alternativo: llamar directamente sin protocolo JSON-RPC
- */
-async function callMcpAlternative(toolName, toolArgs) {
-  console.log(`[MCP] Usando método alternativo para ${toolName}`);
-  
-  // Intentar endpoint directo REST-like
-  const restUrl = `${MCP_SERVER_URL}/tools/${toolName}/call`;
-  
-  const response = await makeHttpRequest(restUrl, {
-    method: 'POST',
-    body: toolArgs,
-    headers: {
-      'Accept': 'application/json',
-      'Content-Type': 'application/json'
-    }
-  });
-  
-  if (response.statusCode === 200) {
-    return response.body;
-  }
-  
-  throw new Error(`Error en método alternativo: ${JSON.stringify(response.body)}`);
-}
-
-
 // ========== HANDLERS MCP ==========
+// Todos reciben (params, ctx): ctx trae el deadline de la invocación y, en modo
+// streaming, onNotification; se pasa tal cual a callMcpToolWithMeta.
 
 /**
  * Handler para get_fiscal_advice vía MCP
  */
-async function handleMcpFiscalAdvice(params) {
+async function handleMcpFiscalAdvice(params, ctx = {}) {
+  const { value, errorResponse } = validateRequest(schemas.fiscalAdvice, params);
+  if (errorResponse) {
+    return errorResponse;
+  }
+
   const {
     actividad,
     ingresos_anuales,
@@ -186,22 +68,11 @@ async function handleMcpFiscalAdvice(params) {
     regimen_actual,
     tiene_rfc,
     contexto_adicional
-  } = params;
-
-  if (!actividad) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "actividad"',
-        required: ['actividad'],
-        optional: ['ingresos_anuales', 'estado', 'regimen_actual', 'tiene_rfc', 'contexto_adicional']
-      }
-    };
-  }
+  } = value;
 
   try {
     // FastMCP espera los parámetros envueltos en un objeto 'request'
-    const result = await callMcpTool('get_fiscal_advice', {
+    const call = await callMcpToolWithMeta('get_fiscal_advice', {
       request: {
         actividad,
         ingresos_anuales,
@@ -210,200 +81,206 @@ async function handleMcpFiscalAdvice(params) {
         tiene_rfc,
         contexto_adicional
       }
-    });
+    }, ctx);
 
-    return {
-      statusCode: 200,
-      body: {
-        success: true,
-        data: result,
-        source: 'mcp_server',
-        timestamp: new Date().toISOString()
-      }
-    };
+    return mcpToolResponse(call);
   } catch (error) {
-    return {
-      statusCode: 500,
-      body: {
-        error: error.message,
-        timestamp: new Date().toISOString()
-      }
-    };
+    return mcpErrorResponse(error);
   }
 }
 
 /**
- * Handler para generate_embedding vía MCP
+ * Embedding de un solo texto (con cache, ver result_cache.js)
  */
-async function handleMcpGenerateEmbedding(params) {
-  const { text } = params;
+function embedText(text, ctx) {
+  return cachedEmbedding(text, async () => {
+    try {
+      log.info('Generando embedding', { text_length: text.length });
+
+      // Llamar al tool generate_embedding del servidor MCP
+      const call = await callMcpToolWithMeta('generate_embedding', {
+        text: text
+      }, ctx);
+
+      return mcpToolResponse(call, {
+        text_length: text.length,
+        text_preview: text.substring(0, 100) + (text.length > 100 ? '...' : '')
+      });
+    } catch (error) {
+      log.error('Error generando embedding', { error });
 
-  if (!text || !text.trim()) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "text" o está vacío',
-        required: ['text'],
-        hint: 'El texto no puede estar vacío para generar el embedding'
-      }
-    };
-  }
+      return mcpErrorResponse(error, 'Verifica que el servidor MCP esté funcionando y que la API de Gemini esté configurada correctamente');
+    }
+  });
+}
 
-  try {
-    console.log(`[MCP] Generando embedding para texto de ${text.length} caracteres`);
-    console.log(`[MCP] Preview: ${text.substring(0, 50)}${text.length > 50 ? '...' : ''}`);
+// Lotes de /generate-embedding con "texts": textos por sub-lote y llamadas en paralelo
+const EMBEDDING_SUB_BATCH_SIZE = parseInt(process.env.EMBEDDING_SUB_BATCH_SIZE || '20', 10);
+const EMBEDDING_CONCURRENCY = parseInt(process.env.EMBEDDING_CONCURRENCY || '4', 10);
+
+// Gemini cuenta ~4 caracteres por token; el servidor MCP no reporta tokens
+const CHARS_PER_TOKEN = 4;
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
 
-    // Llamar al tool generate_embedding del servidor MCP
-    const result = await callMcpTool('generate_embedding', {
-      text: text
+/**
+ * Modelo y dimensión de un embedding. El servidor puede devolver el vector
+ * directamente o un objeto con embedding / values y, opcionalmente, model.
+ */
+function describeEmbedding(data) {
+  const vector = Array.isArray(data) ? data : data && (data.embedding || data.values);
+  return {
+    model: (data && !Array.isArray(data) && (data.model || data.embedding_model)) || null,
+    dimension: Array.isArray(vector) ? vector.length : null
+  };
+}
+
+/**
+ * Embeddings de varios textos. El servidor MCP no tiene una herramienta de lote:
+ * cada texto es una llamada a generate_embedding (salvo los que están en cache).
+ * Los sub-lotes no reducen esas llamadas; acotan las que corren en paralelo y
+ * marcan los puntos donde se revisa el deadline: si se agota, los textos
+ * pendientes se reportan con MCP_TIMEOUT en lugar de perder todo el lote.
+ */
+async function embedTexts(texts, ctx) {
+  const results = new Array(texts.length);
+  const subBatches = Math.ceil(texts.length / EMBEDDING_SUB_BATCH_SIZE);
+
+  log.info('Generando lote de embeddings', { texts: texts.length, sub_batches: subBatches });
+
+  for (let start = 0; start < texts.length; start += EMBEDDING_SUB_BATCH_SIZE) {
+    const batch = texts.slice(start, start + EMBEDDING_SUB_BATCH_SIZE);
+
+    if (ctx.deadline && Date.now() >= ctx.deadline) {
+      batch.forEach((text, offset) => {
+        const { statusCode, body } = mcpErrorResponse(new BridgeError('MCP_TIMEOUT', 'No hubo tiempo para generar este embedding'));
+        results[start + offset] = { statusCode, body, text };
+      });
+      continue;
+    }
+
+    await mapWithConcurrency(batch, EMBEDDING_CONCURRENCY, async (text, offset) => {
+      const response = await embedText(text, ctx);
+      results[start + offset] = { ...response, text };
     });
+  }
 
-    return {
-      statusCode: 200,
-      body: {
-        success: true,
-        data: result,
-        source: 'mcp_server',
-        timestamp: new Date().toISOString(),
-        metadata: {
-          text_length: text.length,
-          text_preview: text.substring(0, 100) + (text.length > 100 ? '...' : '')
-        }
-      }
+  const items = results.map(({ statusCode, body, headers, text }, index) => {
+    const item = {
+      index,
+      success: statusCode === 200,
+      characters: text.length,
+      estimated_tokens: estimateTokens(text)
     };
-  } catch (error) {
-    console.error(`[MCP] Error generando embedding:`, error);
-    
+
+    if (!item.success) {
+      return { ...item, status: statusCode, error: body.error, code: body.code };
+    }
+
     return {
-      statusCode: 500,
-      body: {
-        error: error.message,
-        timestamp: new Date().toISOString(),
-        hint: 'Verifica que el servidor MCP esté funcionando y que la API de Gemini esté configurada correctamente'
-      }
+      ...item,
+      ...describeEmbedding(body.data),
+      cached: Boolean(headers && headers['X-Cache'] === 'HIT'),
+      data: body.data
     };
+  });
+
+  const succeeded = items.filter((item) => item.success);
+  const sample = succeeded[0] || {};
+
+  return {
+    statusCode: 200,
+    body: {
+      success: succeeded.length === items.length,
+      data: {
+        results: items,
+        total: items.length,
+        succeeded: succeeded.length,
+        failed: items.length - succeeded.length,
+        model: sample.model || null,
+        dimension: sample.dimension || null,
+        characters: items.reduce((sum, item) => sum + item.characters, 0),
+        estimated_tokens: items.reduce((sum, item) => sum + item.estimated_tokens, 0)
+      },
+      source: 'mcp_server',
+      timestamp: new Date().toISOString(),
+      metadata: {
+        sub_batches: subBatches,
+        sub_batch_size: EMBEDDING_SUB_BATCH_SIZE,
+        concurrency: EMBEDDING_CONCURRENCY
+      }
+    }
+  };
+}
+
+/**
+ * Handler para generate_embedding vía MCP. Acepta "text" (un embedding) o
+ * "texts" (varios, con resultados y errores por elemento en el mismo orden).
+ */
+async function handleMcpGenerateEmbedding(params, ctx = {}) {
+  const { value, errorResponse } = validateRequest(schemas.generateEmbedding, params);
+  if (errorResponse) {
+    return errorResponse;
+  }
+
+  if (value.texts) {
+    return embedTexts(value.texts, ctx);
   }
+
+  return embedText(value.text, ctx);
 }
 
 /**
  * Handler para store_document vía MCP
  */
-async function handleMcpStoreDocument(params) {
-  const { text, classroom_id } = params;
-
-  if (!text || !text.trim()) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "text" o está vacío',
-        required: ['text'],
-        optional: ['classroom_id'],
-        hint: 'El texto del documento no puede estar vacío'
-      }
-    };
+async function handleMcpStoreDocument(params, ctx = {}) {
+  const { value, errorResponse } = validateRequest(schemas.storeDocument, params);
+  if (errorResponse) {
+    return errorResponse;
   }
 
+  const { text, classroom_id } = value;
+
   try {
-    console.log(`[MCP] Almacenando documento de ${text.length} caracteres`);
-    console.log(`[MCP] Classroom ID: ${classroom_id || 'None (global)'}`);
-    console.log(`[MCP] Preview: ${text.substring(0, 50)}${text.length > 50 ? '...' : ''}`);
+    log.info('Almacenando documento', { text_length: text.length, classroom_id: classroom_id || 'global' });
 
     // Llamar al tool store_document del servidor MCP
-    const result = await callMcpTool('store_document', {
+    const call = await callMcpToolWithMeta('store_document', {
       text: text,
       classroom_id: classroom_id || null
-    });
+    }, ctx);
 
-    return {
-      statusCode: 200,
-      body: {
-        success: true,
-        data: result,
-        source: 'mcp_server',
-        timestamp: new Date().toISOString(),
-        metadata: {
-          text_length: text.length,
-          classroom_id: classroom_id || null,
-          text_preview: text.substring(0, 100) + (text.length > 100 ? '...' : '')
-        }
-      }
-    };
+    return mcpToolResponse(call, {
+      text_length: text.length,
+      classroom_id: classroom_id || null,
+      text_preview: text.substring(0, 100) + (text.length > 100 ? '...' : '')
+    });
   } catch (error) {
-    console.error(`[MCP] Error almacenando documento:`, error);
+    log.error('Error almacenando documento', { error });
     
-    return {
-      statusCode: 500,
-      body: {
-        error: error.message,
-        timestamp: new Date().toISOString(),
-        hint: 'Verifica que el servidor MCP esté funcionando y que Supabase esté configurado correctamente'
-      }
-    };
+    return mcpErrorResponse(error, 'Verifica que el servidor MCP esté funcionando y que Supabase esté configurado correctamente');
   }
 }
 
 /**
- * Handler para search_similar_documents vía MCP
+ * Una búsqueda de search_similar_documents: con classroom_id en los documentos
+ * del classroom, sin él en los globales
  */
-async function handleMcpSearchSimilarDocuments(params) {
-  const { 
-    query_text, 
-    classroom_id, 
-    limit = 5, 
-    threshold 
-  } = params;
-
-  if (!query_text || !query_text.trim()) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "query_text" o está vacío',
-        required: ['query_text'],
-        optional: ['classroom_id', 'limit', 'threshold'],
-        hint: 'El texto de consulta no puede estar vacío'
-      }
-    };
-  }
-
-  // Validar limit
-  const parsedLimit = parseInt(limit);
-  if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 50) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'El parámetro "limit" debe ser un número entre 1 y 50',
-        received: limit,
-        hint: 'Usa un valor numérico válido para limitar los resultados'
-      }
-    };
-  }
-
-  // Validar threshold si se proporciona
-  if (threshold !== undefined) {
-    const parsedThreshold = parseFloat(threshold);
-    if (isNaN(parsedThreshold) || parsedThreshold < 0 || parsedThreshold > 1) {
-      return {
-        statusCode: 400,
-        body: {
-          error: 'El parámetro "threshold" debe ser un número entre 0 y 1',
-          received: threshold,
-          hint: 'El threshold representa la similitud mínima (0=cualquier similitud, 1=idéntico)'
-        }
-      };
-    }
-  }
-
+async function searchDocuments({ query_text, classroom_id, limit, threshold }, ctx) {
   try {
-    console.log(`[MCP] Buscando documentos similares`);
-    console.log(`[MCP] Query: "${query_text.substring(0, 50)}${query_text.length > 50 ? '...' : ''}"`);
-    console.log(`[MCP] Classroom ID: ${classroom_id || 'None (búsqueda global)'}`);
-    console.log(`[MCP] Limit: ${parsedLimit}`);
-    console.log(`[MCP] Threshold: ${threshold || 'default'}`);
+    log.info('Buscando documentos similares', {
+      query_length: query_text.length,
+      classroom_id: classroom_id || 'global',
+      limit,
+      threshold: threshold ?? 'default'
+    });
 
     // Preparar parámetros para MCP
     const mcpParams = {
       query_text: query_text,
-      limit: parsedLimit
+      limit
     };
 
     if (classroom_id) {
@@ -411,40 +288,151 @@ async function handleMcpSearchSimilarDocuments(params) {
     }
 
     if (threshold !== undefined) {
-      mcpParams.threshold = parseFloat(threshold);
+      mcpParams.threshold = threshold;
     }
 
     // Llamar al tool search_similar_documents del servidor MCP
-    const result = await callMcpTool('search_similar_documents', mcpParams);
-
-    return {
-      statusCode: 200,
-      body: {
-        success: true,
-        data: result,
-        source: 'mcp_server',
-        timestamp: new Date().toISOString(),
-        metadata: {
-          query_length: query_text.length,
-          query_preview: query_text.substring(0, 100) + (query_text.length > 100 ? '...' : ''),
-          classroom_id: classroom_id || null,
-          limit_used: parsedLimit,
-          threshold_used: threshold || 'default'
-        }
-      }
-    };
+    const call = await callMcpToolWithMeta('search_similar_documents', mcpParams, ctx);
+
+    return mcpToolResponse(call, {
+      query_length: query_text.length,
+      query_preview: query_text.substring(0, 100) + (query_text.length > 100 ? '...' : ''),
+      classroom_id: classroom_id || null,
+      limit_used: limit,
+      threshold_used: threshold ?? 'default'
+    });
   } catch (error) {
-    console.error(`[MCP] Error buscando documentos similares:`, error);
+    log.error('Error buscando documentos similares', { error });
     
-    return {
-      statusCode: 500,
-      body: {
-        error: error.message,
-        timestamp: new Date().toISOString(),
-        hint: 'Verifica que el servidor MCP esté funcionando y que las funciones de Supabase estén configuradas'
+    return mcpErrorResponse(error, 'Verifica que el servidor MCP esté funcionando y que las funciones de Supabase estén configuradas');
+  }
+}
+
+/**
+ * Resultados de una búsqueda: el servidor puede devolver la lista directamente
+ * o dentro de results / documents / matches
+ */
+function extractHits(data) {
+  if (Array.isArray(data)) return data;
+  if (!data || typeof data !== 'object') return [];
+  const list = data.results || data.documents || data.matches;
+  return Array.isArray(list) ? list : [];
+}
+
+function hitScore(hit) {
+  const score = hit.similarity ?? hit.score;
+  return typeof score === 'number' ? score : -Infinity;
+}
+
+/**
+ * scope "all": busca en el classroom y en la base global en paralelo y combina
+ * los resultados por similitud, marcando cada uno con su scope. Si solo falla
+ * uno de los dos se responde con el otro y el fallo en metadata.failed_scopes.
+ */
+async function searchAllDocuments(value, ctx) {
+  const { query_text, classroom_id, limit, threshold } = value;
+  const scopes = [
+    { scope: 'classroom', classroom_id },
+    { scope: 'global', classroom_id: undefined }
+  ];
+
+  const responses = await Promise.all(scopes.map(({ classroom_id: scopeClassroomId }) => (
+    searchDocuments({ query_text, classroom_id: scopeClassroomId, limit, threshold }, ctx)
+  )));
+
+  const failed = [];
+  const hits = [];
+  const seen = new Set();
+  const counts = { classroom: 0, global: 0 };
+
+  responses.forEach(({ statusCode, body }, index) => {
+    const { scope } = scopes[index];
+
+    if (statusCode !== 200) {
+      failed.push({ scope, status: statusCode, error: body.error, code: body.code });
+      return;
+    }
+
+    for (const hit of extractHits(body.data)) {
+      if (!hit || typeof hit !== 'object') continue;
+
+      // Un documento puede aparecer en ambas búsquedas; se conserva el del classroom
+      if (hit.id !== undefined) {
+        if (seen.has(hit.id)) continue;
+        seen.add(hit.id);
       }
-    };
+      hits.push({ ...hit, scope });
+    }
+  });
+
+  if (failed.length === scopes.length) {
+    return responses[0];
+  }
+
+  const results = hits
+    .sort((a, b) => hitScore(b) - hitScore(a))
+    .slice(0, limit);
+  for (const hit of results) counts[hit.scope] += 1;
+
+  return {
+    statusCode: 200,
+    body: {
+      success: true,
+      data: {
+        results,
+        total: results.length,
+        scopes: counts
+      },
+      source: 'mcp_server',
+      timestamp: new Date().toISOString(),
+      metadata: {
+        query_length: query_text.length,
+        query_preview: query_text.substring(0, 100) + (query_text.length > 100 ? '...' : ''),
+        classroom_id,
+        scope: 'all',
+        limit_used: limit,
+        threshold_used: threshold ?? 'default',
+        ...(failed.length > 0 && { failed_scopes: failed })
+      }
+    }
+  };
+}
+
+/**
+ * Handler para search_similar_documents vía MCP. scope elige los documentos:
+ * los del classroom, los globales o ambos combinados ("all")
+ */
+async function handleMcpSearchSimilarDocuments(params, ctx = {}) {
+  const { value, errorResponse } = validateRequest(schemas.searchSimilarDocuments, params);
+  if (errorResponse) {
+    return errorResponse;
   }
+
+  const scope = value.scope || (value.classroom_id ? 'classroom' : 'global');
+
+  if (scope === 'all') {
+    return searchAllDocuments(value, ctx);
+  }
+
+  return searchDocuments({
+    ...value,
+    classroom_id: scope === 'classroom' ? value.classroom_id : undefined
+  }, ctx);
+}
+
+// Herramientas que agregan chunks y cambian los resultados de search_similar_chunks
+const CHUNK_WRITE_TOOLS = ['store_document_chunks'];
+
+/**
+ * Invalida las búsquedas cacheadas tras una escritura exitosa de chunks, venga
+ * del endpoint dedicado o del gateway. Si no se conoce el classroom se
+ * invalidan las búsquedas de todos.
+ */
+async function invalidateSearchesAfterWrite(toolName, args, response) {
+  if (!CHUNK_WRITE_TOOLS.includes(toolName) || response.statusCode !== 200) return;
+
+  const data = response.body.data;
+  await invalidateClassroomSearches(args.classroom_id || (data && data.classroom_id));
 }
 
 /**
@@ -457,479 +445,242 @@ async function handleMcpSearchSimilarDocuments(params) {
  * - Genera embeddings
  * - Almacena todos los chunks
  */
-async function handleMcpStoreDocumentChunk(params) {
-  const { 
-    classroom_document_id,
-    chunk_size = 1000,
-    chunk_overlap = 100
-  } = params;
-
-  if (!classroom_document_id || !classroom_document_id.trim()) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "classroom_document_id"',
-        required: ['classroom_document_id'],
-        optional: ['chunk_size (default: 1000)', 'chunk_overlap (default: 100)'],
-        hint: 'El ID del documento es obligatorio. El documento se procesará automáticamente.'
-      }
-    };
+async function handleMcpStoreDocumentChunk(params, ctx = {}) {
+  const { value, errorResponse } = validateRequest(schemas.storeDocumentChunks, params);
+  if (errorResponse) {
+    return errorResponse;
   }
 
+  const { classroom_document_id, classroom_id, chunk_size, chunk_overlap } = value;
+
   try {
-    console.log(`[MCP] Procesando documento automáticamente`);
-    console.log(`[MCP] Document ID: ${classroom_document_id}`);
-    console.log(`[MCP] Chunk size: ${chunk_size}`);
-    console.log(`[MCP] Chunk overlap: ${chunk_overlap}`);
-    console.log(`[MCP] Este proceso puede tomar varios segundos...`);
+    log.info('Procesando documento (puede tomar varios segundos)', {
+      classroom_document_id,
+      chunk_size,
+      chunk_overlap
+    });
 
     // Llamar al tool store_document_chunks que procesa TODO automáticamente
-    const result = await callMcpTool('store_document_chunks', {
+    const call = await callMcpToolWithMeta('store_document_chunks', {
+      classroom_document_id,
+      chunk_size,
+      chunk_overlap
+    }, ctx);
+
+    const response = mcpToolResponse(call, {
       classroom_document_id,
-      chunk_size: parseInt(chunk_size),
-      chunk_overlap: parseInt(chunk_overlap)
+      chunk_size,
+      chunk_overlap,
+      mode: 'automatic_processing'
     });
 
-    return {
-      statusCode: 200,
-      body: {
-        success: true,
-        data: result,
-        source: 'mcp_server',
-        timestamp: new Date().toISOString(),
-        metadata: {
-          classroom_document_id,
-          chunk_size: parseInt(chunk_size),
-          chunk_overlap: parseInt(chunk_overlap),
-          mode: 'automatic_processing'
-        }
-      }
-    };
+    await invalidateSearchesAfterWrite('store_document_chunks', { classroom_id }, response);
+
+    return response;
   } catch (error) {
-    console.error(`[MCP] Error procesando documento:`, error);
+    log.error('Error procesando documento', { error });
     
-    return {
-      statusCode: 500,
-      body: {
-        error: error.message,
-        timestamp: new Date().toISOString(),
-        hint: 'Verifica que el documento exista en classroom_documents y tenga un archivo en Storage'
-      }
-    };
+    return mcpErrorResponse(error, 'Verifica que el documento exista en classroom_documents y tenga un archivo en Storage');
   }
 }
 
 /**
  * Handler para search_similar_chunks vía MCP
  */
-async function handleMcpSearchSimilarChunks(params) {
-  const { 
-    query_text,
-    classroom_id,
-    limit = 5,
-    threshold
-  } = params;
-
-  if (!query_text || !query_text.trim()) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "query_text" o está vacío',
-        required: ['query_text', 'classroom_id'],
-        optional: ['limit', 'threshold'],
-        hint: 'El texto de consulta no puede estar vacío'
-      }
-    };
+async function handleMcpSearchSimilarChunks(params, ctx = {}) {
+  const { value, errorResponse } = validateRequest(schemas.searchSimilarChunks, params);
+  if (errorResponse) {
+    return errorResponse;
   }
 
-  if (!classroom_id || !classroom_id.trim()) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "classroom_id"',
-        required: ['query_text', 'classroom_id'],
-        optional: ['limit', 'threshold'],
-        hint: 'El ID del classroom es OBLIGATORIO para esta búsqueda'
-      }
-    };
-  }
+  const { query_text, classroom_id, limit, threshold } = value;
 
-  try {
-    console.log(`[MCP] Buscando chunks similares en classroom ${classroom_id}`);
-    console.log(`[MCP] Query: "${query_text.substring(0, 50)}${query_text.length > 50 ? '...' : ''}"`);
-    console.log(`[MCP] Limit: ${limit}`);
-    console.log(`[MCP] Threshold: ${threshold || 'default'}`);
-
-    // Llamar al tool search_similar_chunks del servidor MCP
-    const result = await callMcpTool('search_similar_chunks', {
-      query_text,
-      classroom_id,
-      limit: parseInt(limit),
-      threshold: threshold ? parseFloat(threshold) : undefined
-    });
+  return cachedSearch({ query_text, classroom_id, limit, threshold }, async () => {
+    try {
+      log.info('Buscando chunks similares', {
+        classroom_id,
+        query_length: query_text.length,
+        limit,
+        threshold: threshold ?? 'default'
+      });
 
-    return {
-      statusCode: 200,
-      body: {
-        success: true,
-        data: result,
-        source: 'mcp_server',
-        timestamp: new Date().toISOString(),
-        metadata: {
-          query_text,
-          classroom_id,
-          limit: parseInt(limit),
-          threshold: threshold || 'default'
-        }
-      }
-    };
-  } catch (error) {
-    console.error(`[MCP] Error buscando chunks:`, error);
-    
-    return {
-      statusCode: 500,
-      body: {
-        error: error.message,
-        timestamp: new Date().toISOString(),
-        hint: 'Verifica que el classroom exista y que la función RPC match_classroom_chunks esté creada'
-      }
-    };
-  }
+      // Llamar al tool search_similar_chunks del servidor MCP
+      const call = await callMcpToolWithMeta('search_similar_chunks', {
+        query_text,
+        classroom_id,
+        limit,
+        threshold
+      }, ctx);
+
+      return mcpToolResponse(call, {
+        query_text,
+        classroom_id,
+        limit,
+        threshold: threshold ?? 'default'
+      });
+    } catch (error) {
+      log.error('Error buscando chunks', { error });
+
+      return mcpErrorResponse(error, 'Verifica que el classroom exista y que la función RPC match_classroom_chunks esté creada');
+    }
+  });
 }
 
 /**
  * Handler para chat_with_classroom_assistant vía MCP
  */
-async function handleMcpChatWithClassroom(params) {
-  const {
-    message,
-    classroom_id,
-    user_id,
-    session_id
-  } = params;
-
-  if (!message || !message.trim()) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "message" o está vacío',
-        required: ['message', 'classroom_id'],
-        optional: ['user_id', 'session_id'],
-        hint: 'El mensaje del usuario no puede estar vacío'
-      }
-    };
+async function handleMcpChatWithClassroom(params, ctx = {}) {
+  const { value, errorResponse } = validateRequest(schemas.chatWithClassroom, params);
+  if (errorResponse) {
+    return errorResponse;
   }
 
-  if (!classroom_id || !classroom_id.trim()) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "classroom_id"',
-        required: ['message', 'classroom_id'],
-        optional: ['user_id', 'session_id'],
-        hint: 'El ID del classroom es obligatorio'
-      }
-    };
-  }
+  const { message, classroom_id, user_id, session_id } = value;
 
   try {
-    console.log(`[MCP] Chat con asistente de classroom`);
-    console.log(`[MCP] Message: "${message.substring(0, 50)}${message.length > 50 ? '...' : ''}"`);
-    console.log(`[MCP] Classroom ID: ${classroom_id}`);
-    console.log(`[MCP] User ID: ${user_id || 'Anonymous'}`);
-    console.log(`[MCP] Session ID: ${session_id || 'N/A'}`);
+    log.info('Chat con asistente de classroom', {
+      classroom_id,
+      user_id: user_id || 'anonymous',
+      session_id: session_id || null,
+      message_length: message.length
+    });
 
     // Llamar al tool chat_with_classroom_assistant del servidor MCP
-    const result = await callMcpTool('chat_with_classroom_assistant', {
+    const call = await callMcpToolWithMeta('chat_with_classroom_assistant', {
       request: {
         message,
         classroom_id,
         user_id: user_id || null,
         session_id: session_id || null
       }
-    });
+    }, ctx);
 
-    return {
-      statusCode: 200,
-      body: {
-        success: true,
-        data: result,
-        source: 'mcp_server',
-        timestamp: new Date().toISOString(),
-        metadata: {
-          message_length: message.length,
-          classroom_id,
-          user_id: user_id || 'anonymous',
-          session_id: session_id || 'none'
-        }
-      }
-    };
+    return mcpToolResponse(call, {
+      message_length: message.length,
+      classroom_id,
+      user_id: user_id || 'anonymous',
+      session_id: session_id || 'none'
+    });
   } catch (error) {
-    console.error(`[MCP] Error en chat con asistente:`, error);
+    log.error('Error en chat con asistente', { error });
     
-    return {
-      statusCode: 500,
-      body: {
-        error: error.message,
-        timestamp: new Date().toISOString(),
-        hint: 'Verifica que el classroom exista y tenga documentos cargados'
-      }
-    };
+    return mcpErrorResponse(error, 'Verifica que el classroom exista y tenga documentos cargados');
   }
 }
 
 /**
  * Handler para get_classroom_info vía MCP
  */
-async function handleMcpGetClassroomInfo(params) {
-  const { classroom_id } = params;
-
-  if (!classroom_id || !classroom_id.trim()) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "classroom_id"',
-        required: ['classroom_id'],
-        hint: 'El ID del classroom es obligatorio'
-      }
-    };
+async function handleMcpGetClassroomInfo(params, ctx = {}) {
+  const { value, errorResponse } = validateRequest(schemas.getClassroomInfo, params);
+  if (errorResponse) {
+    return errorResponse;
   }
 
+  const { classroom_id } = value;
+
   try {
-    console.log(`[MCP] Obteniendo información del classroom ${classroom_id}`);
+    log.info('Obteniendo información del classroom', { classroom_id });
 
     // Llamar al tool get_classroom_info del servidor MCP
-    const result = await callMcpTool('get_classroom_info', {
+    const call = await callMcpToolWithMeta('get_classroom_info', {
       classroom_id
-    });
+    }, ctx);
 
-    return {
-      statusCode: 200,
-      body: {
-        success: true,
-        data: result,
-        source: 'mcp_server',
-        timestamp: new Date().toISOString()
-      }
-    };
+    return mcpToolResponse(call);
   } catch (error) {
-    console.error(`[MCP] Error obteniendo información del classroom:`, error);
+    log.error('Error obteniendo información del classroom', { error });
     
-    return {
-      statusCode: 500,
-      body: {
-        error: error.message,
-        timestamp: new Date().toISOString(),
-        hint: 'Verifica que el classroom exista'
-      }
-    };
+    return mcpErrorResponse(error, 'Verifica que el classroom exista');
   }
 }
 
 /**
  * Handler para create_embedding vía MCP
  */
-async function handleMcpCreateEmbedding(params) {
-  const { text, classroom_id } = params;
-
-  if (!text || !text.trim()) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "text" o está vacío',
-        required: ['text', 'classroom_id'],
-        hint: 'El texto no puede estar vacío'
-      }
-    };
+async function handleMcpCreateEmbedding(params, ctx = {}) {
+  const { value, errorResponse } = validateRequest(schemas.createEmbedding, params);
+  if (errorResponse) {
+    return errorResponse;
   }
 
-  if (!classroom_id || !classroom_id.trim()) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "classroom_id"',
-        required: ['text', 'classroom_id'],
-        hint: 'El ID del classroom es obligatorio'
-      }
-    };
-  }
+  const { text, classroom_id } = value;
 
   try {
-    console.log(`[MCP] Creando embedding`);
-    console.log(`[MCP] Text length: ${text.length} caracteres`);
-    console.log(`[MCP] Classroom ID: ${classroom_id}`);
+    log.info('Creando embedding', { classroom_id, text_length: text.length });
 
     // Llamar al tool create_embedding del servidor MCP
-    const result = await callMcpTool('create_embedding', {
+    const call = await callMcpToolWithMeta('create_embedding', {
       text,
       classroom_id
-    });
+    }, ctx);
 
-    return {
-      statusCode: 200,
-      body: {
-        success: true,
-        data: result,
-        source: 'mcp_server',
-        timestamp: new Date().toISOString(),
-        metadata: {
-          text_length: text.length,
-          classroom_id
-        }
-      }
-    };
+    return mcpToolResponse(call, {
+      text_length: text.length,
+      classroom_id
+    });
   } catch (error) {
-    console.error(`[MCP] Error creando embedding:`, error);
+    log.error('Error creando embedding', { error });
     
-    return {
-      statusCode: 500,
-      body: {
-        error: error.message,
-        timestamp: new Date().toISOString(),
-        hint: 'Verifica la configuración de Gemini y Supabase'
-      }
-    };
+    return mcpErrorResponse(error, 'Verifica la configuración de Gemini y Supabase');
   }
 }
 
 /**
  * Handler para professor_assistant vía MCP
  */
-async function handleMcpProfessorAssistant(params) {
-  const { question, classroom_id } = params;
-
-  if (!question || !question.trim()) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "question" o está vacío',
-        required: ['question', 'classroom_id'],
-        hint: 'La pregunta no puede estar vacía'
-      }
-    };
+async function handleMcpProfessorAssistant(params, ctx = {}) {
+  const { value, errorResponse } = validateRequest(schemas.professorAssistant, params);
+  if (errorResponse) {
+    return errorResponse;
   }
 
-  if (!classroom_id || !classroom_id.trim()) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "classroom_id"',
-        required: ['question', 'classroom_id'],
-        hint: 'El ID del classroom es obligatorio'
-      }
-    };
-  }
+  const { question, classroom_id } = value;
 
   try {
-    console.log(`[MCP] Consultando al profesor asistente`);
-    console.log(`[MCP] Question: "${question.substring(0, 60)}${question.length > 60 ? '...' : ''}"`);
-    console.log(`[MCP] Classroom ID: ${classroom_id}`);
+    log.info('Consultando al profesor asistente', { classroom_id, question_length: question.length });
 
     // Llamar al tool professor_assistant del servidor MCP
-    const result = await callMcpTool('professor_assistant', {
+    const call = await callMcpToolWithMeta('professor_assistant', {
       question,
       classroom_id
-    });
+    }, ctx);
 
-    return {
-      statusCode: 200,
-      body: {
-        success: true,
-        data: result,
-        source: 'mcp_server',
-        timestamp: new Date().toISOString(),
-        metadata: {
-          question_length: question.length,
-          classroom_id
-        }
-      }
-    };
+    return mcpToolResponse(call, {
+      question_length: question.length,
+      classroom_id
+    });
   } catch (error) {
-    console.error(`[MCP] Error en professor assistant:`, error);
+    log.error('Error en professor assistant', { error });
     
-    return {
-      statusCode: 500,
-      body: {
-        error: error.message,
-        timestamp: new Date().toISOString(),
-        hint: 'Verifica que el classroom tenga documentos cargados'
-      }
-    };
+    return mcpErrorResponse(error, 'Verifica que el classroom tenga documentos cargados');
   }
 }
 
 /**
  * Handler para generate_resources vía MCP
  */
-async function handleMcpGenerateResources(params) {
-  const { 
-    classroom_id,
-    resource_type,
-    user_id,
-    topic,
-    source_document_ids
-  } = params;
-
-  // Validaciones
-  if (!classroom_id || !classroom_id.trim()) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "classroom_id"',
-        required: ['classroom_id', 'resource_type', 'user_id'],
-        optional: ['topic', 'source_document_ids'],
-        hint: 'El ID del classroom es obligatorio'
-      }
-    };
+async function handleMcpGenerateResources(params, ctx = {}) {
+  const { value, errorResponse } = validateRequest(schemas.generateResources, params);
+  if (errorResponse) {
+    return errorResponse;
   }
 
-  if (!resource_type || !resource_type.trim()) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "resource_type"',
-        required: ['classroom_id', 'resource_type', 'user_id'],
-        optional: ['topic', 'source_document_ids'],
-        hint: 'El tipo de recurso es obligatorio: "pdf" o "ppt"'
-      }
-    };
-  }
-
-  if (!['pdf', 'ppt'].includes(resource_type.toLowerCase())) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Tipo de recurso inválido',
-        received: resource_type,
-        allowed: ['pdf', 'ppt'],
-        hint: 'El tipo de recurso debe ser "pdf" o "ppt"'
-      }
-    };
-  }
-
-  if (!user_id || !user_id.trim()) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "user_id"',
-        required: ['classroom_id', 'resource_type', 'user_id'],
-        optional: ['topic', 'source_document_ids'],
-        hint: 'El ID del usuario es obligatorio'
-      }
-    };
-  }
+  const { classroom_id, resource_type, user_id, topic, source_document_ids } = value;
 
   try {
-    console.log(`[MCP] Generando recurso educativo ${resource_type.toUpperCase()}`);
-    console.log(`[MCP] Classroom ID: ${classroom_id}`);
-    console.log(`[MCP] User ID: ${user_id}`);
-    console.log(`[MCP] Topic: ${topic || 'General'}`);
-    console.log(`[MCP] Source Documents: ${source_document_ids ? source_document_ids.length : 'all'}`);
+    log.info('Generando recurso educativo', {
+      resource_type,
+      classroom_id,
+      user_id,
+      topic: topic || 'General',
+      source_documents: source_document_ids ? source_document_ids.length : 'all'
+    });
 
     // Preparar parámetros para MCP
     const mcpParams = {
       classroom_id,
-      resource_type: resource_type.toLowerCase(),
+      resource_type,
       user_id
     };
 
@@ -937,197 +688,167 @@ async function handleMcpGenerateResources(params) {
       mcpParams.topic = topic;
     }
 
-    if (source_document_ids && Array.isArray(source_document_ids)) {
+    if (source_document_ids) {
       mcpParams.source_document_ids = source_document_ids;
     }
 
     // Llamar al tool generate_resources del servidor MCP
-    const result = await callMcpTool('generate_resources', mcpParams);
+    const call = await callMcpToolWithMeta('generate_resources', mcpParams, ctx);
 
-    return {
-      statusCode: 200,
-      body: {
-        success: true,
-        data: result,
-        source: 'mcp_server',
-        timestamp: new Date().toISOString(),
-        metadata: {
-          classroom_id,
-          resource_type: resource_type.toLowerCase(),
-          user_id,
-          topic: topic || null
-        }
-      }
-    };
+    return mcpToolResponse(call, {
+      classroom_id,
+      resource_type,
+      user_id,
+      topic: topic || null
+    });
   } catch (error) {
-    console.error(`[MCP] Error generando recursos:`, error);
+    log.error('Error generando recursos', { error });
     
-    return {
-      statusCode: 500,
-      body: {
-        error: error.message,
-        timestamp: new Date().toISOString(),
-        hint: 'Verifica que el classroom tenga documentos cargados y que las dependencias de generación estén instaladas'
-      }
-    };
+    return mcpErrorResponse(error, 'Verifica que el classroom tenga documentos cargados y que las dependencias de generación estén instaladas');
   }
 }
 
 /**
  * Handler para analyze_and_update_user_context vía MCP
  */
-async function handleMcpAnalyzeUserContext(params) {
-  const { user_id, session_id } = params;
-
-  if (!user_id || !user_id.trim()) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "user_id"',
-        required: ['user_id', 'session_id'],
-        hint: 'El ID del usuario es obligatorio'
-      }
-    };
+async function handleMcpAnalyzeUserContext(params, ctx = {}) {
+  const { value, errorResponse } = validateRequest(schemas.analyzeUserContext, params);
+  if (errorResponse) {
+    return errorResponse;
   }
 
-  if (!session_id || !session_id.trim()) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "session_id"',
-        required: ['user_id', 'session_id'],
-        hint: 'El ID de la sesión es obligatorio'
-      }
-    };
-  }
+  const { user_id, session_id } = value;
 
   try {
-    console.log(`[MCP] Analizando contexto de usuario`);
-    console.log(`[MCP] User ID: ${user_id}`);
-    console.log(`[MCP] Session ID: ${session_id}`);
+    log.info('Analizando contexto de usuario', { user_id, session_id });
 
     // Llamar al tool analyze_and_update_user_context del servidor MCP
-    const result = await callMcpTool('analyze_and_update_user_context', {
+    const call = await callMcpToolWithMeta('analyze_and_update_user_context', {
       user_id,
       session_id
-    });
+    }, ctx);
 
-    return {
-      statusCode: 200,
-      body: {
-        success: true,
-        data: result,
-        source: 'mcp_server',
-        timestamp: new Date().toISOString(),
-        metadata: {
-          user_id,
-          session_id
-        }
-      }
-    };
+    return mcpToolResponse(call, {
+      user_id,
+      session_id
+    });
   } catch (error) {
-    console.error(`[MCP] Error analizando contexto de usuario:`, error);
+    log.error('Error analizando contexto de usuario', { error });
     
-    return {
-      statusCode: 500,
-      body: {
-        error: error.message,
-        timestamp: new Date().toISOString(),
-        hint: 'Verifica que el usuario y la sesión existan'
-      }
-    };
+    return mcpErrorResponse(error, 'Verifica que el usuario y la sesión existan');
   }
 }
 
 /**
  * Handler para generate_flashcards vía MCP
  */
-async function handleMcpGenerateFlashcards(params) {
-  const {
-    classroom_id,
-    max_flashcards = 20,
-    difficulty_level = 'mixed'
-  } = params;
-
-  // Validación de parámetros
-  if (!classroom_id || !classroom_id.trim()) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "classroom_id"',
-        required: ['classroom_id'],
-        optional: ['max_flashcards (default: 20)', 'difficulty_level (default: mixed)'],
-        hint: 'El ID del classroom es obligatorio'
-      }
-    };
+async function handleMcpGenerateFlashcards(params, ctx = {}) {
+  const { value, errorResponse } = validateRequest(schemas.generateFlashcards, params);
+  if (errorResponse) {
+    return errorResponse;
   }
 
-  // Validar difficulty_level
-  const validLevels = ['easy', 'medium', 'hard', 'mixed'];
-  if (!validLevels.includes(difficulty_level)) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Nivel de dificultad inválido',
-        received: difficulty_level,
-        allowed: validLevels,
-        hint: 'Use uno de los niveles permitidos'
-      }
-    };
-  }
-
-  // Validar max_flashcards
-  const parsedMax = parseInt(max_flashcards);
-  if (isNaN(parsedMax) || parsedMax < 1 || parsedMax > 50) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'max_flashcards debe ser un número entre 1 y 50',
-        received: max_flashcards,
-        hint: 'Use un número razonable de flashcards a generar'
-      }
-    };
-  }
+  const { classroom_id, max_flashcards, difficulty_level } = value;
 
   try {
-    console.log(`[MCP] Generando flashcards`);
-    console.log(`[MCP] Classroom ID: ${classroom_id}`);
-    console.log(`[MCP] Max Flashcards: ${parsedMax}`);
-    console.log(`[MCP] Difficulty Level: ${difficulty_level}`);
-    console.log(`[MCP] Este proceso puede tomar varios segundos...`);
+    log.info('Generando flashcards (puede tomar varios segundos)', {
+      classroom_id,
+      max_flashcards,
+      difficulty_level
+    });
 
     // Llamar al tool generate_flashcards del servidor MCP
-    const result = await callMcpTool('generate_flashcards', {
+    const call = await callMcpToolWithMeta('generate_flashcards', {
+      classroom_id,
+      max_flashcards,
+      difficulty_level
+    }, ctx);
+
+    return mcpToolResponse(call, {
       classroom_id,
-      max_flashcards: parsedMax,
+      max_flashcards,
       difficulty_level
     });
+  } catch (error) {
+    log.error('Error generando flashcards', { error });
+    
+    return mcpErrorResponse(error, 'Verifica que el classroom tenga documentos con contenido');
+  }
+}
+
+// ========== GATEWAY GENÉRICO ==========
+
+/**
+ * Handler para GET /tools: herramientas públicas descubiertas con tools/list
+ */
+async function handleListTools(params, ctx = {}) {
+  try {
+    const refresh = params.refresh === true || params.refresh === 'true';
+    const tools = await listTools({ refresh }, ctx);
 
     return {
       statusCode: 200,
       body: {
         success: true,
-        data: result,
+        data: {
+          tools: tools.map((tool) => ({
+            name: tool.name,
+            ...(tool.title && { title: tool.title }),
+            description: tool.description || '',
+            input_schema: tool.inputSchema || { type: 'object' },
+            ...(tool.annotations && { annotations: tool.annotations }),
+            path: `/tools/${tool.name}`
+          })),
+          count: tools.length
+        },
         source: 'mcp_server',
-        timestamp: new Date().toISOString(),
-        metadata: {
-          classroom_id,
-          max_flashcards: parsedMax,
-          difficulty_level
-        }
+        timestamp: new Date().toISOString()
       }
     };
   } catch (error) {
-    console.error(`[MCP] Error generando flashcards:`, error);
-    
-    return {
-      statusCode: 500,
-      body: {
-        error: error.message,
-        timestamp: new Date().toISOString(),
-        hint: 'Verifica que el classroom tenga documentos con contenido'
-      }
-    };
+    log.error('Error listando herramientas', { error });
+
+    return mcpErrorResponse(error, 'Verifica que el servidor MCP esté funcionando');
+  }
+}
+
+/**
+ * Handler para POST /tools/{tool}: el body son los argumentos de la herramienta
+ * y se valida contra su inputSchema antes de llamarla
+ */
+async function handleCallTool(params, ctx = {}) {
+  const { tool: toolName, ...toolArgs } = params;
+
+  try {
+    const tool = await getTool(toolName, ctx);
+    if (!tool) {
+      throw new BridgeError('TOOL_NOT_FOUND', `La herramienta "${toolName}" no existe o no está publicada`);
+    }
+
+    const errors = validateJsonSchema(tool.inputSchema, toolArgs);
+    if (errors.length > 0) {
+      return {
+        statusCode: 400,
+        body: {
+          error: 'Parámetros inválidos',
+          code: 'INVALID_PARAMS',
+          details: errors,
+          hint: `Consulta GET /tools para ver el inputSchema de ${toolName}`,
+          timestamp: new Date().toISOString()
+        }
+      };
+    }
+
+    const call = await callMcpToolWithMeta(toolName, toolArgs, ctx);
+    const response = mcpToolResponse(call, { tool: toolName });
+
+    await invalidateSearchesAfterWrite(toolName, toolArgs, response);
+
+    return response;
+  } catch (error) {
+    log.error('Error llamando herramienta desde el gateway', { tool: toolName, error });
+
+    return mcpErrorResponse(error);
   }
 }
 
@@ -1148,4 +869,6 @@ module.exports = {
   handleMcpGenerateResources,
   handleMcpAnalyzeUserContext,
   handleMcpGenerateFlashcards,
+  handleListTools,
+  handleCallTool,
 };
@@ -0,0 +1,677 @@
+/**
+ * Cliente MCP (Streamable HTTP) para el bridge
+ * Maneja el transporte HTTP, el handshake initialize / notifications/initialized
+ * y el header Mcp-Session-Id. Cada herramienta se envía al backend que le
+ * corresponde (ver backends.js) y cada backend tiene su propia sesión, guardada a
+ * nivel de módulo, así que se reutiliza entre invocaciones mientras el
+ * contenedor Lambda esté caliente.
+ *
+ * Timeouts: cada llamada tiene un deadline = el menor entre el timeout de la
+ * herramienta y options.deadline (tiempo restante de la invocación Lambda menos
+ * un margen, ver index.js). Al vencer se aborta el socket, se envía
+ * notifications/cancelled y se lanza McpTimeoutError (504). El timeout de una
+ * herramienta se toma, en orden, de:
+ * - MCP_TOOL_TIMEOUTS: JSON con overrides por herramienta, p. ej. {"generate_resources": 60000}
+ * - tool_timeouts del backend
+ * - los timeouts propios del bridge para herramientas lentas (TOOL_TIMEOUTS)
+ * - timeout_ms del backend
+ * - MCP_TIMEOUT_MS (default: 25000)
+ *
+ * Correlación: options.requestId (el X-Request-Id de la petición, ver index.js)
+ * se envía al servidor MCP en el header X-Request-Id y en params._meta, y forma
+ * parte de los ids JSON-RPC para que sean únicos entre llamadas concurrentes.
+ */
+
+const crypto = require('crypto');
+const https = require('https');
+const http = require('http');
+const { createSseParser } = require('./sse');
+const { BridgeError, fromJsonRpcError, toBridgeError, toolError } = require('./errors');
+const {
+  McpTransientError,
+  McpTimeoutError,
+  isTransientStatus,
+  isIdempotentTool,
+  withRetries,
+  withCircuitBreaker
+} = require('./resilience');
+const { resolveBackend, getDefaultBackend, getBackend, backendAuthHeaders } = require('./backends');
+const { createLogger, getLogContext } = require('./logger');
+const { emitMetrics, statusClass, payloadBytes } = require('./metrics');
+const { normalizeToolResult } = require('./tool_result');
+const { version } = require('./package.json');
+
+const log = createLogger('mcp');
+
+const DEFAULT_TIMEOUT_MS = 25000;
+
+// Herramientas lentas (descargan y procesan archivos completos)
+const TOOL_TIMEOUTS = {
+  store_document_chunks: 120000
+};
+
+// Tiempo máximo para avisar al servidor que cancele una petición vencida
+const CANCEL_TIMEOUT_MS = 1000;
+
+// Notificaciones del servidor que se exponen en la metadata de la respuesta
+const COLLECTED_NOTIFICATIONS = ['notifications/progress', 'notifications/message'];
+
+/**
+ * Consume una respuesta SSE de MCP. Cada evento trae un mensaje JSON-RPC: la
+ * respuesta cuyo id coincide con options.rpcId se devuelve como body y las
+ * notificaciones de progreso y log que lleguen antes se acumulan en notifications.
+ * Si el stream termina sin esa respuesta, body es null.
+ */
+function readEventStream(res, options, resolve) {
+  const notifications = [];
+  let response = null;
+  let settled = false;
+
+  const finish = () => {
+    if (settled) return;
+    settled = true;
+    resolve({
+      statusCode: res.statusCode,
+      headers: res.headers,
+      body: response,
+      notifications
+    });
+  };
+
+  const parser = createSseParser((event) => {
+    let payload;
+    try {
+      payload = JSON.parse(event.data);
+    } catch (e) {
+      log.warn('Evento SSE sin JSON válido, ignorado', { event: event.event });
+      return;
+    }
+
+    for (const message of Array.isArray(payload) ? payload : [payload]) {
+      if (message.method && message.id === undefined) {
+        if (COLLECTED_NOTIFICATIONS.includes(message.method)) {
+          notifications.push({ method: message.method, params: message.params || {} });
+        }
+        if (options.onNotification) {
+          options.onNotification(message);
+        }
+        continue;
+      }
+
+      const isResponse = message.result !== undefined || message.error !== undefined;
+      if (isResponse && (options.rpcId === undefined || message.id === options.rpcId)) {
+        response = message;
+        finish();
+        // La respuesta ya llegó: no esperamos a que el servidor cierre el stream
+        res.destroy();
+        return;
+      }
+    }
+  });
+
+  res.on('data', (chunk) => {
+    if (!settled) parser.push(chunk);
+  });
+
+  res.on('end', () => {
+    parser.end();
+    finish();
+  });
+}
+
+/**
+ * Realiza una petición HTTP/HTTPS
+ * Con options.timeoutMs aborta el socket y rechaza con McpTimeoutError si la
+ * respuesta (incluido el stream SSE) no termina a tiempo.
+ */
+function makeHttpRequest(url, options = {}) {
+  return new Promise((promiseResolve, promiseReject) => {
+    let timer = null;
+    const resolve = (value) => {
+      clearTimeout(timer);
+      promiseResolve(value);
+    };
+    const reject = (error) => {
+      clearTimeout(timer);
+      promiseReject(error);
+    };
+
+    const urlObj = new URL(url);
+    const protocol = urlObj.protocol === 'https:' ? https : http;
+    
+    const reqOptions = {
+      hostname: urlObj.hostname,
+      port: urlObj.port,
+      path: urlObj.pathname + urlObj.search,
+      method: options.method || 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json, text/event-stream',
+        'User-Agent': 'FiscAI-Lambda-Bridge',
+        ...options.headers
+      }
+    };
+
+    const req = protocol.request(reqOptions, (res) => {
+      res.on('error', reject);
+
+      const contentType = res.headers['content-type'] || '';
+
+      // Si el Content-Type es text/event-stream, parsear como SSE
+      if (contentType.includes('text/event-stream')) {
+        readEventStream(res, options, resolve);
+        return;
+      }
+
+      let data = '';
+      
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      
+      res.on('end', () => {
+        try {
+          // Parsear como JSON normal
+          const parsed = JSON.parse(data);
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: parsed,
+            notifications: []
+          });
+        } catch (e) {
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: data,
+            notifications: []
+          });
+        }
+      });
+    });
+    
+    req.on('error', reject);
+
+    if (options.timeoutMs !== undefined) {
+      timer = setTimeout(() => {
+        reject(new McpTimeoutError(`Sin respuesta en ${options.timeoutMs}ms`));
+        req.destroy();
+      }, Math.max(0, options.timeoutMs));
+    }
+    
+    if (options.body) {
+      req.write(typeof options.body === 'string' ? options.body : JSON.stringify(options.body));
+    }
+    
+    req.end();
+  });
+}
+
+// Versiones del protocolo MCP soportadas, de la más reciente a la más antigua
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const CLIENT_INFO = {
+  name: 'estudia-lambda-bridge',
+  version
+};
+
+// Sesión MCP de cada backend, por nombre (persiste entre invocaciones en caliente)
+const sessions = new Map();
+
+function getSession(backend) {
+  if (!sessions.has(backend.name)) {
+    sessions.set(backend.name, {
+      id: null,
+      protocolVersion: null,
+      serverCapabilities: null,
+      serverInfo: null,
+      initialized: false,
+      initializing: null
+    });
+  }
+  return sessions.get(backend.name);
+}
+
+// Llave de params._meta con el id de correlación
+const REQUEST_ID_META_KEY = 'estudia/request_id';
+
+let requestCounter = 0;
+
+/**
+ * Id JSON-RPC único: id de correlación (o un UUID si no hay) más un contador del contenedor
+ */
+function nextRequestId(prefix, correlationId) {
+  requestCounter += 1;
+  return `${prefix}-${correlationId || crypto.randomUUID()}-${requestCounter}`;
+}
+
+function correlationHeaders(options) {
+  return options.requestId ? { 'X-Request-Id': options.requestId } : {};
+}
+
+function sessionHeaders(session) {
+  const headers = {};
+  if (session.id) headers['Mcp-Session-Id'] = session.id;
+  if (session.protocolVersion) headers['MCP-Protocol-Version'] = session.protocolVersion;
+  return headers;
+}
+
+/**
+ * Milisegundos que quedan hasta deadline (epoch en ms), o undefined sin deadline
+ */
+function remainingMs(deadline) {
+  return deadline ? deadline - Date.now() : undefined;
+}
+
+function postToMcp(backend, message, options = {}) {
+  return makeHttpRequest(`${backend.url}${backend.path}`, {
+    method: 'POST',
+    body: message,
+    rpcId: message.id,
+    onNotification: options.onNotification,
+    timeoutMs: options.timeoutMs !== undefined ? options.timeoutMs : remainingMs(options.deadline),
+    headers: {
+      'Accept': 'application/json, text/event-stream',
+      'Content-Type': 'application/json',
+      ...backendAuthHeaders(backend),
+      ...sessionHeaders(getSession(backend)),
+      ...correlationHeaders(options)
+    }
+  });
+}
+
+function getHeader(headers, name) {
+  return headers[name.toLowerCase()] || null;
+}
+
+function clearSession(session) {
+  session.id = null;
+  session.protocolVersion = null;
+  session.serverCapabilities = null;
+  session.serverInfo = null;
+  session.initialized = false;
+}
+
+/**
+ * Olvida la sesión de un backend, o las de todos; la siguiente llamada hará un
+ * nuevo initialize
+ */
+function resetSession(backendName) {
+  for (const [name, session] of sessions) {
+    if (backendName === undefined || name === backendName) clearSession(session);
+  }
+}
+
+/**
+ * Handshake MCP: initialize + notifications/initialized
+ */
+async function initializeSession(backend, options = {}) {
+  const session = getSession(backend);
+  clearSession(session);
+  log.info('Inicializando sesión', { backend: backend.name, server: backend.url });
+
+  const response = await postToMcp(backend, {
+    jsonrpc: '2.0',
+    id: nextRequestId('init', options.requestId),
+    method: 'initialize',
+    params: {
+      protocolVersion: SUPPORTED_PROTOCOL_VERSIONS[0],
+      capabilities: {},
+      clientInfo: CLIENT_INFO
+    }
+  }, options);
+
+  if (isTransientStatus(response.statusCode)) {
+    throw new McpTransientError(`Error inicializando sesión MCP (HTTP ${response.statusCode})`, {
+      upstreamStatus: response.statusCode
+    });
+  }
+
+  if (response.statusCode !== 200 || !response.body || !response.body.result) {
+    throw new BridgeError('MCP_BAD_RESPONSE', `Error inicializando sesión MCP (HTTP ${response.statusCode})`, {
+      details: { body: response.body }
+    });
+  }
+
+  const { protocolVersion, capabilities, serverInfo } = response.body.result;
+
+  if (!SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+    throw new BridgeError('MCP_BAD_RESPONSE', `Versión de protocolo MCP no soportada: ${protocolVersion}`);
+  }
+
+  session.id = getHeader(response.headers, 'Mcp-Session-Id');
+  session.protocolVersion = protocolVersion;
+  session.serverCapabilities = capabilities || {};
+  session.serverInfo = serverInfo || null;
+
+  const notification = await postToMcp(backend, {
+    jsonrpc: '2.0',
+    method: 'notifications/initialized'
+  }, options);
+
+  if (notification.statusCode >= 400) {
+    clearSession(session);
+    throw new BridgeError('MCP_BAD_RESPONSE', `Error confirmando sesión MCP (HTTP ${notification.statusCode})`, {
+      details: { body: notification.body }
+    });
+  }
+
+  session.initialized = true;
+  log.info('Sesión lista', {
+    backend: backend.name,
+    protocol_version: protocolVersion,
+    session_id: session.id || 'sin estado'
+  });
+}
+
+/**
+ * Garantiza una sesión inicializada con el backend; las llamadas concurrentes
+ * comparten el handshake
+ */
+async function ensureSession(backend, options = {}) {
+  const session = getSession(backend);
+  if (session.initialized) return;
+
+  if (!session.initializing) {
+    session.initializing = initializeSession(backend, options).finally(() => {
+      session.initializing = null;
+    });
+  }
+
+  await session.initializing;
+}
+
+/**
+ * El servidor responde 404 cuando la sesión expiró (o 400 si ya no la reconoce)
+ */
+function isSessionExpired(session, response) {
+  if (!session.id) return false;
+  if (response.statusCode === 404) return true;
+  return response.statusCode === 400 && /session/i.test(JSON.stringify(response.body || ''));
+}
+
+/**
+ * Pide al servidor que deje de procesar una petición que ya no esperamos.
+ * Es best effort: si falla solo se registra.
+ */
+async function cancelRequest(backend, requestId, reason, options = {}) {
+  try {
+    await postToMcp(backend, {
+      jsonrpc: '2.0',
+      method: 'notifications/cancelled',
+      params: { requestId, reason }
+    }, { timeoutMs: CANCEL_TIMEOUT_MS, requestId: options.requestId });
+    log.info('Petición cancelada', { backend: backend.name, mcp_request_id: requestId });
+  } catch (error) {
+    log.warn('No se pudo cancelar la petición', { backend: backend.name, mcp_request_id: requestId, error });
+  }
+}
+
+/**
+ * Envía una petición JSON-RPC dentro de la sesión del backend, re-inicializando
+ * una vez si el servidor reporta la sesión como expirada.
+ * options.backend es el backend (ver backends.js; default: el backend por defecto),
+ * options.onNotification recibe cada notificación SSE conforme llega y
+ * options.deadline (epoch en ms) limita la espera; al vencer se cancela la petición.
+ */
+async function sendRequest(method, params, options = {}) {
+  const backend = options.backend || getDefaultBackend();
+  const session = getSession(backend);
+  await ensureSession(backend, options);
+
+  const id = nextRequestId('call', options.requestId);
+  const message = { jsonrpc: '2.0', id, method, params };
+  const meta = { ...(params && params._meta) };
+
+  // Con un progressToken el servidor envía notifications/progress de esta petición
+  if (options.onNotification) meta.progressToken = id;
+  if (options.requestId) meta[REQUEST_ID_META_KEY] = options.requestId;
+
+  if (Object.keys(meta).length > 0) {
+    message.params = { ...params, _meta: meta };
+  }
+
+  try {
+    let response = await postToMcp(backend, message, options);
+
+    if (isSessionExpired(session, response)) {
+      log.info('Sesión expirada, re-inicializando', { backend: backend.name, session_id: session.id });
+      clearSession(session);
+      await ensureSession(backend, options);
+      response = await postToMcp(backend, message, options);
+    }
+
+    return response;
+  } catch (error) {
+    if (error instanceof McpTimeoutError) {
+      await cancelRequest(backend, id, error.message, options);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Información de la sesión con un backend (sin secretos); default: el backend por defecto
+ */
+function getSessionInfo(backendName) {
+  const backend = (backendName && getBackend(backendName)) || getDefaultBackend();
+  const session = getSession(backend);
+  return {
+    initialized: session.initialized,
+    session_id: session.id,
+    protocol_version: session.protocolVersion,
+    server_info: session.serverInfo,
+    server_capabilities: session.serverCapabilities
+  };
+}
+
+/**
+ * Deadline (epoch en ms) de una llamada: el timeout de la herramienta acotado
+ * por el deadline de la invocación
+ */
+function resolveDeadline(toolName, backend, options) {
+  const overrides = process.env.MCP_TOOL_TIMEOUTS ? JSON.parse(process.env.MCP_TOOL_TIMEOUTS) : {};
+  const timeoutMs = overrides[toolName]
+    ?? backend.toolTimeouts[toolName]
+    ?? TOOL_TIMEOUTS[toolName]
+    ?? backend.timeoutMs
+    ?? (parseInt(process.env.MCP_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS);
+
+  const deadline = Date.now() + timeoutMs;
+  return options.deadline ? Math.min(deadline, options.deadline) : deadline;
+}
+
+/**
+ * Un intento de tools/call. Las fallas transitorias (red, 429, 502, 503, 504)
+ * se lanzan como McpTransientError para que puedan reintentarse.
+ */
+async function callToolOnce(toolName, toolArgs, options) {
+  const response = await sendRequest('tools/call', {
+    name: toolName,
+    arguments: toolArgs
+  }, options);
+
+  const notifications = response.notifications || [];
+  log.debug('Respuesta de herramienta', {
+    tool: toolName,
+    backend: options.backend.name,
+    status: response.statusCode,
+    body: response.body,
+    notifications: notifications.length
+  });
+
+  const hasJsonBody = response.body !== null && typeof response.body === 'object' && !Array.isArray(response.body);
+
+  if (response.statusCode === 200) {
+    // Un stream SSE sin la respuesta o un body que no es objeto no es un resultado
+    if (!hasJsonBody) {
+      throw new BridgeError('MCP_BAD_RESPONSE', 'El servidor MCP no devolvió la respuesta de la herramienta', {
+        details: { tool: toolName, body: response.body }
+      });
+    }
+    if (response.body.error) {
+      throw fromJsonRpcError(response.body.error, toolName);
+    }
+    // Si la respuesta tiene result, extraerlo; si no, es directamente el resultado
+    const result = response.body.result ? response.body.result : response.body;
+    return { result, notifications };
+  }
+
+  if (isTransientStatus(response.statusCode)) {
+    throw new McpTransientError(`HTTP ${response.statusCode} del servidor MCP`, {
+      upstreamStatus: response.statusCode
+    });
+  }
+
+  // Servidores que no aceptan JSON-RPC: intentar el endpoint REST
+  if (hasJsonBody && response.body.error && response.body.error.code === -32600) {
+    log.info('Intentando con método alternativo', { tool: toolName });
+    const result = await callMcpAlternative(toolName, toolArgs, options);
+    return { result, notifications: [] };
+  }
+
+  if (hasJsonBody && response.body.error) {
+    throw fromJsonRpcError(response.body.error, toolName);
+  }
+
+  throw new BridgeError('MCP_BAD_RESPONSE', `HTTP ${response.statusCode} del servidor MCP`, {
+    details: { tool: toolName, body: response.body }
+  });
+}
+
+/**
+ * Llama una herramienta en su backend MCP (ver backends.js) y devuelve
+ * { result, notifications } con las notificaciones de progreso/log que el
+ * servidor envió durante la llamada.
+ * options.onNotification permite recibirlas en tiempo real (streaming).
+ *
+ * Las herramientas idempotentes se reintentan ante fallas transitorias y todas
+ * las llamadas pasan por el circuit breaker del backend (ver resilience.js). Los
+ * errores se lanzan como BridgeError con su código y status HTTP (ver errors.js).
+ */
+async function callMcpToolWithMeta(toolName, toolArgs, options = {}) {
+  const backend = resolveBackend(toolName);
+  const deadline = resolveDeadline(toolName, backend, options);
+  const startedAt = Date.now();
+  let attempts = 0;
+
+  try {
+    log.debug('Llamando herramienta', { tool: toolName, backend: backend.name, arguments: toolArgs });
+
+    const call = await withCircuitBreaker(() => withRetries(
+      (attempt) => {
+        attempts = attempt + 1;
+        return callToolOnce(toolName, toolArgs, { ...options, deadline, backend });
+      },
+      { retry: isIdempotentTool(toolName), label: toolName, deadline }
+    ), backend.name);
+
+    log.info('Herramienta completada', {
+      tool: toolName,
+      backend: backend.name,
+      duration_ms: Date.now() - startedAt
+    });
+
+    // Un isError de la herramienta se responde como error (ver mcpToolResponse)
+    const { isError, errorMessage } = normalizeToolResult(call.result);
+    recordToolMetrics(toolName, {
+      backend,
+      statusCode: isError ? toolError(errorMessage).statusCode : 200,
+      startedAt,
+      attempts,
+      toolArgs,
+      result: call.result
+    });
+    return call;
+  } catch (error) {
+    log.error('Error llamando herramienta', {
+      tool: toolName,
+      backend: backend.name,
+      duration_ms: Date.now() - startedAt,
+      error
+    });
+    const bridgeError = toBridgeError(error, toolName);
+    recordToolMetrics(toolName, { backend, statusCode: bridgeError.statusCode, startedAt, attempts, toolArgs });
+    throw bridgeError;
+  }
+}
+
+/**
+ * Métricas EMF de una llamada a herramienta (ver metrics.js). Endpoint sale del
+ * contexto de log de la petición; fuera de una petición es "direct".
+ */
+function recordToolMetrics(toolName, { backend, statusCode, startedAt, attempts, toolArgs, result }) {
+  const { route, request_id: requestId } = getLogContext();
+  const failed = statusCode >= 400;
+
+  emitMetrics({
+    dimensions: {
+      Endpoint: route || 'direct',
+      Tool: toolName,
+      StatusClass: statusClass(statusCode)
+    },
+    dimensionSets: [['Endpoint', 'Tool', 'StatusClass'], ['Tool', 'StatusClass']],
+    metrics: {
+      McpLatency: { value: Date.now() - startedAt, unit: 'ms' },
+      McpCalls: { value: 1, unit: 'count' },
+      McpErrors: { value: failed ? 1 : 0, unit: 'count' },
+      Retries: { value: Math.max(0, attempts - 1), unit: 'count' },
+      RequestBytes: { value: payloadBytes(toolArgs), unit: 'bytes' },
+      ResponseBytes: { value: payloadBytes(result), unit: 'bytes' }
+    },
+    properties: {
+      ...(requestId && { request_id: requestId }),
+      backend: backend.name,
+      status: statusCode
+    }
+  });
+}
+
+/**
+ * Llama una herramienta del servidor MCP
+ */
+async function callMcpTool(toolName, toolArgs) {
+  const { result } = await callMcpToolWithMeta(toolName, toolArgs);
+  return result;
+}
+
+/**
+ * Método alternativo: llamar directamente sin protocolo JSON-RPC
+ */
+async function callMcpAlternative(toolName, toolArgs, options = {}) {
+  const backend = options.backend || resolveBackend(toolName);
+  log.info('Usando método alternativo', { tool: toolName, backend: backend.name });
+  
+  // Intentar endpoint directo REST-like
+  const restUrl = `${backend.url}/tools/${toolName}/call`;
+  
+  const response = await makeHttpRequest(restUrl, {
+    method: 'POST',
+    body: toolArgs,
+    timeoutMs: remainingMs(options.deadline),
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+      ...backendAuthHeaders(backend),
+      ...correlationHeaders(options)
+    }
+  });
+  
+  if (response.statusCode === 200) {
+    return response.body;
+  }
+  
+  throw new BridgeError('MCP_BAD_RESPONSE', `Error en método alternativo (HTTP ${response.statusCode})`, {
+    details: { tool: toolName, body: response.body }
+  });
+}
+
+module.exports = {
+  makeHttpRequest,
+  callMcpTool,
+  callMcpToolWithMeta,
+  sendRequest,
+  resetSession,
+  getSessionInfo,
+  SUPPORTED_PROTOCOL_VERSIONS
+};
@@ -0,0 +1,165 @@
+/**
+ * Autorización por membresía de classroom
+ * Un resolver recibe (user_id, classroom_id) y devuelve el rol del usuario en
+ * ese classroom: 'student', 'professor' o 'none'.
+ *
+ * Implementaciones:
+ * - createInMemoryMembershipResolver(rows): para tests
+ * - createJsonFileMembershipResolver(path): archivo JSON con las mismas filas
+ * - createSupabaseMembershipResolver(options): tabla de miembros en Supabase
+ *
+ * Configuración (resolver por defecto):
+ * - MEMBERSHIP_FILE: usa el resolver de archivo JSON
+ * - SUPABASE_URL + SUPABASE_SERVICE_ROLE_KEY: usa la tabla MEMBERSHIP_TABLE
+ *   (default: classroom_members, columnas user_id, classroom_id, role)
+ */
+
+const fs = require('fs');
+const { AuthError } = require('./auth');
+const { UUID_REGEX } = require('./validation');
+
+// Alias de roles que pueden venir de la base de datos
+const ROLE_ALIASES = {
+  student: 'student',
+  member: 'student',
+  professor: 'professor',
+  teacher: 'professor',
+  owner: 'professor'
+};
+
+function normalizeRole(role) {
+  return ROLE_ALIASES[String(role || '').toLowerCase()] || 'none';
+}
+
+// Los UUID llegan en mayúsculas o minúsculas; se comparan en minúsculas
+function membershipKey(userId, classroomId) {
+  return `${String(classroomId).toLowerCase()}:${String(userId).toLowerCase()}`;
+}
+
+/**
+ * Resolver en memoria a partir de filas { user_id, classroom_id, role }
+ */
+function createInMemoryMembershipResolver(rows = []) {
+  const index = new Map();
+  for (const row of rows) {
+    index.set(membershipKey(row.user_id, row.classroom_id), normalizeRole(row.role));
+  }
+
+  return {
+    async getRole(userId, classroomId) {
+      return index.get(membershipKey(userId, classroomId)) || 'none';
+    }
+  };
+}
+
+/**
+ * Resolver que lee las filas de un archivo JSON (un array o { memberships: [...] })
+ */
+function createJsonFileMembershipResolver(filePath) {
+  let resolver = null;
+
+  return {
+    async getRole(userId, classroomId) {
+      if (!resolver) {
+        const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        resolver = createInMemoryMembershipResolver(Array.isArray(parsed) ? parsed : parsed.memberships);
+      }
+      return resolver.getRole(userId, classroomId);
+    }
+  };
+}
+
+/**
+ * Resolver respaldado por una tabla de Supabase
+ */
+function createSupabaseMembershipResolver({
+  url = process.env.SUPABASE_URL,
+  key = process.env.SUPABASE_SERVICE_ROLE_KEY,
+  table = process.env.MEMBERSHIP_TABLE || 'classroom_members'
+} = {}) {
+  const { createClient } = require('@supabase/supabase-js');
+  const client = createClient(url, key, { auth: { persistSession: false } });
+
+  return {
+    async getRole(userId, classroomId) {
+      const { data, error } = await client
+        .from(table)
+        .select('role')
+        .eq('user_id', userId)
+        .eq('classroom_id', classroomId)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Error consultando membresía: ${error.message}`);
+      }
+
+      return data ? normalizeRole(data.role) : 'none';
+    }
+  };
+}
+
+let membershipResolver;
+
+function createDefaultResolver() {
+  if (process.env.MEMBERSHIP_FILE) {
+    return createJsonFileMembershipResolver(process.env.MEMBERSHIP_FILE);
+  }
+  if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    return createSupabaseMembershipResolver();
+  }
+  return null;
+}
+
+function getMembershipResolver() {
+  if (membershipResolver === undefined) {
+    membershipResolver = createDefaultResolver();
+  }
+  return membershipResolver;
+}
+
+/**
+ * Reemplaza el resolver activo (tests o inicialización personalizada)
+ */
+function setMembershipResolver(resolver) {
+  membershipResolver = resolver;
+}
+
+/**
+ * Verifica que el usuario autenticado tenga uno de los roles requeridos en el
+ * classroom de la petición. Devuelve el rol o lanza AuthError 403.
+ *
+ * Si classroom_id no es un UUID válido no se consulta la membresía: el handler
+ * rechazará la petición con un 400 antes de llamar al servidor MCP.
+ */
+async function authorizeClassroom(auth, params, requiredRoles) {
+  const classroomId = params.classroom_id;
+  if (typeof classroomId !== 'string' || !UUID_REGEX.test(classroomId)) {
+    return null;
+  }
+
+  const resolver = getMembershipResolver();
+  if (!resolver) {
+    throw new Error('Resolver de membresía no configurado (MEMBERSHIP_FILE o SUPABASE_URL)');
+  }
+
+  const role = await resolver.getRole(auth.user_id, classroomId.toLowerCase());
+
+  if (role === 'none') {
+    throw new AuthError('No perteneces a este classroom', { code: 'NOT_A_MEMBER' });
+  }
+
+  if (!requiredRoles.includes(role)) {
+    throw new AuthError(`Esta operación requiere rol: ${requiredRoles.join(' o ')}`, { code: 'INSUFFICIENT_ROLE' });
+  }
+
+  return role;
+}
+
+module.exports = {
+  authorizeClassroom,
+  getMembershipResolver,
+  setMembershipResolver,
+  createInMemoryMembershipResolver,
+  createJsonFileMembershipResolver,
+  createSupabaseMembershipResolver
+};
@@ -0,0 +1,141 @@
+/**
+ * Métricas en CloudWatch Embedded Metric Format (EMF)
+ * Cada registro es una línea JSON en stdout que CloudWatch Logs convierte en
+ * métricas, sin llamadas a la API de CloudWatch:
+ *
+ *   {"_aws":{"Timestamp":...,"CloudWatchMetrics":[{"Namespace":...,"Dimensions":[[...]],"Metrics":[...]}]},
+ *    "Endpoint":"search-chunks","StatusClass":"2xx","Latency":123,"request_id":"..."}
+ *
+ * Se emiten dos registros:
+ * - por petición (index.js): dimensiones Endpoint y StatusClass; métricas
+ *   Latency, Requests, Errors, ColdStart, RequestBytes y ResponseBytes
+ * - por llamada a herramienta MCP (mcp_client.js): dimensiones Endpoint, Tool y
+ *   StatusClass; métricas McpLatency, McpCalls, McpErrors, Retries,
+ *   RequestBytes y ResponseBytes
+ *
+ * Configuración:
+ * - METRICS_MODE: "emf" (default), "capture" (guarda en memoria, para tests) u "off"
+ * - METRICS_NAMESPACE: namespace de CloudWatch (default: EstudIA/Bridge)
+ */
+
+const DEFAULT_NAMESPACE = 'EstudIA/Bridge';
+
+// CloudWatch solo acepta estas unidades; las usadas aquí
+const UNITS = {
+  ms: 'Milliseconds',
+  count: 'Count',
+  bytes: 'Bytes'
+};
+
+let captured = null;
+let coldStart = true;
+
+function metricsMode() {
+  if (captured) return 'capture';
+  return (process.env.METRICS_MODE || 'emf').toLowerCase();
+}
+
+/**
+ * Clase de status HTTP para la dimensión StatusClass (2xx, 4xx, 5xx)
+ */
+function statusClass(statusCode) {
+  return `${Math.floor((statusCode || 500) / 100)}xx`;
+}
+
+/**
+ * Tamaño en bytes de un valor serializado como JSON
+ */
+function payloadBytes(value) {
+  if (value === undefined || value === null) return 0;
+  return Buffer.byteLength(typeof value === 'string' ? value : JSON.stringify(value));
+}
+
+/**
+ * true solo en la primera invocación del contenedor
+ */
+function consumeColdStart() {
+  const value = coldStart;
+  coldStart = false;
+  return value;
+}
+
+/**
+ * Emite un registro EMF.
+ * - dimensions: { Endpoint: 'search-chunks', ... } (valores string)
+ * - dimensionSets: combinaciones de dimensiones a agregar (default: todas juntas)
+ * - metrics: { Latency: { value: 120, unit: 'ms' }, ... }
+ * - properties: campos extra sin agregación (request_id, ...)
+ */
+function emitMetrics({ dimensions, dimensionSets, metrics, properties = {} }) {
+  const mode = metricsMode();
+  if (mode === 'off') return null;
+
+  const record = {
+    _aws: {
+      Timestamp: Date.now(),
+      CloudWatchMetrics: [{
+        Namespace: process.env.METRICS_NAMESPACE || DEFAULT_NAMESPACE,
+        Dimensions: dimensionSets || [Object.keys(dimensions)],
+        Metrics: Object.entries(metrics).map(([name, { unit }]) => ({ Name: name, Unit: UNITS[unit] || unit }))
+      }]
+    },
+    ...properties,
+    ...dimensions
+  };
+
+  for (const [name, { value }] of Object.entries(metrics)) {
+    record[name] = value;
+  }
+
+  if (mode === 'capture') {
+    (captured || (captured = [])).push(record);
+  } else {
+    process.stdout.write(`${JSON.stringify(record)}\n`);
+  }
+  return record;
+}
+
+// ========== MODO CAPTURA (tests) ==========
+
+/**
+ * Desde ahora los registros se guardan en memoria en lugar de escribirse.
+ * Devuelve el arreglo donde se acumulan.
+ */
+function startMetricsCapture() {
+  captured = [];
+  return captured;
+}
+
+/**
+ * Registros capturados, opcionalmente filtrados por dimensiones
+ * (p. ej. { Tool: 'generate_embedding' })
+ */
+function getCapturedMetrics(filter = {}) {
+  return (captured || []).filter((record) => (
+    Object.entries(filter).every(([name, value]) => record[name] === value)
+  ));
+}
+
+function stopMetricsCapture() {
+  const records = captured || [];
+  captured = null;
+  return records;
+}
+
+/**
+ * Vuelve a marcar el contenedor como arranque en frío (tests)
+ */
+function resetColdStart() {
+  coldStart = true;
+}
+
+module.exports = {
+  emitMetrics,
+  statusClass,
+  payloadBytes,
+  consumeColdStart,
+  startMetricsCapture,
+  getCapturedMetrics,
+  stopMetricsCapture,
+  resetColdStart
+};
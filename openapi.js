@@ -0,0 +1,599 @@
+/**
+ * Generación de documentación a partir del registro de rutas
+ * Produce el documento OpenAPI 3.1 de /openapi.json, su versión HTML para /docs
+ * y las descripciones de parámetros que muestra /info. Todo se deriva de los
+ * mismos schemas que usan los validadores, así que no puede desincronizarse.
+ */
+
+// ========== SCHEMAS ==========
+
+/**
+ * Convierte la definición de un campo de validation.js a JSON Schema
+ */
+function fieldToJsonSchema(field) {
+  const jsonSchema = { type: field.type };
+
+  if (field.format) jsonSchema.format = field.format;
+  if (field.enum) jsonSchema.enum = field.enum;
+  if (field.min !== undefined) jsonSchema.minimum = field.min;
+  if (field.max !== undefined) jsonSchema.maximum = field.max;
+  if (field.nonEmpty) jsonSchema.minLength = 1;
+  if (field.maxLength !== undefined) jsonSchema.maxLength = field.maxLength;
+  if (field.minItems !== undefined) jsonSchema.minItems = field.minItems;
+  if (field.maxItems !== undefined) jsonSchema.maxItems = field.maxItems;
+  if (field.items) jsonSchema.items = fieldToJsonSchema(field.items);
+  if (field.default !== undefined) jsonSchema.default = field.default;
+  if (field.description) jsonSchema.description = field.description;
+
+  return jsonSchema;
+}
+
+/**
+ * Convierte un schema de endpoint a un JSON Schema de tipo object
+ */
+function schemaToJsonSchema(schema, exclude = []) {
+  const properties = {};
+  const required = [];
+
+  for (const [name, field] of Object.entries(schema.fields)) {
+    if (exclude.includes(name)) continue;
+    properties[name] = fieldToJsonSchema(field);
+    if (field.required) required.push(name);
+  }
+
+  const jsonSchema = { type: 'object', properties };
+  if (required.length > 0) jsonSchema.required = required;
+
+  const rules = (schema.rules || []).filter((rule) => !rule.fields.some((name) => exclude.includes(name)));
+  if (rules.length > 0) {
+    jsonSchema.description = rules.map((rule) => rule.message).join('. ');
+  }
+
+  return jsonSchema;
+}
+
+/**
+ * Descripción corta de cada parámetro para /info, p. ej.
+ * "string (required, UUID del classroom)"
+ */
+function describeUsageBody(schema) {
+  const body = {};
+
+  for (const [name, field] of Object.entries(schema.fields)) {
+    const details = [field.required ? 'required' : 'optional'];
+    if (field.description) details.push(field.description);
+    if (field.enum) details.push(field.enum.map((value) => `"${value}"`).join(', '));
+    if (field.min !== undefined && field.max !== undefined) details.push(`${field.min}-${field.max}`);
+    if (field.default !== undefined) details.push(`default: ${field.default}`);
+    body[name] = `${field.type} (${details.join(', ')})`;
+  }
+
+  return body;
+}
+
+// ========== OPENAPI ==========
+
+const { ERROR_STATUS } = require('./errors');
+
+// Header de correlación que acepta y devuelve cada endpoint (ver index.js)
+const REQUEST_ID_PARAMETER = {
+  name: 'X-Request-Id',
+  in: 'header',
+  required: false,
+  description: 'Id de correlación; si falta o es inválido se genera uno. Se devuelve en el header X-Request-Id y en request_id de los errores',
+  schema: { type: 'string', pattern: '^[\\w.:-]{1,128}$' }
+};
+
+const COMPONENTS = {
+  schemas: {
+    RequestId: {
+      type: 'string',
+      pattern: '^[\\w.:-]{1,128}$',
+      description: 'Id de correlación de la petición (header X-Request-Id)'
+    },
+    SuccessEnvelope: {
+      type: 'object',
+      required: ['success', 'data', 'timestamp'],
+      properties: {
+        success: { const: true },
+        data: { description: 'Resultado de la herramienta MCP: structuredContent o el contenido de sus bloques (JSON parseado si aplica)' },
+        source: { type: 'string', example: 'mcp_server' },
+        timestamp: { type: 'string', format: 'date-time' },
+        metadata: {
+          type: 'object',
+          additionalProperties: true,
+          properties: {
+            mcp_notifications: {
+              type: 'array',
+              description: 'Notificaciones de progreso y log enviadas por el servidor MCP durante la llamada',
+              items: {
+                type: 'object',
+                properties: {
+                  method: { type: 'string', enum: ['notifications/progress', 'notifications/message'] },
+                  params: { type: 'object' }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    ValidationError: {
+      type: 'object',
+      required: ['error', 'code', 'details', 'timestamp'],
+      properties: {
+        error: { type: 'string', example: 'Parámetros inválidos' },
+        code: { const: 'INVALID_PARAMS' },
+        details: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['field', 'code', 'message'],
+            properties: {
+              field: { type: 'string' },
+              code: {
+                type: 'string',
+                enum: ['required', 'type', 'empty', 'format', 'enum', 'min', 'max', 'min_length', 'max_length', 'min_items', 'max_items', 'pattern', 'additional_property', 'invalid']
+              },
+              message: { type: 'string' },
+              received: {}
+            }
+          }
+        },
+        required: { type: 'array', items: { type: 'string' } },
+        optional: { type: 'array', items: { type: 'string' } },
+        hint: { type: 'string' },
+        request_id: { $ref: '#/components/schemas/RequestId' },
+        timestamp: { type: 'string', format: 'date-time' }
+      }
+    },
+    Error: {
+      type: 'object',
+      required: ['error', 'code', 'timestamp'],
+      properties: {
+        error: { type: 'string' },
+        code: { type: 'string', enum: Object.keys(ERROR_STATUS) },
+        details: { type: 'object', additionalProperties: true },
+        hint: { type: 'string' },
+        request_id: { $ref: '#/components/schemas/RequestId' },
+        timestamp: { type: 'string', format: 'date-time' }
+      }
+    },
+    NotFound: {
+      type: 'object',
+      required: ['error', 'code', 'available_endpoints'],
+      properties: {
+        error: { type: 'string', example: 'Endpoint no encontrado' },
+        code: { const: 'NOT_FOUND' },
+        path: { type: 'string' },
+        method: { type: 'string' },
+        available_endpoints: { type: 'array', items: { type: 'string' } },
+        tip: { type: 'string' },
+        request_id: { $ref: '#/components/schemas/RequestId' },
+        timestamp: { type: 'string', format: 'date-time' }
+      }
+    },
+    AuthError: {
+      type: 'object',
+      required: ['error', 'code'],
+      properties: {
+        error: { type: 'string' },
+        code: {
+          type: 'string',
+          enum: ['MISSING_TOKEN', 'INVALID_TOKEN', 'TOKEN_EXPIRED', 'USER_MISMATCH', 'NOT_A_MEMBER', 'INSUFFICIENT_ROLE', 'ADMIN_REQUIRED']
+        },
+        request_id: { $ref: '#/components/schemas/RequestId' },
+        timestamp: { type: 'string', format: 'date-time' }
+      }
+    },
+    JobAccepted: {
+      type: 'object',
+      required: ['success', 'data', 'timestamp'],
+      properties: {
+        success: { const: true },
+        data: {
+          type: 'object',
+          properties: {
+            job_id: { type: 'string', format: 'uuid' },
+            status: { const: 'queued' },
+            status_url: { type: 'string', example: '/jobs/7d444840-9dc0-11d1-b245-5ffdce74fad2' }
+          }
+        },
+        timestamp: { type: 'string', format: 'date-time' }
+      }
+    },
+    RateLimitError: {
+      type: 'object',
+      required: ['error', 'code', 'retry_after'],
+      properties: {
+        error: { type: 'string' },
+        code: { type: 'string', enum: ['RATE_LIMITED', 'DAILY_QUOTA_EXCEEDED'] },
+        scope: { type: 'string', enum: ['user', 'classroom'] },
+        retry_after: { type: 'integer' },
+        request_id: { $ref: '#/components/schemas/RequestId' },
+        timestamp: { type: 'string', format: 'date-time' }
+      }
+    },
+    MethodNotAllowed: {
+      type: 'object',
+      required: ['error', 'code', 'allowed_methods'],
+      properties: {
+        error: { type: 'string' },
+        code: { const: 'METHOD_NOT_ALLOWED' },
+        path: { type: 'string' },
+        method: { type: 'string' },
+        allowed_methods: { type: 'array', items: { type: 'string' } },
+        request_id: { $ref: '#/components/schemas/RequestId' },
+        timestamp: { type: 'string', format: 'date-time' }
+      }
+    }
+  },
+  responses: {
+    ValidationError: {
+      description: 'INVALID_PARAMS: uno o más parámetros inválidos',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } }
+    },
+    Unauthorized: {
+      description: 'Token ausente, inválido o expirado',
+      headers: {
+        'WWW-Authenticate': { description: 'Esquema Bearer y motivo del rechazo', schema: { type: 'string' } }
+      },
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/AuthError' } } }
+    },
+    Forbidden: {
+      description: 'El user_id no corresponde al usuario autenticado, su rol en el classroom no basta o la operación global es solo para administradores',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/AuthError' } } }
+    },
+    JobAccepted: {
+      description: 'Job creado (async=true); consulta su estado en status_url',
+      headers: {
+        Location: { description: 'URL del estado del job', schema: { type: 'string' } }
+      },
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/JobAccepted' } } }
+    },
+    TooManyRequests: {
+      description: 'Límite de peticiones o cuota diaria excedidos',
+      headers: {
+        'Retry-After': { description: 'Segundos a esperar antes de reintentar', schema: { type: 'integer' } },
+        'X-RateLimit-Limit': { schema: { type: 'integer' } },
+        'X-RateLimit-Remaining': { schema: { type: 'integer' } },
+        'X-RateLimit-Reset': { description: 'Epoch (segundos) en que el bucket se llena de nuevo', schema: { type: 'integer' } }
+      },
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/RateLimitError' } } }
+    },
+    NotFound: {
+      description: 'Endpoint no encontrado',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/NotFound' } } }
+    },
+    MethodNotAllowed: {
+      description: 'Método HTTP no permitido para la ruta',
+      headers: {
+        Allow: { description: 'Métodos permitidos', schema: { type: 'string' } }
+      },
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/MethodNotAllowed' } } }
+    },
+    InternalError: {
+      description: 'INTERNAL_ERROR: error no clasificado del bridge',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    },
+    JobNotFound: {
+      description: 'JOB_NOT_FOUND: el job no existe, expiró o pertenece a otro usuario',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    },
+    JobAlreadyFinished: {
+      description: 'JOB_ALREADY_FINISHED: el job ya terminó y no se puede cancelar',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    },
+    JobsUnavailable: {
+      description: 'JOBS_UNAVAILABLE: no hay un store de jobs compartido configurado',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    },
+    UpstreamNotFound: {
+      description: 'TOOL_NOT_FOUND: la herramienta no existe en el servidor MCP; CLASSROOM_NOT_FOUND: el classroom no existe',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    },
+    BadGateway: {
+      description: 'UPSTREAM_TOOL_ERROR: la herramienta MCP falló; MCP_BAD_RESPONSE: respuesta inesperada del servidor MCP',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    },
+    ServiceUnavailable: {
+      description: 'MCP_UNAVAILABLE: servidor MCP inaccesible (ya reintentado si la herramienta es idempotente) o circuit breaker abierto',
+      headers: {
+        'Retry-After': { description: 'Segundos hasta que se vuelva a probar el servidor MCP', schema: { type: 'integer' } }
+      },
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    },
+    GatewayTimeout: {
+      description: 'MCP_TIMEOUT: el servidor MCP no respondió antes del deadline; la petición se canceló en el servidor',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    }
+  },
+  securitySchemes: {
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      bearerFormat: 'JWT',
+      description: 'JWT de Supabase (HS256) o firmado con una llave del JWKS configurado (RS256)'
+    }
+  }
+};
+
+function pascalCase(name) {
+  return name.replace(/(^|_)(\w)/g, (_, __, char) => char.toUpperCase());
+}
+
+function pathParamNames(path) {
+  return Array.from(path.matchAll(/\{([^}]+)\}/g), (match) => match[1]);
+}
+
+function buildOperation(route, method, path) {
+  const pathParams = pathParamNames(path);
+  // Las políticas alternativas (policyFor) pueden pedir token o rate limit según el body
+  const policies = route.policies || [];
+  const optionalAuth = !route.auth && policies.some((policy) => policy.auth);
+  const authenticated = route.auth || optionalAuth;
+  const rateLimited = route.rateLimit || route.gateway || policies.some((policy) => policy.rateLimit);
+  const operation = {
+    operationId: (route.key || route.name) + pathParams.map((name) => `By${pascalCase(name)}`).join(''),
+    summary: route.summary || route.name,
+    tags: [route.tag || 'Sistema']
+  };
+
+  const description = [route.description, route.note].filter(Boolean).join('\n\n');
+  if (description) operation.description = description;
+  if (route.legacy) operation.deprecated = true;
+  if (route.tool) operation['x-mcp-tool'] = route.tool;
+  if (authenticated) operation.security = optionalAuth ? [{}, { bearerAuth: [] }] : [{ bearerAuth: [] }];
+  if (route.roles) operation['x-required-roles'] = route.roles;
+
+  const parameters = pathParams.map((name) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: route.schema?.fields[name] ? fieldToJsonSchema(route.schema.fields[name]) : { type: 'string' }
+  }));
+
+  if (route.schema) {
+    if (method === 'GET') {
+      for (const [name, field] of Object.entries(route.schema.fields)) {
+        if (pathParams.includes(name)) continue;
+        parameters.push({
+          name,
+          in: 'query',
+          required: Boolean(field.required),
+          schema: fieldToJsonSchema(field)
+        });
+      }
+    } else {
+      operation.requestBody = {
+        required: true,
+        content: {
+          'application/json': { schema: schemaToJsonSchema(route.schema, pathParams) }
+        }
+      };
+    }
+  } else if (route.requestSchema) {
+    operation.requestBody = {
+      required: true,
+      content: {
+        'application/json': { schema: route.requestSchema }
+      }
+    };
+  }
+
+  if (route.async) {
+    parameters.push({
+      name: 'async',
+      in: 'query',
+      required: false,
+      description: 'Responde 202 con un job en lugar de esperar el resultado (ver /jobs/{job_id})',
+      schema: { type: 'boolean', default: false }
+    });
+  }
+
+  parameters.push(REQUEST_ID_PARAMETER);
+  operation.parameters = parameters;
+
+  const successContent = route.contentType
+    ? { [route.contentType]: { schema: { type: 'string' } } }
+    : { 'application/json': { schema: route.responseSchema || { $ref: '#/components/schemas/SuccessEnvelope' } } };
+
+  if (route.streaming) {
+    successContent['text/event-stream'] = {
+      schema: { type: 'string' },
+      description: 'Con "Accept: text/event-stream" o stream=true (solo vía streamHandler): eventos start, progress, message y al final result o error'
+    };
+  }
+
+  operation.responses = {
+    200: {
+      description: 'Respuesta exitosa',
+      content: successContent,
+      ...(route.cached && {
+        headers: {
+          'X-Cache': {
+            description: 'HIT si la respuesta salió del cache de resultados, MISS si se consultó al servidor MCP',
+            schema: { type: 'string', enum: ['HIT', 'MISS'] }
+          }
+        }
+      })
+    },
+    ...(route.async && { 202: { $ref: '#/components/responses/JobAccepted' } }),
+    ...((route.schema || route.gateway) && { 400: { $ref: '#/components/responses/ValidationError' } }),
+    ...(authenticated && {
+      401: { $ref: '#/components/responses/Unauthorized' },
+      403: { $ref: '#/components/responses/Forbidden' }
+    }),
+    405: { $ref: '#/components/responses/MethodNotAllowed' },
+    ...(rateLimited && { 429: { $ref: '#/components/responses/TooManyRequests' } }),
+    500: { $ref: '#/components/responses/InternalError' },
+    ...((route.tool || route.gateway) && {
+      404: { $ref: '#/components/responses/UpstreamNotFound' },
+      502: { $ref: '#/components/responses/BadGateway' },
+      503: { $ref: '#/components/responses/ServiceUnavailable' },
+      504: { $ref: '#/components/responses/GatewayTimeout' }
+    }),
+    ...(route.job && {
+      404: { $ref: '#/components/responses/JobNotFound' },
+      ...(method === 'DELETE' && { 409: { $ref: '#/components/responses/JobAlreadyFinished' } }),
+      503: { $ref: '#/components/responses/JobsUnavailable' }
+    })
+  };
+
+  return operation;
+}
+
+/**
+ * Construye el documento OpenAPI 3.1 a partir del registro de rutas
+ */
+function buildOpenApiDocument(routes, { title, version, description, serverUrl } = {}) {
+  const paths = {};
+
+  for (const route of routes) {
+    // Se documenta el path canónico y los que tienen parámetros; el resto son alias
+    const documented = route.paths.filter((path, i) => i === 0 || path.includes('{'));
+    const aliases = route.paths.filter((path) => !documented.includes(path));
+
+    for (const path of documented) {
+      paths[path] = paths[path] || {};
+      for (const method of route.methods) {
+        const operation = buildOperation(route, method, path);
+        if (aliases.length > 0) operation['x-aliases'] = aliases;
+        paths[path][method.toLowerCase()] = operation;
+      }
+    }
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: { title, version, description },
+    ...(serverUrl && { servers: [{ url: serverUrl }] }),
+    paths,
+    components: COMPONENTS
+  };
+}
+
+// ========== HTML ==========
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function describeJsonSchemaType(schema) {
+  if (!schema) return '';
+  if (schema.$ref) return schema.$ref.split('/').pop();
+  let type = schema.type || 'any';
+  if (schema.type === 'array' && schema.items) type = `${describeJsonSchemaType(schema.items)}[]`;
+  if (schema.format) type += ` (${schema.format})`;
+  return type;
+}
+
+function describeConstraints(schema) {
+  const constraints = [];
+  if (schema.enum) constraints.push(`enum: ${schema.enum.join(', ')}`);
+  if (schema.minimum !== undefined) constraints.push(`min: ${schema.minimum}`);
+  if (schema.maximum !== undefined) constraints.push(`max: ${schema.maximum}`);
+  if (schema.maxItems !== undefined) constraints.push(`maxItems: ${schema.maxItems}`);
+  if (schema.default !== undefined) constraints.push(`default: ${schema.default}`);
+  return constraints.join('; ');
+}
+
+function renderFieldsTable(rows) {
+  if (rows.length === 0) return '';
+  const body = rows.map((row) => `
+        <tr>
+          <td><code>${escapeHtml(row.name)}</code></td>
+          <td>${escapeHtml(row.location)}</td>
+          <td>${escapeHtml(describeJsonSchemaType(row.schema))}</td>
+          <td>${row.required ? 'sí' : 'no'}</td>
+          <td>${escapeHtml(row.schema.description || '')}</td>
+          <td>${escapeHtml(describeConstraints(row.schema))}</td>
+        </tr>`).join('');
+
+  return `
+      <table>
+        <thead><tr><th>Campo</th><th>En</th><th>Tipo</th><th>Requerido</th><th>Descripción</th><th>Restricciones</th></tr></thead>
+        <tbody>${body}
+        </tbody>
+      </table>`;
+}
+
+/**
+ * Renderiza el documento OpenAPI como una página HTML autocontenida (sin Swagger UI)
+ */
+function renderHtmlDocs(document) {
+  const sections = [];
+
+  for (const [path, operations] of Object.entries(document.paths)) {
+    for (const [method, operation] of Object.entries(operations)) {
+      const rows = (operation.parameters || []).map((param) => ({
+        name: param.name,
+        location: param.in,
+        required: param.required,
+        schema: param.schema
+      }));
+
+      const bodySchema = operation.requestBody?.content['application/json']?.schema;
+      if (bodySchema) {
+        for (const [name, schema] of Object.entries(bodySchema.properties || {})) {
+          rows.push({ name, location: 'body', required: (bodySchema.required || []).includes(name), schema });
+        }
+      }
+
+      const responses = Object.entries(operation.responses)
+        .map(([status, response]) => {
+          const ref = response.$ref ? response.$ref.split('/').pop() : null;
+          const text = ref ? document.components.responses[ref].description : response.description;
+          return `<li><strong>${escapeHtml(status)}</strong> ${escapeHtml(text)}</li>`;
+        })
+        .join('');
+
+      sections.push(`
+    <section id="${escapeHtml(operation.operationId)}">
+      <h3><span class="method ${escapeHtml(method)}">${escapeHtml(method.toUpperCase())}</span> <code>${escapeHtml(path)}</code>${operation.deprecated ? ' <em>(legacy)</em>' : ''}</h3>
+      <p>${escapeHtml(operation.summary)}</p>
+      ${operation.description ? `<p class="note">${escapeHtml(operation.description)}</p>` : ''}
+      ${operation['x-aliases'] ? `<p class="note">Alias: ${operation['x-aliases'].map((alias) => `<code>${escapeHtml(alias)}</code>`).join(', ')}</p>` : ''}
+      ${bodySchema?.description ? `<p class="note">${escapeHtml(bodySchema.description)}</p>` : ''}
+      ${renderFieldsTable(rows)}
+      <ul>${responses}</ul>
+    </section>`);
+    }
+  }
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(document.info.title)} ${escapeHtml(document.info.version)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+    section { border-top: 1px solid #ddd; padding: 0.5rem 0 1rem; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+    th, td { border: 1px solid #ddd; padding: 0.3rem 0.5rem; text-align: left; vertical-align: top; }
+    .method { display: inline-block; min-width: 3.5rem; padding: 0.1rem 0.4rem; border-radius: 4px; color: #fff; font-size: 0.8rem; text-align: center; }
+    .get { background: #2f7d32; } .post { background: #1565c0; } .delete { background: #c62828; }
+    .note { color: #555; white-space: pre-line; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(document.info.title)} <small>v${escapeHtml(document.info.version)}</small></h1>
+  <p>${escapeHtml(document.info.description || '')}</p>
+  <p>Especificación completa: <a href="openapi.json">openapi.json</a></p>
+  ${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  buildOpenApiDocument,
+  renderHtmlDocs,
+  describeUsageBody,
+  fieldToJsonSchema,
+  schemaToJsonSchema
+};
@@ -0,0 +1,348 @@
+/**
+ * Rate limiting y cuotas diarias para endpoints costosos
+ * Cada ruta puede declarar límites por usuario y por classroom:
+ *
+ *   rateLimit: {
+ *     user: { capacity: 3, refillPerMinute: 1, dailyQuota: 30 },
+ *     classroom: { capacity: 10, refillPerMinute: 5, dailyQuota: 200 }
+ *   }
+ *
+ * - capacity / refillPerMinute: token bucket (ráfaga máxima y ritmo sostenido)
+ * - dailyQuota: máximo de llamadas por día UTC
+ * Las llaves son por endpoint, así que cada endpoint tiene su propio bucket.
+ *
+ * Configuración:
+ * - RATE_LIMITS: JSON con overrides por endpoint, p. ej.
+ *   {"generate-flashcards": {"user": {"dailyQuota": 10}}}
+ * - RATE_LIMIT_STORE: "memory" (default) o "dynamodb"
+ * - RATE_LIMIT_TABLE: tabla DynamoDB (llave de partición "pk", TTL en "expires_at")
+ */
+
+const { UUID_REGEX } = require('./validation');
+const { createDocumentClient } = require('./dynamodb');
+
+const SECONDS_PER_DAY = 86400;
+
+// Escrituras condicionales antes de rendirse cuando hay contención
+const MAX_WRITE_ATTEMPTS = 5;
+
+// ========== STORES ==========
+
+/**
+ * Store en memoria. Vive mientras el contenedor Lambda esté caliente,
+ * así que en producción solo limita por instancia; úsalo para tests y local.
+ */
+function createMemoryRateLimitStore() {
+  const items = new Map();
+
+  return {
+    async get(key) {
+      const item = items.get(key);
+      if (!item) return null;
+      if (item.expiresAt && item.expiresAt <= Date.now() / 1000) {
+        items.delete(key);
+        return null;
+      }
+      return { value: item.value, version: item.version };
+    },
+
+    async set(key, value, { version = 0, ttlSeconds } = {}) {
+      const current = items.get(key);
+      if ((current ? current.version : 0) !== version) return false;
+
+      items.set(key, {
+        value,
+        version: version + 1,
+        expiresAt: ttlSeconds ? Date.now() / 1000 + ttlSeconds : null
+      });
+      return true;
+    }
+  };
+}
+
+/**
+ * Store compatible con DynamoDB. Usa escrituras condicionales sobre el
+ * atributo "version" para que varias instancias no se pisen.
+ * client y commands: ver createDocumentClient en dynamodb.js.
+ */
+function createDynamoDbRateLimitStore({ tableName = process.env.RATE_LIMIT_TABLE, client, commands } = {}) {
+  const { client: documentClient, GetCommand, PutCommand } = createDocumentClient({ client, commands });
+
+  return {
+    async get(key) {
+      const { Item } = await documentClient.send(new GetCommand({
+        TableName: tableName,
+        Key: { pk: key },
+        ConsistentRead: true
+      }));
+      if (!Item) return null;
+      // Una fila vencida que el TTL aún no borra sigue ocupando la versión
+      if (Item.expires_at && Item.expires_at <= Date.now() / 1000) {
+        return { value: null, version: Item.version };
+      }
+      return { value: Item.state, version: Item.version };
+    },
+
+    async set(key, value, { version = 0, ttlSeconds } = {}) {
+      try {
+        await documentClient.send(new PutCommand({
+          TableName: tableName,
+          Item: {
+            pk: key,
+            state: value,
+            version: version + 1,
+            ...(ttlSeconds && { expires_at: Math.floor(Date.now() / 1000 + ttlSeconds) })
+          },
+          ConditionExpression: 'attribute_not_exists(pk) OR version = :version',
+          ExpressionAttributeValues: { ':version': version }
+        }));
+        return true;
+      } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') return false;
+        throw error;
+      }
+    }
+  };
+}
+
+let rateLimitStore;
+
+function getRateLimitStore() {
+  if (!rateLimitStore) {
+    rateLimitStore = process.env.RATE_LIMIT_STORE === 'dynamodb'
+      ? createDynamoDbRateLimitStore()
+      : createMemoryRateLimitStore();
+  }
+  return rateLimitStore;
+}
+
+/**
+ * Reemplaza el store activo (tests o inicialización personalizada)
+ */
+function setRateLimitStore(store) {
+  rateLimitStore = store;
+}
+
+// ========== TOKEN BUCKET ==========
+
+function utcDay(nowSeconds) {
+  return new Date(nowSeconds * 1000).toISOString().substring(0, 10);
+}
+
+function secondsUntilNextDay(nowSeconds) {
+  return SECONDS_PER_DAY - (Math.floor(nowSeconds) % SECONDS_PER_DAY);
+}
+
+/**
+ * Calcula el estado del bucket al momento actual y si se permite una llamada más
+ */
+function evaluate(limit, state, nowSeconds) {
+  const ratePerSecond = limit.refillPerMinute / 60;
+  const day = utcDay(nowSeconds);
+
+  let tokens = limit.capacity;
+  let used = 0;
+
+  if (state) {
+    const elapsed = Math.max(0, nowSeconds - state.updatedAt);
+    tokens = Math.min(limit.capacity, state.tokens + elapsed * ratePerSecond);
+    used = state.day === day ? state.used : 0;
+  }
+
+  const quotaExhausted = limit.dailyQuota !== undefined && used >= limit.dailyQuota;
+  const bucketEmpty = tokens < 1;
+
+  let retryAfter = 0;
+  if (quotaExhausted) {
+    retryAfter = secondsUntilNextDay(nowSeconds);
+  } else if (bucketEmpty) {
+    retryAfter = Math.ceil((1 - tokens) / ratePerSecond);
+  }
+
+  return {
+    allowed: !quotaExhausted && !bucketEmpty,
+    reason: quotaExhausted ? 'DAILY_QUOTA_EXCEEDED' : (bucketEmpty ? 'RATE_LIMITED' : null),
+    retryAfter,
+    tokens,
+    used,
+    day
+  };
+}
+
+/**
+ * Evalúa y consume un token con una sola escritura condicional. Si otra
+ * petición escribió el bucket entre la lectura y la escritura, vuelve a
+ * evaluar con el estado nuevo; si se agotan los reintentos, rechaza.
+ * Devuelve el resultado de evaluate con tokens y used ya descontados.
+ */
+async function consume(store, key, limit) {
+  let result;
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const nowSeconds = Date.now() / 1000;
+    const current = await store.get(key);
+    result = evaluate(limit, current && current.value, nowSeconds);
+    if (!result.allowed) return result;
+
+    const state = {
+      tokens: result.tokens - 1,
+      used: result.used + 1,
+      day: result.day,
+      updatedAt: nowSeconds
+    };
+    const written = await store.set(key, state, {
+      version: current ? current.version : 0,
+      ttlSeconds: SECONDS_PER_DAY * 2
+    });
+
+    if (written) return { ...result, tokens: state.tokens, used: state.used };
+  }
+
+  return { ...result, allowed: false, reason: 'RATE_LIMITED', retryAfter: 1 };
+}
+
+/**
+ * Devuelve el token de un scope ya consumido cuando otro scope rechaza la
+ * llamada. Si no logra escribir, el token se pierde (falla hacia el límite).
+ */
+async function refund(store, key, limit) {
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const current = await store.get(key);
+    if (!current || !current.value) return;
+
+    const written = await store.set(key, {
+      ...current.value,
+      tokens: Math.min(limit.capacity, current.value.tokens + 1),
+      used: Math.max(0, current.value.used - 1)
+    }, {
+      version: current.version,
+      ttlSeconds: SECONDS_PER_DAY * 2
+    });
+
+    if (written) return;
+  }
+}
+
+// ========== API ==========
+
+function getLimitsForRoute(route) {
+  let overrides = {};
+  if (process.env.RATE_LIMITS) {
+    overrides = JSON.parse(process.env.RATE_LIMITS)[route.name] || {};
+  }
+
+  const limits = {};
+  for (const scope of ['user', 'classroom']) {
+    const base = route.rateLimit && route.rateLimit[scope];
+    if (base || overrides[scope]) {
+      limits[scope] = { ...base, ...overrides[scope] };
+    }
+  }
+  return limits;
+}
+
+function buildHeaders(checks, nowSeconds) {
+  const limiting = checks.reduce((min, check) => (check.remaining < min.remaining ? check : min));
+  const headers = {
+    'X-RateLimit-Limit': String(limiting.limit.capacity),
+    'X-RateLimit-Remaining': String(Math.max(0, limiting.remaining)),
+    'X-RateLimit-Reset': String(Math.ceil(nowSeconds + limiting.resetAfter))
+  };
+
+  const quotas = checks.filter((check) => check.limit.dailyQuota !== undefined);
+  if (quotas.length > 0) {
+    const quota = quotas.reduce((min, check) => (check.quotaRemaining < min.quotaRemaining ? check : min));
+    headers['X-RateLimit-Daily-Limit'] = String(quota.limit.dailyQuota);
+    headers['X-RateLimit-Daily-Remaining'] = String(Math.max(0, quota.quotaRemaining));
+  }
+
+  return headers;
+}
+
+/**
+ * Verifica y consume los límites de una ruta para el usuario y classroom de la petición.
+ * Devuelve { allowed, headers } y, si se rechaza, { scope, reason, retryAfter }.
+ * Cada scope se consume de forma atómica; si uno rechaza, se devuelven los
+ * tokens de los scopes anteriores.
+ */
+async function checkRateLimit(route, { user_id, classroom_id }) {
+  const limits = getLimitsForRoute(route);
+  const subjects = {
+    user: user_id,
+    classroom: typeof classroom_id === 'string' && UUID_REGEX.test(classroom_id) ? classroom_id : null
+  };
+  const store = getRateLimitStore();
+  const nowSeconds = Date.now() / 1000;
+
+  const checks = [];
+  for (const [scope, limit] of Object.entries(limits)) {
+    if (!subjects[scope]) continue;
+
+    const key = `rl:${route.name}:${scope}:${subjects[scope]}`;
+    const result = await consume(store, key, limit);
+
+    checks.push({
+      scope,
+      key,
+      limit,
+      result,
+      remaining: Math.floor(result.tokens),
+      quotaRemaining: limit.dailyQuota !== undefined ? limit.dailyQuota - result.used : Infinity,
+      resetAfter: (limit.capacity - result.tokens) / (limit.refillPerMinute / 60)
+    });
+
+    if (!result.allowed) break;
+  }
+
+  if (checks.length === 0) {
+    return { allowed: true, headers: {} };
+  }
+
+  const headers = buildHeaders(checks, nowSeconds);
+  const rejected = checks.find((check) => !check.result.allowed);
+
+  if (rejected) {
+    for (const check of checks) {
+      if (check !== rejected) await refund(store, check.key, check.limit);
+    }
+
+    return {
+      allowed: false,
+      scope: rejected.scope,
+      reason: rejected.result.reason,
+      retryAfter: rejected.result.retryAfter,
+      headers: { ...headers, 'Retry-After': String(rejected.result.retryAfter) }
+    };
+  }
+
+  return { allowed: true, headers };
+}
+
+/**
+ * Respuesta 429 para una petición limitada
+ */
+function rateLimitResponse(check) {
+  const message = check.reason === 'DAILY_QUOTA_EXCEEDED'
+    ? `Cuota diaria agotada (${check.scope})`
+    : `Demasiadas peticiones (${check.scope}), intenta de nuevo en ${check.retryAfter} segundos`;
+
+  return {
+    statusCode: 429,
+    headers: check.headers,
+    body: {
+      error: message,
+      code: check.reason,
+      scope: check.scope,
+      retry_after: check.retryAfter,
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+module.exports = {
+  checkRateLimit,
+  rateLimitResponse,
+  getRateLimitStore,
+  setRateLimitStore,
+  createMemoryRateLimitStore,
+  createDynamoDbRateLimitStore
+};
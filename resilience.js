@@ -0,0 +1,272 @@
+/**
+ * Reintentos y circuit breaker para las llamadas al servidor MCP
+ *
+ * - Reintentos: solo para herramientas idempotentes (lecturas y embeddings) y
+ *   solo ante fallas transitorias (errores de red, 429, 502, 503, 504), con
+ *   backoff exponencial y jitter completo.
+ * - Circuit breaker: tras varias fallas transitorias seguidas se abre y las
+ *   llamadas fallan de inmediato con 503. Hay un circuito por backend MCP (ver
+ *   backends.js), así que un servidor caído no bloquea a los demás. El estado vive
+ *   a nivel de módulo, así que persiste entre invocaciones mientras el contenedor
+ *   Lambda esté caliente.
+ *
+ * Configuración:
+ * - MCP_RETRY_MAX_ATTEMPTS: intentos totales por llamada idempotente (default: 3)
+ * - MCP_RETRY_BASE_DELAY_MS / MCP_RETRY_MAX_DELAY_MS: backoff (default: 200 / 2000)
+ * - MCP_RETRY_TOOLS: lista separada por comas que reemplaza las herramientas idempotentes
+ * - MCP_BREAKER_FAILURE_THRESHOLD: fallas seguidas para abrir el circuito (default: 5)
+ * - MCP_BREAKER_RESET_MS: tiempo abierto antes de dejar pasar una prueba (default: 30000)
+ */
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('mcp');
+
+// Herramientas sin efectos secundarios: repetirlas no duplica datos
+const IDEMPOTENT_TOOLS = [
+  'generate_embedding',
+  'search_similar_chunks',
+  'search_similar_documents',
+  'get_classroom_info'
+];
+
+const TRANSIENT_STATUS_CODES = [429, 502, 503, 504];
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND'];
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Error de transporte con el servidor MCP (red o status HTTP transitorio)
+ */
+class McpTransientError extends Error {
+  constructor(message, { upstreamStatus = null, cause } = {}) {
+    super(message);
+    this.name = 'McpTransientError';
+    this.upstreamStatus = upstreamStatus;
+    if (cause) this.cause = cause;
+  }
+}
+
+/**
+ * La llamada no terminó antes de su deadline (el socket ya se abortó)
+ */
+class McpTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'McpTimeoutError';
+  }
+}
+
+/**
+ * El circuito está abierto: no se intenta la llamada
+ */
+class CircuitOpenError extends Error {
+  constructor(retryAfterSeconds) {
+    super(`Servidor MCP no disponible, intenta de nuevo en ${retryAfterSeconds} segundos`);
+    this.name = 'CircuitOpenError';
+    this.retryAfter = retryAfterSeconds;
+  }
+}
+
+function isTransientError(error) {
+  if (error instanceof McpTransientError) return true;
+  return TRANSIENT_NETWORK_CODES.includes(error.code);
+}
+
+function isTransientStatus(statusCode) {
+  return TRANSIENT_STATUS_CODES.includes(statusCode);
+}
+
+function isIdempotentTool(toolName) {
+  const tools = process.env.MCP_RETRY_TOOLS
+    ? process.env.MCP_RETRY_TOOLS.split(',').map((tool) => tool.trim())
+    : IDEMPOTENT_TOOLS;
+  return tools.includes(toolName);
+}
+
+// ========== RETRIES ==========
+
+function backoffDelay(attempt) {
+  const base = envInt('MCP_RETRY_BASE_DELAY_MS', 200);
+  const max = envInt('MCP_RETRY_MAX_DELAY_MS', 2000);
+  // Jitter completo: un valor aleatorio entre 0 y el backoff exponencial
+  return Math.random() * Math.min(max, base * 2 ** attempt);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Ejecuta fn reintentando las fallas transitorias si retry es true.
+ * No reintenta si la espera terminaría después de deadline (epoch en ms).
+ */
+async function withRetries(fn, { retry = false, label = 'MCP', deadline = null } = {}) {
+  const maxAttempts = retry ? Math.max(1, envInt('MCP_RETRY_MAX_ATTEMPTS', 3)) : 1;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt + 1 >= maxAttempts || !isTransientError(error)) {
+        throw error;
+      }
+      const delay = backoffDelay(attempt);
+      if (deadline && Date.now() + delay >= deadline) {
+        throw error;
+      }
+      log.warn('Falla transitoria, reintentando', {
+        operation: label,
+        error: error.message,
+        attempt: attempt + 1,
+        delay_ms: Math.round(delay)
+      });
+      await sleep(delay);
+    }
+  }
+}
+
+// ========== CIRCUIT BREAKER ==========
+
+// Circuito por defecto cuando no se indica backend
+const DEFAULT_CIRCUIT = 'default';
+
+// Estado del circuito de cada backend (persiste entre invocaciones en caliente)
+const circuits = new Map();
+
+function getCircuit(key) {
+  if (!circuits.has(key)) {
+    circuits.set(key, {
+      key,
+      state: 'closed',
+      consecutiveFailures: 0,
+      openedAt: null,
+      lastFailure: null,
+      probing: false
+    });
+  }
+  return circuits.get(key);
+}
+
+function resetMs() {
+  return envInt('MCP_BREAKER_RESET_MS', 30000);
+}
+
+/**
+ * Lanza CircuitOpenError si el circuito está abierto. Pasado el tiempo de
+ * espera pasa a half_open y deja pasar una sola llamada de prueba; las demás
+ * se rechazan hasta que la prueba termine. Devuelve true si la llamada es la prueba.
+ */
+function assertCircuitClosed(circuit) {
+  if (circuit.state === 'closed') return false;
+
+  if (circuit.state === 'open') {
+    const elapsed = Date.now() - circuit.openedAt;
+    if (elapsed < resetMs()) {
+      throw new CircuitOpenError(Math.ceil((resetMs() - elapsed) / 1000));
+    }
+    circuit.state = 'half_open';
+    log.info('Circuit breaker en half_open, probando el servidor MCP', { backend: circuit.key });
+  }
+
+  if (circuit.probing) {
+    throw new CircuitOpenError(1);
+  }
+  circuit.probing = true;
+  return true;
+}
+
+function recordSuccess(circuit) {
+  if (circuit.state !== 'closed') {
+    log.info('Circuit breaker cerrado', { backend: circuit.key });
+  }
+  circuit.state = 'closed';
+  circuit.consecutiveFailures = 0;
+  circuit.openedAt = null;
+}
+
+function recordFailure(circuit, error) {
+  circuit.consecutiveFailures += 1;
+  circuit.lastFailure = { message: error.message, at: new Date().toISOString() };
+
+  const threshold = envInt('MCP_BREAKER_FAILURE_THRESHOLD', 5);
+  if (circuit.state === 'half_open' || circuit.consecutiveFailures >= threshold) {
+    if (circuit.state !== 'open') {
+      log.warn('Circuit breaker abierto', {
+        backend: circuit.key,
+        consecutive_failures: circuit.consecutiveFailures
+      });
+    }
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+  }
+}
+
+/**
+ * Ejecuta fn protegida por el circuit breaker de key (el nombre del backend).
+ * Solo cuentan las fallas transitorias y los timeouts; un error de la
+ * herramienta significa que el servidor sí responde.
+ */
+async function withCircuitBreaker(fn, key = DEFAULT_CIRCUIT) {
+  const circuit = getCircuit(key);
+  const probe = assertCircuitClosed(circuit);
+
+  try {
+    const result = await fn();
+    recordSuccess(circuit);
+    return result;
+  } catch (error) {
+    if (isTransientError(error) || error instanceof McpTimeoutError) {
+      recordFailure(circuit, error);
+    } else {
+      recordSuccess(circuit);
+    }
+    throw error;
+  } finally {
+    if (probe) circuit.probing = false;
+  }
+}
+
+/**
+ * Estado del circuito de un backend para /health
+ */
+function getCircuitState(key = DEFAULT_CIRCUIT) {
+  const circuit = getCircuit(key);
+
+  return {
+    state: circuit.state,
+    consecutive_failures: circuit.consecutiveFailures,
+    opened_at: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+    retry_after: circuit.state === 'open'
+      ? Math.max(0, Math.ceil((resetMs() - (Date.now() - circuit.openedAt)) / 1000))
+      : null,
+    last_failure: circuit.lastFailure
+  };
+}
+
+/**
+ * Cierra el circuito de un backend, o todos, y olvida las fallas (tests)
+ */
+function resetCircuit(key) {
+  if (key === undefined) {
+    circuits.clear();
+  } else {
+    circuits.delete(key);
+  }
+}
+
+module.exports = {
+  McpTransientError,
+  McpTimeoutError,
+  CircuitOpenError,
+  isTransientError,
+  isTransientStatus,
+  isIdempotentTool,
+  withRetries,
+  withCircuitBreaker,
+  getCircuitState,
+  resetCircuit
+};
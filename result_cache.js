@@ -0,0 +1,308 @@
+/**
+ * Cache de resultados para embeddings y búsqueda semántica
+ * La llave es un hash SHA-256 del texto normalizado (NFC, sin espacios repetidos
+ * ni al inicio/final) más los parámetros que cambian el resultado
+ * (classroom_id, limit, threshold).
+ *
+ * Dos niveles:
+ * - LRU en memoria: vive mientras el contenedor Lambda esté caliente
+ * - store compartido opcional (p. ej. DynamoDB) para compartir entre instancias
+ *
+ * Las búsquedas de un classroom se invalidan al ingerir chunks nuevos: cada
+ * classroom tiene una "generación" que forma parte de la llave, así que cambiarla
+ * deja huérfanas las entradas anteriores (expiran por TTL).
+ *
+ * Configuración:
+ * - RESULT_CACHE_ENABLED: "false" desactiva el cache (default: activado)
+ * - RESULT_CACHE_MAX_ENTRIES: tamaño del LRU en memoria (default: 500)
+ * - RESULT_CACHE_EMBEDDING_TTL_SECONDS: vigencia de los embeddings (default: 86400)
+ * - RESULT_CACHE_SEARCH_TTL_SECONDS: vigencia de las búsquedas (default: 300)
+ * - RESULT_CACHE_STORE: "none" (default, solo memoria) o "dynamodb"
+ * - RESULT_CACHE_TABLE: tabla DynamoDB (llave de partición "pk", TTL en "expires_at")
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const { createDocumentClient } = require('./dynamodb');
+
+const log = createLogger('cache');
+
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_EMBEDDING_TTL_SECONDS = 86400;
+const DEFAULT_SEARCH_TTL_SECONDS = 300;
+
+// Generación que invalida las búsquedas de todos los classrooms
+const ALL_CLASSROOMS = '*';
+
+function isCacheEnabled() {
+  return process.env.RESULT_CACHE_ENABLED !== 'false';
+}
+
+function ttlFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function nowSeconds() {
+  return Date.now() / 1000;
+}
+
+// ========== STORES ==========
+
+/**
+ * LRU en memoria: un Map conserva el orden de inserción, así que la entrada
+ * menos usada es la primera y cada lectura la vuelve a insertar al final.
+ */
+function createLruCache(maxEntries = parseInt(process.env.RESULT_CACHE_MAX_ENTRIES, 10) || DEFAULT_MAX_ENTRIES) {
+  const items = new Map();
+
+  return {
+    get(key) {
+      const item = items.get(key);
+      if (!item) return null;
+      items.delete(key);
+      if (item.expiresAt <= nowSeconds()) return null;
+      items.set(key, item);
+      return item.value;
+    },
+
+    set(key, value, expiresAt) {
+      items.delete(key);
+      items.set(key, { value, expiresAt });
+      while (items.size > maxEntries) {
+        items.delete(items.keys().next().value);
+      }
+    },
+
+    clear() {
+      items.clear();
+    },
+
+    get size() {
+      return items.size;
+    }
+  };
+}
+
+/**
+ * Store compartido en DynamoDB. Un store compartido expone
+ * get(key) => { value, expiresAt } | null y set(key, value, { expiresAt }).
+ * client y commands: ver createDocumentClient en dynamodb.js.
+ */
+function createDynamoDbCacheStore({ tableName = process.env.RESULT_CACHE_TABLE, client, commands } = {}) {
+  const { client: documentClient, GetCommand, PutCommand } = createDocumentClient({ client, commands });
+
+  return {
+    async get(key) {
+      const { Item } = await documentClient.send(new GetCommand({
+        TableName: tableName,
+        Key: { pk: key }
+      }));
+      if (!Item || Item.expires_at <= nowSeconds()) return null;
+      return { value: Item.value, expiresAt: Item.expires_at };
+    },
+
+    async set(key, value, { expiresAt }) {
+      await documentClient.send(new PutCommand({
+        TableName: tableName,
+        Item: { pk: key, value, expires_at: Math.ceil(expiresAt) }
+      }));
+    }
+  };
+}
+
+const memory = createLruCache();
+const generations = new Map();
+const stats = { hits: 0, misses: 0 };
+let sharedStore;
+
+function getSharedStore() {
+  if (sharedStore === undefined) {
+    sharedStore = process.env.RESULT_CACHE_STORE === 'dynamodb' ? createDynamoDbCacheStore() : null;
+  }
+  return sharedStore;
+}
+
+/**
+ * Reemplaza el store compartido (tests o inicialización personalizada); null lo desactiva
+ */
+function setSharedCacheStore(store) {
+  sharedStore = store;
+}
+
+// El cache nunca debe hacer fallar una petición: los errores del store compartido se registran y se ignoran
+async function sharedGet(key) {
+  const store = getSharedStore();
+  if (!store) return null;
+  try {
+    return await store.get(key);
+  } catch (error) {
+    log.error('Error leyendo del store compartido', { key, error });
+    return null;
+  }
+}
+
+async function sharedSet(key, value, expiresAt) {
+  const store = getSharedStore();
+  if (!store) return;
+  try {
+    await store.set(key, value, { expiresAt });
+  } catch (error) {
+    log.error('Error guardando en el store compartido', { key, error });
+  }
+}
+
+// ========== LLAVES ==========
+
+function normalizeText(text) {
+  return text.normalize('NFC').trim().replace(/\s+/g, ' ');
+}
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(normalizeText(text)).digest('hex');
+}
+
+/**
+ * Generación actual de un classroom. Con store compartido se consulta ahí para
+ * ver las invalidaciones de otras instancias.
+ */
+async function getGeneration(scope) {
+  const key = `gen:${scope}`;
+  const shared = await sharedGet(key);
+  if (shared) return shared.value;
+  return generations.get(scope) || '0';
+}
+
+async function searchGeneration(classroomId) {
+  const [global, classroom] = await Promise.all([
+    getGeneration(ALL_CLASSROOMS),
+    getGeneration(classroomId)
+  ]);
+  return `${global}.${classroom}`;
+}
+
+function embeddingCacheKey(text) {
+  return `embedding:${hashText(text)}`;
+}
+
+async function searchCacheKey({ query_text, classroom_id, limit, threshold }) {
+  const generation = await searchGeneration(classroom_id);
+  return `search:${classroom_id}:${generation}:${hashText(query_text)}:${limit}:${threshold ?? 'default'}`;
+}
+
+// ========== API ==========
+
+function withCacheHeader(response, status) {
+  return {
+    ...response,
+    headers: { ...response.headers, 'X-Cache': status }
+  };
+}
+
+/**
+ * Devuelve la respuesta cacheada para key o ejecuta compute() y guarda su
+ * resultado si fue exitoso (200). La respuesta lleva X-Cache: HIT o MISS.
+ */
+async function cachedResponse(key, ttlSeconds, compute) {
+  if (!isCacheEnabled()) {
+    return compute();
+  }
+
+  let body = memory.get(key);
+
+  if (!body) {
+    const shared = await sharedGet(key);
+    if (shared) {
+      body = shared.value;
+      memory.set(key, body, shared.expiresAt);
+    }
+  }
+
+  if (body) {
+    stats.hits += 1;
+    log.debug('HIT', { key });
+    return withCacheHeader({
+      statusCode: 200,
+      body: { ...body, timestamp: new Date().toISOString() }
+    }, 'HIT');
+  }
+
+  stats.misses += 1;
+  log.debug('MISS', { key });
+  const response = await compute();
+
+  if (response.statusCode === 200 && ttlSeconds > 0) {
+    const expiresAt = nowSeconds() + ttlSeconds;
+    memory.set(key, response.body, expiresAt);
+    await sharedSet(key, response.body, expiresAt);
+  }
+
+  return withCacheHeader(response, 'MISS');
+}
+
+/**
+ * Embedding de un texto (generate_embedding)
+ */
+function cachedEmbedding(text, compute) {
+  const ttl = ttlFromEnv('RESULT_CACHE_EMBEDDING_TTL_SECONDS', DEFAULT_EMBEDDING_TTL_SECONDS);
+  return cachedResponse(embeddingCacheKey(text), ttl, compute);
+}
+
+/**
+ * Búsqueda de chunks en un classroom (search_similar_chunks)
+ */
+async function cachedSearch(params, compute) {
+  if (!isCacheEnabled()) {
+    return compute();
+  }
+  const ttl = ttlFromEnv('RESULT_CACHE_SEARCH_TTL_SECONDS', DEFAULT_SEARCH_TTL_SECONDS);
+  return cachedResponse(await searchCacheKey(params), ttl, compute);
+}
+
+/**
+ * Invalida las búsquedas cacheadas de un classroom (o de todos si no se
+ * conoce el classroom) cambiando su generación
+ */
+async function invalidateClassroomSearches(classroomId) {
+  const scope = classroomId || ALL_CLASSROOMS;
+  const generation = `${Date.now().toString(36)}${crypto.randomBytes(2).toString('hex')}`;
+  generations.set(scope, generation);
+
+  // La generación debe durar más que las búsquedas que invalida
+  const ttl = ttlFromEnv('RESULT_CACHE_SEARCH_TTL_SECONDS', DEFAULT_SEARCH_TTL_SECONDS);
+  await sharedSet(`gen:${scope}`, generation, nowSeconds() + ttl * 2 + 60);
+
+  log.info('Búsquedas invalidadas', { classroom_id: classroomId || 'todos' });
+}
+
+function getCacheStats() {
+  return {
+    enabled: isCacheEnabled(),
+    shared_store: Boolean(getSharedStore()),
+    entries: memory.size,
+    hits: stats.hits,
+    misses: stats.misses
+  };
+}
+
+/**
+ * Vacía el cache en memoria y las generaciones (tests)
+ */
+function resetResultCache() {
+  memory.clear();
+  generations.clear();
+  stats.hits = 0;
+  stats.misses = 0;
+}
+
+module.exports = {
+  cachedEmbedding,
+  cachedSearch,
+  invalidateClassroomSearches,
+  getCacheStats,
+  resetResultCache,
+  setSharedCacheStore,
+  createLruCache,
+  createDynamoDbCacheStore,
+  hashText
+};
@@ -0,0 +1,128 @@
+/**
+ * Router declarativo para el Lambda
+ * Resuelve rutas exactas o con parámetros ({param}) y valida el método HTTP
+ * contra los métodos permitidos de cada ruta.
+ */
+
+/**
+ * Compila un path tipo "/classrooms/{classroom_id}/info" a una expresión regular
+ */
+function compilePath(pattern) {
+  const paramNames = [];
+  const source = pattern
+    .split('/')
+    .map((segment) => {
+      const param = segment.match(/^\{([a-zA-Z_][a-zA-Z0-9_]*)\}$/);
+      if (param) {
+        paramNames.push(param[1]);
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+
+  return {
+    pattern,
+    regex: new RegExp(`^${source}$`),
+    paramNames
+  };
+}
+
+/**
+ * Decodifica los parámetros del path; null si alguno trae un escape % inválido
+ */
+function decodePathParams(matcher, result) {
+  const pathParams = {};
+  try {
+    matcher.paramNames.forEach((name, i) => {
+      pathParams[name] = decodeURIComponent(result[i + 1]);
+    });
+  } catch (error) {
+    if (error instanceof URIError) return null;
+    throw error;
+  }
+  return pathParams;
+}
+
+/**
+ * Normaliza el path del evento: quita el stage de API Gateway y el trailing slash
+ */
+function normalizePath(path, stage) {
+  let normalized = path || '';
+
+  // En HTTP API (v2) el rawPath incluye el stage cuando no es $default
+  if (stage && stage !== '$default') {
+    const prefix = `/${stage}`;
+    if (normalized === prefix || normalized.startsWith(`${prefix}/`)) {
+      normalized = normalized.substring(prefix.length);
+    }
+  }
+
+  normalized = normalized.replace(/\/+$/, '');
+  return normalized || '/';
+}
+
+/**
+ * Crea un router a partir de una lista de rutas
+ *
+ * Cada ruta tiene la forma:
+ *   { name, paths: ['/canonico', '/alias'], methods: ['POST'], handler, ... }
+ * El primer path es el canónico; el resto se aceptan como alias.
+ */
+function createRouter(routes) {
+  const compiled = routes.map((route) => ({
+    route,
+    matchers: route.paths.map(compilePath)
+  }));
+
+  /**
+   * Busca la ruta para un método y path.
+   * Devuelve { route, pathParams } si hay match, { allow } si el path existe
+   * pero el método no está permitido, o null si el path no existe (o sus
+   * parámetros no se pueden decodificar).
+   * Si method es null (invocación directa del Lambda) no se valida el método.
+   */
+  function match(method, path) {
+    const allowed = new Set();
+
+    for (const { route, matchers } of compiled) {
+      for (const matcher of matchers) {
+        const result = matcher.regex.exec(path);
+        if (!result) continue;
+
+        // Un path con escapes mal formados no corresponde a ninguna ruta
+        const pathParams = decodePathParams(matcher, result);
+        if (!pathParams) continue;
+
+        if (!method || route.methods.includes(method.toUpperCase())) {
+          return { route, pathParams };
+        }
+
+        route.methods.forEach((m) => allowed.add(m));
+      }
+    }
+
+    if (allowed.size > 0) {
+      allowed.add('OPTIONS');
+      return { allow: Array.from(allowed) };
+    }
+
+    return null;
+  }
+
+  function getRoute(name) {
+    return routes.find((route) => route.name === name) || null;
+  }
+
+  return {
+    routes,
+    match,
+    getRoute
+  };
+}
+
+module.exports = {
+  createRouter,
+  compilePath,
+  normalizePath
+};
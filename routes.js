@@ -0,0 +1,649 @@
+/**
+ * Registro de rutas del Lambda EstudIA
+ * Fuente única para el enrutamiento, la documentación de /info y la lista de
+ * endpoints disponibles que se devuelve en el 404.
+ */
+
+const mcpBridge = require('./mcp_bridge');
+const { handleBatch } = require('./batch');
+const { handleGetJob, handleCancelJob } = require('./jobs');
+const { getSessionInfo } = require('./mcp_client');
+const { getCircuitState } = require('./resilience');
+const { getBackends, getDefaultBackend, describeBackend } = require('./backends');
+const { getCacheStats } = require('./result_cache');
+const schemas = require('./schemas');
+const { buildOpenApiDocument, renderHtmlDocs, describeUsageBody } = require('./openapi');
+const { version } = require('./package.json');
+
+const SERVICE = {
+  title: 'EstudIA Lambda - MCP Bridge',
+  version,
+  description: 'Bridge HTTP para conectar apps con servidor MCP de EstudIA (Sistema de gestión educativa tipo NotebookLM)'
+};
+
+// ========== HANDLERS LOCALES ==========
+
+async function handleHealth() {
+  const defaultBackend = getDefaultBackend();
+  const backends = getBackends().map((backend) => {
+    const circuit = getCircuitState(backend.name);
+    return {
+      ...describeBackend(backend),
+      status: circuit.state === 'open' ? 'degraded' : 'healthy',
+      session: getSessionInfo(backend.name),
+      circuit
+    };
+  });
+
+  return {
+    statusCode: 200,
+    body: {
+      // degraded: el circuit breaker de algún backend está abierto y sus llamadas fallan con 503
+      status: backends.some((backend) => backend.status === 'degraded') ? 'degraded' : 'healthy',
+      service: SERVICE.title,
+      version: SERVICE.version,
+      mcp_server: defaultBackend.url,
+      mcp_session: getSessionInfo(defaultBackend.name),
+      mcp_circuit: getCircuitState(defaultBackend.name),
+      mcp_backends: backends,
+      result_cache: getCacheStats(),
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+async function handleInfo() {
+  const endpoints = {};
+  const usage = {};
+  const examples = {};
+
+  for (const route of routes) {
+    if (!route.key) continue;
+
+    endpoints[route.key] = route.paths[0];
+
+    if (route.schema) {
+      usage[route.key] = {
+        method: route.methods.join('/'),
+        path: route.paths[0],
+        ...(route.paths.length > 1 && { aliases: route.paths.slice(1) }),
+        description: route.summary,
+        body: describeUsageBody(route.schema),
+        ...(route.note && { note: route.note })
+      };
+    }
+
+    if (route.example) {
+      examples[route.key] = route.example.trim();
+    }
+  }
+
+  return {
+    statusCode: 200,
+    body: {
+      service: SERVICE.title,
+      version: SERVICE.version,
+      description: SERVICE.description,
+      mcp_server: getDefaultBackend().url,
+      endpoints,
+      usage,
+      examples,
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+function getOpenApiDocument() {
+  return buildOpenApiDocument(routes, {
+    ...SERVICE,
+    serverUrl: process.env.PUBLIC_API_URL
+  });
+}
+
+async function handleOpenApi() {
+  return {
+    statusCode: 200,
+    body: getOpenApiDocument()
+  };
+}
+
+async function handleDocs() {
+  return {
+    statusCode: 200,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' },
+    body: renderHtmlDocs(getOpenApiDocument())
+  };
+}
+
+// ========== REGISTRO DE RUTAS ==========
+
+const MCP_SESSION_SCHEMA = {
+  type: 'object',
+  properties: {
+    initialized: { type: 'boolean' },
+    session_id: { type: ['string', 'null'] },
+    protocol_version: { type: ['string', 'null'] },
+    server_info: { type: ['object', 'null'] },
+    server_capabilities: { type: ['object', 'null'] }
+  }
+};
+
+const MCP_CIRCUIT_SCHEMA = {
+  type: 'object',
+  properties: {
+    state: { type: 'string', enum: ['closed', 'open', 'half_open'] },
+    consecutive_failures: { type: 'integer' },
+    opened_at: { type: ['string', 'null'] },
+    retry_after: { type: ['integer', 'null'] },
+    last_failure: { type: ['string', 'null'] }
+  }
+};
+
+// Lote de /generate-embedding ("texts"): cada texto es una llamada al servidor
+// MCP, así que el lote requiere token y tiene su propio rate limit
+const EMBEDDING_BATCH_POLICY = {
+  name: 'generate-embedding-batch',
+  auth: true,
+  rateLimit: {
+    user: { capacity: 5, refillPerMinute: 2, dailyQuota: 100 }
+  }
+};
+
+/**
+ * Cada ruta define:
+ * - name: identificador interno del endpoint
+ * - key: nombre en la documentación de /info
+ * - paths: path canónico seguido de alias (acepta parámetros {param})
+ * - methods: métodos HTTP permitidos
+ * - handler: función (params, ctx) => { statusCode, body, headers? } (ctx: ver createHandlerContext en index.js)
+ * - auth: requiere JWT Bearer; el user_id del body queda ligado al sub del token
+ * - roles: roles del usuario en el classroom (classroom_id) que pueden usar la ruta;
+ *   sin un classroom_id válido la ruta responde 400, salvo que su schema lo deje
+ *   opcional (operación global)
+ * - adminForGlobal: sin classroom_id (documento global) solo los administradores
+ *   pueden usar la ruta (ver isAdmin en auth.js)
+ * - rateLimit: token bucket y cuota diaria por usuario / classroom (ver rate_limit.js)
+ * - policyFor: (params) => política { name, auth, roles, rateLimit } que reemplaza
+ *   la de la ruta para esa petición, o null para usar la de la ruta
+ * - policies: políticas que policyFor puede devolver; /openapi.json documenta su auth y rate limit
+ * - streaming: admite respuesta SSE con exports.streamHandler (ver streaming.js)
+ * - async: admite async=true para responder 202 con un job (ver jobs.js)
+ * - job: consulta o modifica un job por job_id (errores JOB_* y JOBS_UNAVAILABLE en /openapi.json)
+ * - cached: los resultados se cachean y la respuesta lleva X-Cache (ver result_cache.js)
+ * - schema: schema de validación (ver schemas.js), también usado en la documentación
+ * - tool: herramienta MCP que invoca; el gateway /tools/{tool} aplica la política de esta ruta
+ * - gateway: ruta genérica que llama herramientas MCP por nombre (ver tool_registry.js)
+ * - requestSchema: JSON Schema del body cuando la ruta no tiene schema de validación
+ * - tag / summary / description / note / example: documentación para /info y /openapi.json
+ */
+const routes = [
+  {
+    name: 'health',
+    key: 'health',
+    paths: ['/health'],
+    methods: ['GET'],
+    summary: 'Estado del servicio',
+    responseSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', example: 'healthy' },
+        service: { type: 'string' },
+        version: { type: 'string' },
+        mcp_server: { type: 'string' },
+        mcp_session: MCP_SESSION_SCHEMA,
+        mcp_circuit: MCP_CIRCUIT_SCHEMA,
+        mcp_backends: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              url: { type: 'string' },
+              default: { type: 'boolean' },
+              tools: { type: 'array', items: { type: 'string' } },
+              auth: { type: ['string', 'null'], example: 'bearer' },
+              timeout_ms: { type: 'integer' },
+              status: { type: 'string', example: 'healthy' },
+              session: MCP_SESSION_SCHEMA,
+              circuit: MCP_CIRCUIT_SCHEMA
+            }
+          }
+        },
+        result_cache: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean' },
+            shared_store: { type: 'boolean' },
+            entries: { type: 'integer' },
+            hits: { type: 'integer' },
+            misses: { type: 'integer' }
+          }
+        },
+        timestamp: { type: 'string', format: 'date-time' }
+      }
+    },
+    handler: handleHealth
+  },
+  {
+    name: 'info',
+    paths: ['/', '/info'],
+    methods: ['GET'],
+    summary: 'Documentación resumida de los endpoints',
+    responseSchema: { type: 'object' },
+    handler: handleInfo
+  },
+  {
+    name: 'openapi',
+    key: 'openapi',
+    paths: ['/openapi.json'],
+    methods: ['GET'],
+    summary: 'Especificación OpenAPI 3.1 de esta API',
+    responseSchema: { type: 'object' },
+    handler: handleOpenApi
+  },
+  {
+    name: 'docs',
+    key: 'docs',
+    paths: ['/docs'],
+    methods: ['GET'],
+    summary: 'Documentación HTML generada a partir de la especificación OpenAPI',
+    contentType: 'text/html',
+    handler: handleDocs
+  },
+
+  // ========== EMBEDDINGS ==========
+
+  {
+    name: 'generate-embedding',
+    key: 'generateEmbedding',
+    paths: ['/generate-embedding', '/embedding'],
+    methods: ['POST'],
+    tag: 'Embeddings',
+    tool: 'generate_embedding',
+    cached: true,
+    policies: [EMBEDDING_BATCH_POLICY],
+    policyFor: (params) => (params.texts !== undefined ? EMBEDDING_BATCH_POLICY : null),
+    handler: mcpBridge.handleMcpGenerateEmbedding,
+    summary: 'Genera el embedding de un texto o de un lote de textos',
+    note: 'Con "texts" se requiere Authorization: Bearer y hay rate limit por usuario; los resultados llegan en el mismo orden, con errores, caracteres y tokens estimados por elemento',
+    schema: schemas.generateEmbedding
+  },
+  {
+    name: 'create-embedding',
+    key: 'createEmbedding',
+    paths: ['/create-embedding'],
+    methods: ['POST'],
+    tag: 'Embeddings',
+    auth: true,
+    roles: ['professor'],
+    tool: 'create_embedding',
+    handler: mcpBridge.handleMcpCreateEmbedding,
+    summary: 'Crea y almacena un embedding asociado a un classroom',
+    schema: schemas.createEmbedding
+  },
+
+  // ========== DOCUMENTOS Y CHUNKS ==========
+
+  {
+    name: 'store-document-chunks',
+    key: 'storeDocumentChunks',
+    paths: ['/store-document-chunks', '/store-chunks'],
+    methods: ['POST'],
+    tag: 'Documentos',
+    auth: true,
+    tool: 'store_document_chunks',
+    async: true,
+    handler: mcpBridge.handleMcpStoreDocumentChunk,
+    summary: 'Procesa y almacena chunks AUTOMÁTICAMENTE - solo pasa el ID del documento',
+    note: 'Este endpoint lee el documento, aplica OCR si es imagen, divide en chunks y almacena todo automáticamente',
+    schema: schemas.storeDocumentChunks,
+    example: `
+            # PROCESAMIENTO AUTOMÁTICO - Solo pasa el ID del documento
+            curl -X POST https://your-api-url.com/store-document-chunks \\
+              -H "Content-Type: application/json" \\
+              -H "Authorization: Bearer <jwt>" \\
+              -d '{
+                "classroom_document_id": "7c9e6679-7425-40de-944b-e07fc1f90ae7",
+                "chunk_size": 1000,
+                "chunk_overlap": 100
+              }'
+
+            # El servidor automáticamente:
+            # 1. Lee el documento de Storage
+            # 2. Aplica OCR si es imagen
+            # 3. Divide en chunks con overlap
+            # 4. Genera embeddings
+            # 5. Almacena todos los chunks
+            `
+  },
+  {
+    name: 'search-chunks',
+    key: 'searchChunks',
+    paths: ['/search-chunks', '/chunks'],
+    methods: ['POST'],
+    tag: 'Documentos',
+    auth: true,
+    roles: ['student', 'professor'],
+    tool: 'search_similar_chunks',
+    cached: true,
+    handler: mcpBridge.handleMcpSearchSimilarChunks,
+    summary: 'Búsqueda semántica de chunks dentro de un classroom',
+    schema: schemas.searchSimilarChunks,
+    example: `
+            curl -X POST https://your-api-url.com/search-chunks \\
+              -H "Content-Type: application/json" \\
+              -H "Authorization: Bearer <jwt>" \\
+              -d '{
+                "query_text": "embeddings vectores",
+                "classroom_id": "550e8400-e29b-41d4-a716-446655440000",
+                "limit": 5
+              }'
+            `
+  },
+  {
+    name: 'store-document',
+    key: 'storeDocument',
+    paths: ['/store-document'],
+    methods: ['POST'],
+    tag: 'Documentos',
+    auth: true,
+    roles: ['professor'],
+    adminForGlobal: true,
+    tool: 'store_document',
+    handler: mcpBridge.handleMcpStoreDocument,
+    summary: 'Almacena un documento en un classroom o en la base de conocimiento global',
+    note: 'Sin classroom_id el documento es global y solo los administradores pueden crearlo',
+    schema: schemas.storeDocument
+  },
+  {
+    name: 'search-documents',
+    key: 'searchDocuments',
+    paths: ['/search-documents'],
+    methods: ['POST'],
+    tag: 'Documentos',
+    auth: true,
+    roles: ['student', 'professor'],
+    tool: 'search_similar_documents',
+    handler: mcpBridge.handleMcpSearchSimilarDocuments,
+    summary: 'Búsqueda semántica de documentos de un classroom y de la base global',
+    note: 'Con scope "all" se combinan los resultados del classroom y los globales, ordenados por similitud y marcados con su scope',
+    schema: schemas.searchSimilarDocuments,
+    example: `
+            curl -X POST https://your-api-url.com/search-documents \\
+              -H "Content-Type: application/json" \\
+              -H "Authorization: Bearer <jwt>" \\
+              -d '{
+                "query_text": "régimen de incorporación fiscal",
+                "classroom_id": "550e8400-e29b-41d4-a716-446655440000",
+                "scope": "all",
+                "limit": 5
+              }'
+            `
+  },
+
+  // ========== ASISTENTES ==========
+
+  {
+    name: 'chat-classroom',
+    key: 'chatClassroom',
+    paths: ['/chat-classroom'],
+    methods: ['POST'],
+    tag: 'Asistentes',
+    auth: true,
+    roles: ['student', 'professor'],
+    rateLimit: {
+      user: { capacity: 10, refillPerMinute: 10, dailyQuota: 300 },
+      classroom: { capacity: 60, refillPerMinute: 60, dailyQuota: 5000 }
+    },
+    tool: 'chat_with_classroom_assistant',
+    streaming: true,
+    handler: mcpBridge.handleMcpChatWithClassroom,
+    summary: 'Chat con el asistente del classroom',
+    schema: schemas.chatWithClassroom,
+    example: `
+            curl -X POST https://your-api-url.com/chat-classroom \\
+              -H "Content-Type: application/json" \\
+              -H "Authorization: Bearer <jwt>" \\
+              -d '{
+                "message": "¿Cuáles son los conceptos clave de la clase?",
+                "classroom_id": "550e8400-e29b-41d4-a716-446655440000"
+              }'
+            `
+  },
+  {
+    name: 'professor-assistant',
+    key: 'professorAssistant',
+    paths: ['/professor-assistant', '/professor'],
+    methods: ['POST'],
+    tag: 'Asistentes',
+    auth: true,
+    roles: ['student', 'professor'],
+    tool: 'professor_assistant',
+    streaming: true,
+    handler: mcpBridge.handleMcpProfessorAssistant,
+    summary: 'Responde preguntas de estudiantes como profesor asistente',
+    schema: schemas.professorAssistant,
+    example: `
+            curl -X POST https://your-api-url.com/professor-assistant \\
+              -H "Content-Type: application/json" \\
+              -H "Authorization: Bearer <jwt>" \\
+              -d '{
+                "question": "¿Puedes explicar el concepto de embeddings?",
+                "classroom_id": "550e8400-e29b-41d4-a716-446655440000"
+              }'
+            `
+  },
+
+  // ========== CLASSROOM ==========
+
+  {
+    name: 'classroom-info',
+    key: 'classroomInfo',
+    paths: ['/classroom-info', '/classroom', '/classrooms/{classroom_id}/info'],
+    methods: ['GET', 'POST'],
+    tag: 'Classroom',
+    auth: true,
+    roles: ['student', 'professor'],
+    tool: 'get_classroom_info',
+    handler: mcpBridge.handleMcpGetClassroomInfo,
+    summary: 'Información general de un classroom',
+    schema: schemas.getClassroomInfo
+  },
+  {
+    name: 'generate-resources',
+    key: 'generateResources',
+    paths: ['/generate-resources', '/resources'],
+    methods: ['POST'],
+    tag: 'Classroom',
+    auth: true,
+    roles: ['professor'],
+    rateLimit: {
+      user: { capacity: 2, refillPerMinute: 0.5, dailyQuota: 10 },
+      classroom: { capacity: 5, refillPerMinute: 2, dailyQuota: 50 }
+    },
+    tool: 'generate_resources',
+    async: true,
+    handler: mcpBridge.handleMcpGenerateResources,
+    summary: 'Genera un recurso educativo (PDF o PPT) a partir de los documentos del classroom',
+    schema: schemas.generateResources
+  },
+  {
+    name: 'generate-flashcards',
+    key: 'generateFlashcards',
+    paths: ['/generate-flashcards', '/flashcards'],
+    methods: ['POST'],
+    tag: 'Classroom',
+    auth: true,
+    roles: ['student', 'professor'],
+    rateLimit: {
+      user: { capacity: 3, refillPerMinute: 1, dailyQuota: 30 },
+      classroom: { capacity: 10, refillPerMinute: 5, dailyQuota: 200 }
+    },
+    tool: 'generate_flashcards',
+    async: true,
+    handler: mcpBridge.handleMcpGenerateFlashcards,
+    summary: 'Genera tarjetas de estudio (flashcards) a partir de documentos del classroom',
+    note: 'Las flashcards incluyen preguntas, respuestas, conceptos clave y términos del contenido',
+    schema: schemas.generateFlashcards,
+    example: `
+            curl -X POST https://your-api-url.com/generate-flashcards \\
+              -H "Content-Type: application/json" \\
+              -H "Authorization: Bearer <jwt>" \\
+              -d '{
+                "classroom_id": "550e8400-e29b-41d4-a716-446655440000",
+                "max_flashcards": 20,
+                "difficulty_level": "mixed"
+              }'
+            `
+  },
+
+  // ========== CONTEXTO DE USUARIO ==========
+
+  {
+    name: 'analyze-user-context',
+    key: 'analyzeUserContext',
+    paths: ['/analyze-user-context', '/analyze-context'],
+    methods: ['POST'],
+    tag: 'Contexto de Usuario',
+    auth: true,
+    tool: 'analyze_and_update_user_context',
+    handler: mcpBridge.handleMcpAnalyzeUserContext,
+    summary: 'Analiza la sesión del cubículo y actualiza el contexto del usuario',
+    schema: schemas.analyzeUserContext,
+    example: `
+            curl -X POST https://your-api-url.com/analyze-user-context \\
+              -H "Content-Type: application/json" \\
+              -H "Authorization: Bearer <jwt>" \\
+              -d '{
+                "user_id": "a3bb189e-8bf9-3888-9912-ace4e6543002",
+                "session_id": "9b2f5c1e-4d3a-4f6b-8e7d-2c1a0b9f8e7d"
+              }'
+            `
+  },
+
+  // ========== GATEWAY DE HERRAMIENTAS ==========
+
+  {
+    name: 'tools',
+    key: 'tools',
+    paths: ['/tools'],
+    methods: ['GET'],
+    tag: 'Herramientas',
+    handler: mcpBridge.handleListTools,
+    summary: 'Lista las herramientas MCP publicadas (tools/list)',
+    description: 'Nombre, descripción e inputSchema de cada herramienta. La lista se cachea; usa refresh=true para volver a consultarla.',
+    example: `
+            curl https://your-api-url.com/tools
+            `
+  },
+  {
+    name: 'tool-call',
+    key: 'toolCall',
+    paths: ['/tools/{tool}'],
+    methods: ['POST'],
+    tag: 'Herramientas',
+    auth: true,
+    roles: ['student', 'professor'],
+    gateway: true,
+    handler: mcpBridge.handleCallTool,
+    summary: 'Llama cualquier herramienta MCP publicada',
+    description: 'El body son los argumentos de la herramienta y se valida contra su inputSchema. Si la herramienta tiene un endpoint dedicado se aplican sus roles y rate limit. Se exige classroom_id (en el body o en "request") y la membresía se verifica para cada classroom_id y user_id que reciba la herramienta.',
+    requestSchema: { type: 'object', additionalProperties: true },
+    example: `
+            curl -X POST https://your-api-url.com/tools/get_classroom_info \\
+              -H "Content-Type: application/json" \\
+              -H "Authorization: Bearer <jwt>" \\
+              -d '{
+                "classroom_id": "550e8400-e29b-41d4-a716-446655440000"
+              }'
+            `
+  },
+
+  // ========== BATCH ==========
+
+  {
+    name: 'batch',
+    key: 'batch',
+    paths: ['/batch'],
+    methods: ['POST'],
+    tag: 'Batch',
+    handler: handleBatch,
+    summary: 'Ejecuta varias operaciones en una sola petición',
+    description: 'Cada operación se valida, autentica (mismo header Authorization) y limita por separado; los resultados llegan en el mismo orden con su status. Una operación fallida no afecta a las demás.',
+    schema: schemas.batch,
+    example: `
+            curl -X POST https://your-api-url.com/batch \\
+              -H "Content-Type: application/json" \\
+              -H "Authorization: Bearer <jwt>" \\
+              -d '{
+                "operations": [
+                  { "id": "info", "endpoint": "/classroom-info", "params": { "classroom_id": "550e8400-e29b-41d4-a716-446655440000" } },
+                  { "id": "chunks", "endpoint": "/search-chunks", "params": { "classroom_id": "550e8400-e29b-41d4-a716-446655440000", "query_text": "fotosíntesis" } },
+                  { "id": "cards", "tool": "generate_flashcards", "params": { "classroom_id": "550e8400-e29b-41d4-a716-446655440000" } }
+                ]
+              }'
+            `
+  },
+
+  // ========== JOBS ASÍNCRONOS ==========
+
+  {
+    name: 'job-status',
+    key: 'jobStatus',
+    paths: ['/jobs/{job_id}'],
+    methods: ['GET'],
+    tag: 'Jobs',
+    auth: true,
+    job: true,
+    handler: handleGetJob,
+    summary: 'Estado, progreso y resultado de un job asíncrono',
+    description: 'Los jobs se crean con async=true en store-document-chunks, generate-resources y generate-flashcards. Solo el usuario que creó el job puede consultarlo.',
+    schema: schemas.job,
+    example: `
+            curl https://your-api-url.com/jobs/7d444840-9dc0-11d1-b245-5ffdce74fad2 \\
+              -H "Authorization: Bearer <jwt>"
+            `
+  },
+  {
+    name: 'job-cancel',
+    key: 'jobCancel',
+    paths: ['/jobs/{job_id}'],
+    methods: ['DELETE'],
+    tag: 'Jobs',
+    auth: true,
+    job: true,
+    handler: handleCancelJob,
+    summary: 'Cancela un job en cola o en ejecución',
+    note: 'Si el job ya está corriendo su resultado se descarta, pero la llamada MCP en curso no se interrumpe',
+    schema: schemas.job
+  },
+
+  // ========== LEGACY (FiscAI) ==========
+
+  {
+    name: 'fiscal-advice',
+    key: 'fiscalAdvice',
+    paths: ['/fiscal-advice', '/fiscaladvice'],
+    methods: ['POST'],
+    tag: 'Legacy',
+    legacy: true,
+    tool: 'get_fiscal_advice',
+    handler: mcpBridge.handleMcpFiscalAdvice,
+    summary: 'Asesoría fiscal (FiscAI)',
+    schema: schemas.fiscalAdvice
+  }
+];
+
+/**
+ * Lista de endpoints para el 404
+ */
+function listAvailableEndpoints() {
+  return routes
+    .filter((route) => route.key)
+    .map((route) => `${route.methods.join('/')} ${route.paths[0]}${route.legacy ? ' (legacy)' : ''}`);
+}
+
+module.exports = {
+  routes,
+  listAvailableEndpoints
+};
@@ -0,0 +1,222 @@
+/**
+ * Schemas de validación de cada handler MCP
+ * Tipos soportados: string, integer, number, boolean, array, object.
+ * Restricciones: required, nonEmpty, format ('uuid'), enum, min, max,
+ * maxLength, minItems, maxItems, items, default y lowercase.
+ * rules: validaciones entre campos; con always se evalúan aunque falte alguno.
+ */
+
+const classroomId = {
+  type: 'string',
+  format: 'uuid',
+  required: true,
+  description: 'UUID del classroom'
+};
+
+const fiscalAdvice = {
+  fields: {
+    actividad: { type: 'string', required: true, nonEmpty: true, description: 'Actividad económica del contribuyente' },
+    ingresos_anuales: { type: 'number', min: 0, description: 'Ingresos anuales estimados' },
+    estado: { type: 'string', description: 'Estado de residencia' },
+    regimen_actual: { type: 'string', description: 'Régimen fiscal actual' },
+    tiene_rfc: { type: 'boolean', description: 'Indica si ya cuenta con RFC' },
+    contexto_adicional: { type: 'string', description: 'Contexto adicional para la asesoría' }
+  }
+};
+
+// Máximo de textos por petición en /generate-embedding
+const MAX_EMBEDDING_TEXTS = 500;
+
+const generateEmbedding = {
+  fields: {
+    text: { type: 'string', nonEmpty: true, description: 'Texto a convertir en embedding' },
+    texts: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_EMBEDDING_TEXTS,
+      items: { type: 'string', nonEmpty: true },
+      description: `Varios textos a convertir en embeddings (máximo ${MAX_EMBEDDING_TEXTS}); se devuelven en el mismo orden`
+    }
+  },
+  rules: [
+    {
+      fields: ['text', 'texts'],
+      always: true,
+      code: 'required',
+      check: ({ text, texts }) => (text === undefined) !== (texts === undefined),
+      message: 'Envía "text" o "texts" (solo uno de los dos)'
+    }
+  ],
+  hint: 'Envía "text" con un texto o "texts" con un arreglo de textos no vacíos'
+};
+
+const storeDocument = {
+  fields: {
+    text: { type: 'string', required: true, nonEmpty: true, description: 'Texto del documento' },
+    classroom_id: { ...classroomId, required: false, description: 'UUID del classroom (omitir para documento global)' }
+  },
+  hint: 'El texto del documento no puede estar vacío'
+};
+
+const searchSimilarDocuments = {
+  fields: {
+    query_text: { type: 'string', required: true, nonEmpty: true, description: 'Texto de consulta' },
+    classroom_id: { ...classroomId, required: false, description: 'UUID del classroom (omitir para búsqueda global)' },
+    scope: {
+      type: 'string',
+      lowercase: true,
+      enum: ['classroom', 'global', 'all'],
+      description: 'Documentos a buscar: del classroom, globales o ambos (default: classroom si hay classroom_id, si no global)'
+    },
+    limit: { type: 'integer', min: 1, max: 50, default: 5, description: 'Número máximo de resultados' },
+    threshold: { type: 'number', min: 0, max: 1, description: 'Similitud mínima (0=cualquier similitud, 1=idéntico)' }
+  },
+  rules: [
+    {
+      fields: ['classroom_id', 'scope'],
+      always: true,
+      code: 'required',
+      check: ({ classroom_id, scope }) => classroom_id !== undefined || scope === undefined || scope === 'global',
+      message: 'El scope "classroom" o "all" requiere "classroom_id"'
+    }
+  ],
+  hint: 'El texto de consulta no puede estar vacío'
+};
+
+const storeDocumentChunks = {
+  fields: {
+    classroom_document_id: { type: 'string', format: 'uuid', required: true, description: 'UUID del documento' },
+    classroom_id: { ...classroomId, required: false, description: 'UUID del classroom del documento (invalida solo sus búsquedas cacheadas)' },
+    chunk_size: { type: 'integer', min: 100, max: 8000, default: 1000, description: 'Tamaño de cada chunk en caracteres' },
+    chunk_overlap: { type: 'integer', min: 0, max: 2000, default: 100, description: 'Overlap entre chunks en caracteres' }
+  },
+  rules: [
+    {
+      fields: ['chunk_overlap', 'chunk_size'],
+      check: ({ chunk_overlap, chunk_size }) => chunk_overlap < chunk_size,
+      message: '"chunk_overlap" debe ser menor que "chunk_size"'
+    }
+  ],
+  hint: 'El ID del documento es obligatorio. El documento se procesará automáticamente.'
+};
+
+const searchSimilarChunks = {
+  fields: {
+    query_text: { type: 'string', required: true, nonEmpty: true, description: 'Texto de consulta' },
+    classroom_id: classroomId,
+    limit: { type: 'integer', min: 1, max: 50, default: 5, description: 'Número máximo de resultados' },
+    threshold: { type: 'number', min: 0, max: 1, description: 'Similitud mínima (default del servidor: 0.6)' }
+  },
+  hint: 'El ID del classroom es OBLIGATORIO para esta búsqueda'
+};
+
+const chatWithClassroom = {
+  fields: {
+    message: { type: 'string', required: true, nonEmpty: true, description: 'Mensaje del usuario' },
+    classroom_id: classroomId,
+    user_id: { type: 'string', format: 'uuid', description: 'UUID del usuario' },
+    session_id: { type: 'string', description: 'ID de sesión' }
+  },
+  hint: 'Verifica que el mensaje no esté vacío y que el classroom exista'
+};
+
+const getClassroomInfo = {
+  fields: {
+    classroom_id: classroomId
+  },
+  hint: 'El ID del classroom es obligatorio'
+};
+
+const createEmbedding = {
+  fields: {
+    text: { type: 'string', required: true, nonEmpty: true, description: 'Texto a convertir en embedding' },
+    classroom_id: classroomId
+  },
+  hint: 'El texto no puede estar vacío'
+};
+
+const professorAssistant = {
+  fields: {
+    question: { type: 'string', required: true, nonEmpty: true, description: 'Pregunta del estudiante' },
+    classroom_id: classroomId
+  },
+  hint: 'La pregunta no puede estar vacía'
+};
+
+const generateResources = {
+  fields: {
+    classroom_id: classroomId,
+    resource_type: { type: 'string', required: true, lowercase: true, enum: ['pdf', 'ppt'], description: 'Tipo de recurso' },
+    user_id: { type: 'string', format: 'uuid', required: true, description: 'UUID del usuario' },
+    topic: { type: 'string', description: 'Tema específico del recurso' },
+    source_document_ids: {
+      type: 'array',
+      maxItems: 50,
+      items: { type: 'string', format: 'uuid' },
+      description: 'UUIDs de documentos específicos'
+    }
+  },
+  hint: 'El tipo de recurso debe ser "pdf" o "ppt"'
+};
+
+const analyzeUserContext = {
+  fields: {
+    user_id: { type: 'string', format: 'uuid', required: true, description: 'UUID del usuario' },
+    session_id: { type: 'string', format: 'uuid', required: true, description: 'UUID de la sesión del cubículo' }
+  },
+  hint: 'El ID del usuario y de la sesión son obligatorios'
+};
+
+const generateFlashcards = {
+  fields: {
+    classroom_id: classroomId,
+    max_flashcards: { type: 'integer', min: 1, max: 50, default: 20, description: 'Máximo de tarjetas a generar' },
+    difficulty_level: {
+      type: 'string',
+      enum: ['easy', 'medium', 'hard', 'mixed'],
+      default: 'mixed',
+      description: 'Nivel de dificultad'
+    }
+  },
+  hint: 'Verifica que el classroom tenga documentos con contenido'
+};
+
+const job = {
+  fields: {
+    job_id: { type: 'string', format: 'uuid', required: true, description: 'ID del job' },
+    user_id: { type: 'string', format: 'uuid', description: 'UUID del usuario (se toma del token)' }
+  }
+};
+
+const batch = {
+  fields: {
+    operations: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      maxItems: 20,
+      items: { type: 'object' },
+      description: 'Operaciones { id, endpoint | tool, params }'
+    },
+    concurrency: { type: 'integer', min: 1, max: 10, default: 4, description: 'Operaciones ejecutadas en paralelo' }
+  },
+  hint: 'Cada operación necesita "endpoint" (p. ej. "/classroom-info") o "tool" (p. ej. "get_classroom_info")'
+};
+
+module.exports = {
+  fiscalAdvice,
+  generateEmbedding,
+  storeDocument,
+  searchSimilarDocuments,
+  storeDocumentChunks,
+  searchSimilarChunks,
+  chatWithClassroom,
+  getClassroomInfo,
+  createEmbedding,
+  professorAssistant,
+  generateResources,
+  analyzeUserContext,
+  generateFlashcards,
+  batch,
+  job
+};
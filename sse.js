@@ -0,0 +1,111 @@
+/**
+ * Parser incremental de Server-Sent Events (text/event-stream)
+ * Sigue el algoritmo de la especificación HTML: acepta \r\n, \n o \r como fin
+ * de línea, concatena varias líneas "data:" con \n, ignora comentarios (":")
+ * y despacha cada evento al encontrar una línea vacía.
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Crea un parser. onEvent recibe { event, data, id, retry } por cada evento.
+ * Llama push(chunk) con cada fragmento recibido y end() al cerrar el stream.
+ */
+function createSseParser(onEvent) {
+  // Un carácter UTF-8 puede llegar partido entre dos chunks
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let eventType = '';
+  let dataLines = [];
+  let lastEventId = '';
+  let retry = null;
+  let pendingCarriageReturn = false;
+
+  function dispatch() {
+    if (dataLines.length > 0) {
+      onEvent({
+        event: eventType || 'message',
+        data: dataLines.join('\n'),
+        id: lastEventId || null,
+        retry
+      });
+    }
+    eventType = '';
+    dataLines = [];
+  }
+
+  function processLine(line) {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(':')) return;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.substring(0, colon);
+    let value = colon === -1 ? '' : line.substring(colon + 1);
+    if (value.startsWith(' ')) value = value.substring(1);
+
+    switch (field) {
+      case 'event':
+        eventType = value;
+        break;
+      case 'data':
+        dataLines.push(value);
+        break;
+      case 'id':
+        if (!value.includes('\0')) lastEventId = value;
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) retry = parseInt(value, 10);
+        break;
+      default:
+        break;
+    }
+  }
+
+  function push(chunk) {
+    let text = buffer + (typeof chunk === 'string' ? chunk : decoder.write(chunk));
+
+    // Un \r al final del chunk anterior seguido de \n forma un solo fin de línea
+    if (pendingCarriageReturn && text.startsWith('\n')) {
+      text = text.substring(1);
+    }
+    pendingCarriageReturn = false;
+
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char !== '\n' && char !== '\r') continue;
+
+      processLine(text.substring(start, i));
+
+      if (char === '\r') {
+        if (i + 1 === text.length) {
+          pendingCarriageReturn = true;
+        } else if (text[i + 1] === '\n') {
+          i += 1;
+        }
+      }
+      start = i + 1;
+    }
+
+    buffer = text.substring(start);
+  }
+
+  function end() {
+    buffer += decoder.end();
+    if (buffer) {
+      processLine(buffer);
+      buffer = '';
+    }
+    // Algunos servidores cierran el stream sin la línea vacía final
+    dispatch();
+  }
+
+  return { push, end };
+}
+
+module.exports = {
+  createSseParser
+};
@@ -0,0 +1,111 @@
+/**
+ * Respuestas en streaming (SSE) sobre Lambda response streaming
+ * Reenvía al cliente las notificaciones de progreso del servidor MCP mientras
+ * el asistente genera la respuesta, y al final un evento con el resultado completo.
+ *
+ * Eventos enviados al cliente:
+ * - start: la petición fue aceptada
+ * - progress: notifications/progress del servidor MCP (progress, total, message)
+ * - message: notifications/message del servidor MCP (level, data)
+ * - result: respuesta completa (mismo body que el modo buffered)
+ * - error: respuesta de error con su status
+ */
+
+const { INTERNAL_ERROR_MESSAGE } = require('./errors');
+const { createLogger } = require('./logger');
+
+const log = createLogger('stream');
+
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream; charset=utf-8',
+  'Cache-Control': 'no-cache',
+  'X-Accel-Buffering': 'no'
+};
+
+function getHeader(event, name) {
+  const headers = event.headers || {};
+  const key = Object.keys(headers).find((header) => header.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+/**
+ * El cliente pide streaming con "Accept: text/event-stream" o stream=true
+ */
+function wantsStream(event, params) {
+  const accept = getHeader(event, 'accept');
+  if (accept && accept.includes('text/event-stream')) return true;
+  return params.stream === true || params.stream === 'true';
+}
+
+/**
+ * Abre el stream HTTP con status y headers. awslambda solo existe dentro
+ * del runtime de Lambda; fuera de él se escribe directo al stream recibido.
+ */
+function openResponseStream(responseStream, statusCode, headers) {
+  if (typeof awslambda !== 'undefined' && awslambda.HttpResponseStream) {
+    return awslambda.HttpResponseStream.from(responseStream, { statusCode, headers });
+  }
+  return responseStream;
+}
+
+function writeSseEvent(stream, event, data) {
+  stream.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Ejecuta el handler de la ruta reenviando las notificaciones MCP como eventos SSE
+ */
+async function streamRouteResponse({ route, params }, responseStream, headers, ctx = {}) {
+  const stream = openResponseStream(responseStream, 200, headers);
+
+  writeSseEvent(stream, 'start', {
+    endpoint: route.name,
+    ...(ctx.requestId && { request_id: ctx.requestId }),
+    timestamp: new Date().toISOString()
+  });
+
+  const onNotification = ({ method, params: notificationParams = {} }) => {
+    const { progressToken, ...payload } = notificationParams;
+    if (method === 'notifications/progress') {
+      writeSseEvent(stream, 'progress', payload);
+    } else if (method === 'notifications/message') {
+      writeSseEvent(stream, 'message', payload);
+    }
+  };
+
+  try {
+    const result = await route.handler(params, { ...ctx, onNotification });
+    writeSseEvent(stream, result.statusCode < 400 ? 'result' : 'error', {
+      status: result.statusCode,
+      ...result.body,
+      ...(result.statusCode >= 400 && ctx.requestId && { request_id: ctx.requestId })
+    });
+  } catch (error) {
+    log.error('Error durante el streaming', { error });
+    writeSseEvent(stream, 'error', {
+      status: 500,
+      error: INTERNAL_ERROR_MESSAGE,
+      code: 'INTERNAL_ERROR',
+      ...(ctx.requestId && { request_id: ctx.requestId }),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  stream.end();
+}
+
+/**
+ * Escribe una respuesta ya construida (statusCode, headers, body) en el stream
+ */
+function writeBufferedResponse(responseStream, response) {
+  const stream = openResponseStream(responseStream, response.statusCode, response.headers);
+  stream.write(response.body);
+  stream.end();
+}
+
+module.exports = {
+  SSE_HEADERS,
+  wantsStream,
+  streamRouteResponse,
+  writeBufferedResponse
+};
@@ -0,0 +1,131 @@
+/**
+ * Verificación de JWT (auth.js): firma HS256 y RS256 (JWKS), expiración, nbf y
+ * tokens mal formados.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { verifyJwt, AuthError } = require('../auth');
+
+const SECRET = 'test-secret';
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function hs256(payload, header = { alg: 'HS256', typ: 'JWT' }) {
+  const signingInput = `${encode(header)}.${encode(payload)}`;
+  const signature = crypto.createHmac('sha256', SECRET).update(signingInput).digest('base64url');
+  return `${signingInput}.${signature}`;
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function hsConfig() {
+  return { secret: SECRET, jwks: null, issuer: null, audience: null, clockTolerance: 30 };
+}
+
+function assertAuthError(fn, code = 'INVALID_TOKEN') {
+  assert.throws(fn, (error) => {
+    assert.ok(error instanceof AuthError, `se esperaba AuthError y llegó ${error.name}`);
+    assert.equal(error.statusCode, 401);
+    assert.equal(error.code, code);
+    return true;
+  });
+}
+
+describe('auth', () => {
+  describe('HS256', () => {
+    it('devuelve los claims de un token válido', () => {
+      const claims = verifyJwt(hs256({ sub: 'user-1', exp: now() + 60 }), hsConfig());
+      assert.equal(claims.sub, 'user-1');
+    });
+
+    it('rechaza un token expirado más allá de la tolerancia', () => {
+      assertAuthError(() => verifyJwt(hs256({ sub: 'user-1', exp: now() - 120 }), hsConfig()), 'TOKEN_EXPIRED');
+
+      // Dentro de la tolerancia sigue siendo válido
+      assert.equal(verifyJwt(hs256({ sub: 'user-1', exp: now() - 10 }), hsConfig()).sub, 'user-1');
+    });
+
+    it('rechaza un token cuyo nbf aún no llega', () => {
+      assertAuthError(() => verifyJwt(hs256({ sub: 'user-1', exp: now() + 600, nbf: now() + 300 }), hsConfig()));
+    });
+
+    it('rechaza una firma inválida', () => {
+      const [header, payload] = hs256({ sub: 'user-1', exp: now() + 60 }).split('.');
+      assertAuthError(() => verifyJwt(`${header}.${payload}.${encode('otra firma')}`, hsConfig()));
+    });
+  });
+
+  describe('tokens mal formados', () => {
+    it('rechaza segmentos que no son objetos JSON con 401, no con TypeError', () => {
+      const signature = encode('x');
+      const samples = [
+        `${encode(null)}.${encode({ sub: 'user-1' })}.${signature}`,
+        `${encode({ alg: 'HS256' })}.${encode(null)}.${signature}`,
+        `${encode(42)}.${encode({ sub: 'user-1' })}.${signature}`,
+        `${encode({ alg: 'HS256' })}.${encode(['user-1'])}.${signature}`,
+        `${Buffer.from('no es json').toString('base64url')}.${encode({})}.${signature}`,
+        'solo-dos.segmentos'
+      ];
+
+      for (const token of samples) {
+        assertAuthError(() => verifyJwt(token, hsConfig()));
+      }
+    });
+
+    it('rechaza algoritmos no soportados', () => {
+      assertAuthError(() => verifyJwt(hs256({ sub: 'user-1', exp: now() + 60 }, { alg: 'none' }), hsConfig()));
+    });
+  });
+
+  describe('RS256 con JWKS', () => {
+    let privateKey;
+    let jwksFile;
+
+    before(() => {
+      const pair = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      privateKey = pair.privateKey;
+      jwksFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'estudia-jwks-')), 'jwks.json');
+      fs.writeFileSync(jwksFile, JSON.stringify({
+        keys: [{ ...pair.publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'RS256', use: 'sig' }]
+      }));
+      process.env.JWT_JWKS_FILE = jwksFile;
+    });
+
+    after(() => {
+      delete process.env.JWT_JWKS_FILE;
+      fs.rmSync(path.dirname(jwksFile), { recursive: true, force: true });
+    });
+
+    function rs256(payload, kid = 'key-1') {
+      const signingInput = `${encode({ alg: 'RS256', typ: 'JWT', kid })}.${encode(payload)}`;
+      const signature = crypto.sign('RSA-SHA256', Buffer.from(signingInput), privateKey).toString('base64url');
+      return `${signingInput}.${signature}`;
+    }
+
+    it('verifica la firma con la llave del JWKS', () => {
+      assert.equal(verifyJwt(rs256({ sub: 'user-2', exp: now() + 60 })).sub, 'user-2');
+    });
+
+    it('rechaza un kid desconocido y un token expirado', () => {
+      assertAuthError(() => verifyJwt(rs256({ sub: 'user-2', exp: now() + 60 }, 'key-2')));
+      assertAuthError(() => verifyJwt(rs256({ sub: 'user-2', exp: now() - 120 })), 'TOKEN_EXPIRED');
+    });
+
+    it('rechaza un token RS256 firmado con otra llave', () => {
+      const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+      const signingInput = `${encode({ alg: 'RS256', kid: 'key-1' })}.${encode({ sub: 'user-2', exp: now() + 60 })}`;
+      const signature = crypto.sign('RSA-SHA256', Buffer.from(signingInput), other).toString('base64url');
+
+      assertAuthError(() => verifyJwt(`${signingInput}.${signature}`));
+    });
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Registro de backends (backends.js): enrutamiento de herramientas a varios
+ * servidores MCP, con su propia sesión, auth, timeouts y circuit breaker.
+ */
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeMcpServer } = require('./fake_mcp_server');
+const { startBridge, resetBridge, stopBridge, v1Event, invoke } = require('./helpers');
+
+describe('backends', () => {
+  let fake;
+  let fiscal;
+  let client;
+  let metrics;
+  let backends;
+
+  before(async () => {
+    ({ fake, client, metrics } = await startBridge({
+      ESTUDIA_TEST_TOKEN: 'estudia-token',
+      FISCAI_TEST_KEY: 'fiscai-key',
+      MCP_BREAKER_FAILURE_THRESHOLD: '2'
+    }));
+    fiscal = await startFakeMcpServer({
+      tools: ['get_fiscal_advice', 'fiscal_summary', 'generate_embedding'].map((name) => ({
+        name,
+        description: `Herramienta ${name}`,
+        inputSchema: { type: 'object' }
+      }))
+    });
+
+    backends = require('../backends');
+    backends.setBackends([
+      {
+        name: 'estudia',
+        url: `${fake.url}/`,
+        default: true,
+        auth: { type: 'bearer', token_env: 'ESTUDIA_TEST_TOKEN' }
+      },
+      {
+        name: 'fiscai',
+        url: fiscal.url,
+        tools: ['get_fiscal_advice', 'fiscal_*'],
+        auth: { type: 'header', header: 'X-Api-Key', value_env: 'FISCAI_TEST_KEY' },
+        timeout_ms: 100
+      }
+    ]);
+  });
+
+  beforeEach(() => {
+    resetBridge();
+    fiscal.reset();
+  });
+
+  after(async () => {
+    backends.setBackends(null);
+    await fiscal.close();
+    await stopBridge();
+  });
+
+  describe('resolución', () => {
+    it('gana el patrón más específico y el resto va al backend por defecto', () => {
+      assert.equal(backends.resolveBackend('get_fiscal_advice').name, 'fiscai');
+      assert.equal(backends.resolveBackend('fiscal_summary').name, 'fiscai');
+      assert.equal(backends.resolveBackend('generate_embedding').name, 'estudia');
+      assert.equal(backends.getDefaultBackend().url, fake.url);
+    });
+
+    it('rechaza configuraciones inválidas', () => {
+      assert.throws(() => backends.setBackends([]), /lista no vacía/);
+      assert.throws(() => backends.setBackends([{ name: 'a' }]), /no tiene url/);
+      assert.throws(() => backends.setBackends([{ name: 'a', url: 'x' }, { name: 'a', url: 'y' }]), /duplicado/);
+      assert.throws(() => backends.setBackends([{ url: 'x', auth: { type: 'basic' } }]), /no soportado/);
+      assert.equal(backends.getBackend('fiscai').url, fiscal.url);
+    });
+  });
+
+  describe('llamadas', () => {
+    it('envía cada herramienta a su servidor, con su propia sesión y auth', async () => {
+      await client.callMcpTool('get_fiscal_advice', { request: { actividad: 'diseño' } });
+      await client.callMcpTool('get_classroom_info', { classroom_id: 'c1' });
+
+      assert.deepEqual(fiscal.calls.map((call) => call.tool), ['get_fiscal_advice']);
+      assert.deepEqual(fake.calls.map((call) => call.tool), ['get_classroom_info']);
+      assert.equal(fiscal.messagesWith('initialize').length, 1);
+      assert.equal(fake.messagesWith('initialize').length, 1);
+
+      const [fiscalCall] = fiscal.calls;
+      assert.equal(fiscalCall.headers['x-api-key'], 'fiscai-key');
+      assert.equal(fiscalCall.headers.authorization, undefined);
+      assert.equal(fiscalCall.headers['mcp-session-id'], client.getSessionInfo('fiscai').session_id);
+
+      const [estudiaCall] = fake.calls;
+      assert.equal(estudiaCall.headers.authorization, 'Bearer estudia-token');
+      assert.equal(estudiaCall.headers['mcp-session-id'], client.getSessionInfo().session_id);
+
+      const [record] = metrics.getCapturedMetrics({ Tool: 'get_fiscal_advice' });
+      assert.equal(record.backend, 'fiscai');
+    });
+
+    it('aplica el timeout del backend', async () => {
+      fiscal.script('fiscal_summary', { delayMs: 500 });
+
+      await assert.rejects(
+        client.callMcpTool('fiscal_summary', {}),
+        { code: 'MCP_TIMEOUT', statusCode: 504 }
+      );
+      assert.equal(fiscal.messagesWith('notifications/cancelled').length, 1);
+    });
+
+    it('un circuito abierto no afecta a los demás backends', async () => {
+      fiscal.script('get_fiscal_advice', { status: 503, body: { error: 'overloaded' } });
+
+      for (let i = 0; i < 2; i++) {
+        await assert.rejects(client.callMcpTool('get_fiscal_advice', { request: {} }), { statusCode: 503 });
+      }
+      await assert.rejects(
+        client.callMcpTool('get_fiscal_advice', { request: {} }),
+        { code: 'MCP_UNAVAILABLE', statusCode: 503 }
+      );
+      assert.equal(fiscal.callsTo('get_fiscal_advice').length, 2);
+
+      const result = await client.callMcpTool('get_classroom_info', { classroom_id: 'c1' });
+      assert.deepEqual(result, { structuredContent: { ok: true } });
+
+      const health = await invoke(v1Event({ path: '/health' }));
+      assert.equal(health.body.status, 'degraded');
+      assert.equal(health.body.mcp_circuit.state, 'closed');
+
+      const byName = Object.fromEntries(health.body.mcp_backends.map((backend) => [backend.name, backend]));
+      assert.equal(byName.fiscai.status, 'degraded');
+      assert.equal(byName.fiscai.circuit.state, 'open');
+      assert.equal(byName.estudia.status, 'healthy');
+    });
+  });
+
+  describe('rutas', () => {
+    it('GET /tools junta las herramientas que cada backend atiende', async () => {
+      const response = await invoke(v1Event({ path: '/tools' }));
+
+      assert.equal(response.statusCode, 200);
+      const names = response.body.data.tools.map((tool) => tool.name);
+      assert.equal(names.filter((name) => name === 'generate_embedding').length, 1);
+      assert.ok(names.includes('fiscal_summary'));
+      assert.equal(names.length, 12);
+      assert.equal(fiscal.messagesWith('tools/list').length, 1);
+    });
+
+    it('GET /health describe cada backend sin secretos', async () => {
+      const response = await invoke(v1Event({ path: '/health' }));
+
+      assert.equal(response.body.status, 'healthy');
+      assert.equal(response.body.mcp_server, fake.url);
+      assert.deepEqual(response.body.mcp_backends.map(({ session, circuit, ...backend }) => backend), [
+        {
+          name: 'estudia',
+          url: fake.url,
+          default: true,
+          tools: [],
+          auth: 'bearer',
+          status: 'healthy'
+        },
+        {
+          name: 'fiscai',
+          url: fiscal.url,
+          default: false,
+          tools: ['get_fiscal_advice', 'fiscal_*'],
+          auth: 'header',
+          timeout_ms: 100,
+          status: 'healthy'
+        }
+      ]);
+      assert.doesNotMatch(JSON.stringify(response.body), /fiscai-key|estudia-token/);
+    });
+
+    it('GET /tools sigue respondiendo si un backend falla', async () => {
+      fiscal.expireSessions();
+      await fiscal.close();
+
+      const response = await invoke(v1Event({ path: '/tools' }));
+
+      assert.equal(response.statusCode, 200);
+      assert.equal(response.body.data.count, 10);
+    });
+  });
+});
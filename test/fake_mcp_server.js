@@ -0,0 +1,302 @@
+/**
+ * Servidor MCP falso para los tests
+ * Habla JSON-RPC sobre Streamable HTTP (respuestas JSON o SSE) en POST /mcp y
+ * expone el endpoint REST alternativo POST /tools/{tool}/call. Cada tools/call
+ * se registra en calls con los argumentos exactos, el _meta y los headers.
+ *
+ * El comportamiento de cada herramienta se programa con script(tool, behavior)
+ * (permanente) o scriptOnce(tool, behavior) (solo la siguiente llamada).
+ * behavior es un objeto o una función (args, call) => objeto con:
+ * - result: CallToolResult (default: { structuredContent: { ok: true } })
+ * - error: error JSON-RPC { code, message, data? }
+ * - status: status HTTP de la respuesta (default: 200)
+ * - body: body crudo en lugar del mensaje JSON-RPC
+ * - sse: responder como text/event-stream
+ * - notifications: mensajes enviados antes de la respuesta (implica sse);
+ *   notifications/progress recibe el progressToken de la petición
+ * - sseChunkBytes: escribe el stream SSE en fragmentos de ese tamaño en bytes
+ * - sseLineEnding: fin de línea del stream SSE (default: \n)
+ * - delayMs: espera antes de responder
+ * - disconnect: cierra el socket sin responder
+ * - rest: { status, body } del endpoint REST alternativo (default: 200 con result)
+ */
+
+const http = require('http');
+
+const PROTOCOL_VERSION = '2025-06-18';
+
+const DEFAULT_TOOLS = [
+  'generate_embedding',
+  'create_embedding',
+  'store_document_chunks',
+  'search_similar_chunks',
+  'chat_with_classroom_assistant',
+  'professor_assistant',
+  'get_classroom_info',
+  'generate_resources',
+  'generate_flashcards',
+  'analyze_and_update_user_context',
+  'get_fiscal_advice'
+].map((name) => ({
+  name,
+  description: `Herramienta ${name}`,
+  inputSchema: { type: 'object' }
+}));
+
+const DEFAULT_RESULT = { structuredContent: { ok: true } };
+
+function readJson(req) {
+  return new Promise((resolve) => {
+    let data = '';
+    req.on('data', (chunk) => {
+      data += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : null);
+      } catch (e) {
+        resolve(null);
+      }
+    });
+  });
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+async function sendSse(res, messages, { chunkBytes, lineEnding = '\n' } = {}) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  const events = messages.map((message) => (
+    `event: message${lineEnding}data: ${JSON.stringify(message)}${lineEnding}${lineEnding}`
+  ));
+
+  if (!chunkBytes) {
+    for (const event of events) res.write(event);
+    res.end();
+    return;
+  }
+
+  // Fragmentos pequeños que el cliente recibe por separado (caracteres y fines de línea partidos)
+  const bytes = Buffer.from(events.join(''));
+  for (let offset = 0; offset < bytes.length; offset += chunkBytes) {
+    res.write(bytes.subarray(offset, offset + chunkBytes));
+    await sleep(1);
+  }
+  res.end();
+}
+
+/**
+ * Inicia el servidor en un puerto libre de 127.0.0.1
+ */
+async function startFakeMcpServer({ tools = DEFAULT_TOOLS } = {}) {
+  const scripts = new Map();
+  const queues = new Map();
+  const sessions = new Set();
+  const sockets = new Set();
+  let sessionCounter = 0;
+
+  const state = {
+    calls: [],
+    messages: []
+  };
+
+  function nextBehavior(tool, args, call) {
+    const queue = queues.get(tool);
+    const behavior = (queue && queue.length > 0) ? queue.shift() : scripts.get(tool);
+    const resolved = typeof behavior === 'function' ? behavior(args, call) : behavior;
+    return resolved || {};
+  }
+
+  async function respondToCall(req, res, message) {
+    const { name, arguments: args, _meta: meta } = message.params || {};
+    const call = {
+      tool: name,
+      arguments: args,
+      meta,
+      headers: req.headers,
+      transport: 'jsonrpc'
+    };
+    state.calls.push(call);
+
+    const behavior = nextBehavior(name, args, call);
+    call.behavior = behavior;
+
+    if (behavior.delayMs) await sleep(behavior.delayMs);
+    if (behavior.disconnect) {
+      req.socket.destroy();
+      return;
+    }
+
+    const status = behavior.status || 200;
+    const reply = behavior.body !== undefined
+      ? behavior.body
+      : behavior.error
+        ? { jsonrpc: '2.0', id: message.id, error: behavior.error }
+        : { jsonrpc: '2.0', id: message.id, result: behavior.result || DEFAULT_RESULT };
+
+    if (status === 200 && (behavior.sse || behavior.notifications)) {
+      const notifications = (behavior.notifications || []).map((notification) => (
+        notification.method === 'notifications/progress'
+          ? {
+            jsonrpc: '2.0',
+            ...notification,
+            params: { progressToken: meta && meta.progressToken, ...notification.params }
+          }
+          : { jsonrpc: '2.0', ...notification }
+      ));
+      await sendSse(res, [...notifications, reply], {
+        chunkBytes: behavior.sseChunkBytes,
+        lineEnding: behavior.sseLineEnding
+      });
+      return;
+    }
+
+    sendJson(res, status, reply);
+  }
+
+  async function handleMcp(req, res) {
+    const message = await readJson(req);
+    if (!message) {
+      sendJson(res, 400, { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+      return;
+    }
+    state.messages.push({ message, headers: req.headers });
+
+    if (message.method === 'initialize') {
+      sessionCounter += 1;
+      const sessionId = `session-${sessionCounter}`;
+      sessions.add(sessionId);
+      sendJson(res, 200, {
+        jsonrpc: '2.0',
+        id: message.id,
+        result: {
+          protocolVersion: PROTOCOL_VERSION,
+          capabilities: { tools: {} },
+          serverInfo: { name: 'fake-mcp', version: '1.0.0' }
+        }
+      }, { 'Mcp-Session-Id': sessionId });
+      return;
+    }
+
+    const sessionId = req.headers['mcp-session-id'];
+    if (!sessionId || !sessions.has(sessionId)) {
+      sendJson(res, 404, { jsonrpc: '2.0', id: message.id || null, error: { code: -32001, message: 'Session not found' } });
+      return;
+    }
+
+    if (message.id === undefined) {
+      res.writeHead(202);
+      res.end();
+      return;
+    }
+
+    if (message.method === 'tools/list') {
+      sendJson(res, 200, { jsonrpc: '2.0', id: message.id, result: { tools } });
+      return;
+    }
+
+    if (message.method === 'tools/call') {
+      await respondToCall(req, res, message);
+      return;
+    }
+
+    sendJson(res, 200, { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: 'Method not found' } });
+  }
+
+  async function handleRest(req, res, tool) {
+    const args = await readJson(req);
+    const call = { tool, arguments: args, headers: req.headers, transport: 'rest' };
+    state.calls.push(call);
+
+    const behavior = nextBehavior(tool, args, call);
+    const rest = behavior.rest || { status: 200, body: behavior.result || DEFAULT_RESULT };
+    sendJson(res, rest.status || 200, rest.body);
+  }
+
+  const server = http.createServer((req, res) => {
+    const restMatch = req.url.match(/^\/tools\/([^/]+)\/call$/);
+
+    if (req.method === 'POST' && req.url === '/mcp') {
+      handleMcp(req, res);
+    } else if (req.method === 'POST' && restMatch) {
+      handleRest(req, res, decodeURIComponent(restMatch[1]));
+    } else {
+      sendJson(res, 404, { error: 'not found' });
+    }
+  });
+
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+
+    get calls() {
+      return state.calls;
+    },
+
+    get messages() {
+      return state.messages;
+    },
+
+    /**
+     * tools/call recibidos de una herramienta
+     */
+    callsTo(tool) {
+      return state.calls.filter((call) => call.tool === tool);
+    },
+
+    /**
+     * Mensajes JSON-RPC recibidos con un método (p. ej. notifications/cancelled)
+     */
+    messagesWith(method) {
+      return state.messages.filter(({ message }) => message.method === method);
+    },
+
+    script(tool, behavior) {
+      scripts.set(tool, behavior);
+    },
+
+    scriptOnce(tool, behavior) {
+      if (!queues.has(tool)) queues.set(tool, []);
+      queues.get(tool).push(behavior);
+    },
+
+    /**
+     * Olvida las sesiones: la siguiente petición con Mcp-Session-Id recibe 404
+     */
+    expireSessions() {
+      sessions.clear();
+    },
+
+    /**
+     * Borra los comportamientos programados y lo registrado (no las sesiones)
+     */
+    reset() {
+      scripts.clear();
+      queues.clear();
+      state.calls = [];
+      state.messages = [];
+    },
+
+    close() {
+      for (const socket of sockets) socket.destroy();
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+module.exports = {
+  startFakeMcpServer,
+  DEFAULT_TOOLS
+};
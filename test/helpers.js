@@ -0,0 +1,223 @@
+/**
+ * Utilidades de los tests: arranque del bridge contra el servidor MCP falso,
+ * eventos de API Gateway (v1 y v2) a partir de los fixtures y tokens JWT.
+ *
+ * startBridge() inicia el servidor falso y apunta a él los backends por defecto
+ * (MCP_SERVER_URL y FISCAI_MCP_SERVER_URL) ANTES de requerir index.js. Cada
+ * archivo de test corre en su propio proceso con node --test.
+ */
+
+const crypto = require('crypto');
+const { startFakeMcpServer } = require('./fake_mcp_server');
+const v1Fixture = require('./fixtures/apigw_v1_event.json');
+const v2Fixture = require('./fixtures/apigw_v2_event.json');
+
+const JWT_SECRET = 'test-secret';
+
+const CLASSROOM_ID = '550e8400-e29b-41d4-a716-446655440000';
+const PROFESSOR_ID = 'a3bb189e-8bf9-3888-9912-ace4e6543002';
+const STUDENT_ID = '6fa459ea-ee8a-3ca4-894e-db77e160355e';
+const OUTSIDER_ID = '9b2f5c1e-4d3a-4f6b-8e7d-2c1a0b9f8e7d';
+const DOCUMENT_ID = '7c9e6679-7425-40de-944b-e07fc1f90ae7';
+const SESSION_ID = '1b4e28ba-2fa1-11d2-883f-0016d3cca427';
+
+const TEST_ENV = {
+  SUPABASE_JWT_SECRET: JWT_SECRET,
+  LOG_LEVEL: 'silent',
+  METRICS_MODE: 'off',
+  MCP_RETRY_BASE_DELAY_MS: '1',
+  MCP_RETRY_MAX_DELAY_MS: '5',
+  MCP_DEADLINE_MARGIN_MS: '50'
+};
+
+let bridge = null;
+
+/**
+ * Inicia el servidor MCP falso y carga el bridge apuntando a él.
+ * env permite agregar o reemplazar variables antes de cargar los módulos.
+ */
+async function startBridge(env = {}) {
+  const fake = await startFakeMcpServer();
+  Object.assign(process.env, TEST_ENV, { MCP_SERVER_URL: fake.url, FISCAI_MCP_SERVER_URL: fake.url }, env);
+
+  bridge = {
+    fake,
+    lambda: require('../index'),
+    client: require('../mcp_client'),
+    metrics: require('../metrics'),
+    jobs: require('../jobs')
+  };
+  return bridge;
+}
+
+/**
+ * Estado limpio para cada test: sesión MCP, circuit breaker, caches, rate
+ * limits, jobs, membresías y métricas capturadas
+ */
+function resetBridge() {
+  const { resetCircuit } = require('../resilience');
+  const { resetToolsCache } = require('../tool_registry');
+  const { resetResultCache } = require('../result_cache');
+  const { setRateLimitStore, createMemoryRateLimitStore } = require('../rate_limit');
+  const { setMembershipResolver, createInMemoryMembershipResolver } = require('../membership');
+
+  bridge.fake.reset();
+  bridge.client.resetSession();
+  resetCircuit();
+  resetToolsCache();
+  resetResultCache();
+  setRateLimitStore(createMemoryRateLimitStore());
+  bridge.jobs.setJobStore(bridge.jobs.createMemoryJobStore());
+  setMembershipResolver(createInMemoryMembershipResolver([
+    { user_id: PROFESSOR_ID, classroom_id: CLASSROOM_ID, role: 'professor' },
+    { user_id: STUDENT_ID, classroom_id: CLASSROOM_ID, role: 'student' }
+  ]));
+  bridge.metrics.startMetricsCapture();
+}
+
+async function stopBridge() {
+  bridge.metrics.stopMetricsCapture();
+  await bridge.fake.close();
+}
+
+// ========== TOKENS ==========
+
+function signToken(userId, claims = {}) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const header = encode({ alg: 'HS256', typ: 'JWT' });
+  const payload = encode({
+    sub: userId,
+    role: 'authenticated',
+    exp: Math.floor(Date.now() / 1000) + 3600,
+    ...claims
+  });
+  const signature = crypto.createHmac('sha256', JWT_SECRET).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+// ========== EVENTOS ==========
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function requestHeaders({ token, requestId, body, headers }) {
+  return {
+    ...(body !== undefined && { 'Content-Type': 'application/json' }),
+    ...(token && { Authorization: `Bearer ${token}` }),
+    ...(requestId && { 'X-Request-Id': requestId }),
+    ...headers
+  };
+}
+
+/**
+ * Evento REST API (v1). El path es el del recurso, sin el stage.
+ */
+function v1Event({ method = 'GET', path = '/health', query, body, token, requestId, headers } = {}) {
+  const event = clone(v1Fixture);
+  const extra = requestHeaders({ token, requestId, body, headers });
+
+  event.httpMethod = method;
+  event.path = path;
+  event.pathParameters = { proxy: path.slice(1) };
+  event.requestContext.httpMethod = method;
+  event.requestContext.path = `/${event.requestContext.stage}${path}`;
+  event.requestContext.requestId = crypto.randomUUID();
+  Object.assign(event.headers, extra);
+  for (const [name, value] of Object.entries(extra)) {
+    event.multiValueHeaders[name] = [value];
+  }
+
+  if (query) {
+    event.queryStringParameters = query;
+    event.multiValueQueryStringParameters = Object.fromEntries(
+      Object.entries(query).map(([name, value]) => [name, [value]])
+    );
+  }
+  if (body !== undefined) {
+    event.body = JSON.stringify(body);
+  }
+  return event;
+}
+
+/**
+ * Evento HTTP API (v2): headers en minúsculas y método en requestContext.http
+ */
+function v2Event({ method = 'GET', path = '/health', query, body, token, requestId, headers } = {}) {
+  const event = clone(v2Fixture);
+  const extra = requestHeaders({ token, requestId, body, headers });
+
+  event.rawPath = path;
+  event.requestContext.http.method = method;
+  event.requestContext.http.path = path;
+  event.requestContext.requestId = crypto.randomUUID();
+  for (const [name, value] of Object.entries(extra)) {
+    event.headers[name.toLowerCase()] = value;
+  }
+
+  if (query) {
+    event.queryStringParameters = query;
+    event.rawQueryString = new URLSearchParams(query).toString();
+  }
+  if (body !== undefined) {
+    event.body = JSON.stringify(body);
+    event.headers['content-length'] = String(Buffer.byteLength(event.body));
+  }
+  return event;
+}
+
+/**
+ * Contexto de Lambda con el tiempo restante de la invocación
+ */
+function lambdaContext(remainingMs = 30000) {
+  const deadline = Date.now() + remainingMs;
+  return {
+    awsRequestId: crypto.randomUUID(),
+    functionName: 'estudia-lambda-test',
+    getRemainingTimeInMillis: () => deadline - Date.now()
+  };
+}
+
+/**
+ * Invoca exports.handler y devuelve la respuesta con el body JSON ya parseado
+ */
+async function invoke(event, context = lambdaContext()) {
+  const response = await bridge.lambda.handler(event, context);
+  const isJson = (response.headers['Content-Type'] || '').includes('application/json');
+  return {
+    ...response,
+    rawBody: response.body,
+    body: isJson ? JSON.parse(response.body) : response.body
+  };
+}
+
+/**
+ * Espera a que predicate() devuelva algo truthy (jobs que corren en segundo plano)
+ */
+async function waitFor(predicate, { timeoutMs = 2000, intervalMs = 10 } = {}) {
+  const startedAt = Date.now();
+  for (;;) {
+    const value = await predicate();
+    if (value) return value;
+    if (Date.now() - startedAt > timeoutMs) throw new Error('waitFor: tiempo agotado');
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
+
+module.exports = {
+  startBridge,
+  resetBridge,
+  stopBridge,
+  signToken,
+  v1Event,
+  v2Event,
+  lambdaContext,
+  invoke,
+  waitFor,
+  CLASSROOM_ID,
+  PROFESSOR_ID,
+  STUDENT_ID,
+  OUTSIDER_ID,
+  DOCUMENT_ID,
+  SESSION_ID
+};
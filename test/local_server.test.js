@@ -0,0 +1,184 @@
+/**
+ * Servidor de desarrollo (local_server.js): petición HTTP -> evento de API
+ * Gateway v1 / v2 -> handler -> respuesta HTTP, incluido el body en base64.
+ */
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { startBridge, resetBridge, stopBridge, signToken, CLASSROOM_ID, STUDENT_ID } = require('./helpers');
+
+/**
+ * Petición HTTP al servidor local; devuelve { status, headers, text }
+ */
+function request(port, { method = 'GET', path, headers = {}, body }) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        headers: res.headers,
+        text: Buffer.concat(chunks).toString('utf8')
+      }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * IncomingMessage mínimo para construir eventos sin abrir un socket
+ */
+function fakeRequest(method, rawHeaders) {
+  const headers = {};
+  for (let i = 0; i < rawHeaders.length; i += 2) {
+    headers[rawHeaders[i].toLowerCase()] = rawHeaders[i + 1];
+  }
+  return { method, headers, rawHeaders, httpVersion: '1.1', socket: { remoteAddress: '127.0.0.1' } };
+}
+
+describe('local_server', () => {
+  let fake;
+  let local;
+  let token;
+  const servers = {};
+
+  before(async () => {
+    ({ fake } = await startBridge());
+    local = require('../local_server');
+    token = signToken(STUDENT_ID);
+
+    for (const eventVersion of ['v1', 'v2']) {
+      servers[eventVersion] = local.startServer({ port: 0, eventVersion, stream: false, watch: false, timeoutMs: 5000 });
+      await once(servers[eventVersion], 'listening');
+    }
+  });
+
+  beforeEach(() => resetBridge());
+
+  after(async () => {
+    for (const server of Object.values(servers)) {
+      server.close();
+      await once(server, 'close');
+    }
+    await stopBridge();
+  });
+
+  for (const eventVersion of ['v1', 'v2']) {
+    describe(`eventos ${eventVersion}`, () => {
+      const port = () => servers[eventVersion].address().port;
+
+      it('traduce la petición al evento y el resultado a la respuesta HTTP', async () => {
+        const response = await request(port(), {
+          method: 'POST',
+          path: '/classroom-info?trace=1',
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}`, 'X-Request-Id': 'req-local' },
+          body: JSON.stringify({ classroom_id: CLASSROOM_ID })
+        });
+
+        assert.equal(response.status, 200);
+        assert.match(response.headers['content-type'], /^application\/json/);
+        assert.equal(response.headers['x-request-id'], 'req-local');
+        assert.equal(JSON.parse(response.text).success, true);
+        assert.deepEqual(fake.calls[0].arguments, { classroom_id: CLASSROOM_ID });
+      });
+
+      it('envía en base64 los bodies que no son texto y el handler los decodifica', async () => {
+        const response = await request(port(), {
+          method: 'POST',
+          path: '/classroom-info',
+          headers: { 'Content-Type': 'application/octet-stream', Authorization: `Bearer ${token}` },
+          body: JSON.stringify({ classroom_id: CLASSROOM_ID })
+        });
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(fake.calls[0].arguments, { classroom_id: CLASSROOM_ID });
+      });
+
+      it('un 404 del handler conserva status y body', async () => {
+        const response = await request(port(), { path: '/no-existe' });
+
+        assert.equal(response.status, 404);
+        assert.equal(JSON.parse(response.text).code, 'NOT_FOUND');
+      });
+    });
+  }
+
+  describe('construcción de eventos', () => {
+    const url = new URL('http://localhost/tools/x?tag=a&tag=b');
+    const bytes = Buffer.from([0xff, 0x00, 0xfe, 0x10]);
+    const rawHeaders = ['Content-Type', 'application/octet-stream', 'X-Tag', 'uno', 'X-Tag', 'dos', 'Cookie', 'a=1; b=2'];
+
+    it('v1: multiValue* para headers y query, body binario en base64', () => {
+      const event = local.buildV1Event(fakeRequest('POST', rawHeaders), url, bytes, 'req-1');
+
+      assert.equal(event.httpMethod, 'POST');
+      assert.equal(event.path, '/tools/x');
+      assert.equal(event.headers['X-Tag'], 'dos');
+      assert.deepEqual(event.multiValueHeaders['X-Tag'], ['uno', 'dos']);
+      assert.deepEqual(event.queryStringParameters, { tag: 'b' });
+      assert.deepEqual(event.multiValueQueryStringParameters, { tag: ['a', 'b'] });
+      assert.equal(event.requestContext.requestId, 'req-1');
+      assert.equal(event.isBase64Encoded, true);
+      assert.deepEqual(Buffer.from(event.body, 'base64'), bytes);
+    });
+
+    it('v2: headers en minúsculas unidos por coma, cookies aparte, body binario en base64', () => {
+      const event = local.buildV2Event(fakeRequest('POST', rawHeaders), url, bytes, 'req-2');
+
+      assert.equal(event.version, '2.0');
+      assert.equal(event.rawPath, '/tools/x');
+      assert.equal(event.rawQueryString, 'tag=a&tag=b');
+      assert.equal(event.headers['x-tag'], 'uno,dos');
+      assert.equal(event.headers.cookie, undefined);
+      assert.deepEqual(event.cookies, ['a=1', 'b=2']);
+      assert.deepEqual(event.queryStringParameters, { tag: 'a,b' });
+      assert.equal(event.requestContext.http.method, 'POST');
+      assert.equal(event.isBase64Encoded, true);
+      assert.deepEqual(Buffer.from(event.body, 'base64'), bytes);
+    });
+
+    it('traduce resultados en base64, multiValueHeaders y cookies de v2', () => {
+      const written = {};
+      const res = {
+        writeHead(status, headers) { Object.assign(written, { status, headers }); },
+        end(body) { written.body = body; }
+      };
+
+      local.writeResult(res, {
+        statusCode: 201,
+        headers: { 'Content-Type': 'application/octet-stream' },
+        multiValueHeaders: { 'X-Tag': ['uno', 'dos'] },
+        cookies: ['a=1'],
+        isBase64Encoded: true,
+        body: bytes.toString('base64')
+      }, 'v2');
+
+      assert.equal(written.status, 201);
+      assert.deepEqual(written.headers, {
+        'Content-Type': 'application/octet-stream',
+        'X-Tag': ['uno', 'dos'],
+        'Set-Cookie': ['a=1']
+      });
+      assert.deepEqual(written.body, bytes);
+
+      // v2 acepta un valor cualquiera y lo devuelve como JSON 200
+      local.writeResult(res, { ok: true }, 'v2');
+      assert.equal(written.status, 200);
+      assert.equal(written.body, '{"ok":true}');
+    });
+
+    it('los bodies JSON viajan como texto', () => {
+      const json = Buffer.from('{"texto":"ñandú"}');
+      const req = fakeRequest('POST', ['Content-Type', 'application/json; charset=utf-8']);
+
+      for (const build of [local.buildV1Event, local.buildV2Event]) {
+        const event = build(req, url, json, 'req-3');
+        assert.equal(event.isBase64Encoded, false);
+        assert.equal(event.body, '{"texto":"ñandú"}');
+      }
+    });
+  });
+});
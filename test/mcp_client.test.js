@@ -0,0 +1,292 @@
+/**
+ * Transporte MCP (mcp_client.js) contra el servidor falso: handshake y sesión,
+ * respuestas JSON y SSE, endpoint REST alternativo (-32600), timeouts,
+ * desconexiones, errores JSON-RPC, correlación y redacción de los logs.
+ */
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startBridge, resetBridge, stopBridge } = require('./helpers');
+
+describe('mcp_client', () => {
+  let fake;
+  let client;
+  let metrics;
+
+  before(async () => {
+    ({ fake, client, metrics } = await startBridge());
+  });
+
+  beforeEach(() => resetBridge());
+
+  after(() => stopBridge());
+
+  describe('sesión', () => {
+    it('hace el handshake antes de la primera llamada y reutiliza la sesión', async () => {
+      await client.callMcpTool('get_classroom_info', { classroom_id: 'c1' });
+      await client.callMcpTool('get_classroom_info', { classroom_id: 'c2' });
+
+      const methods = fake.messages.map(({ message }) => message.method);
+      assert.deepEqual(methods, ['initialize', 'notifications/initialized', 'tools/call', 'tools/call']);
+
+      const [initialize] = fake.messagesWith('initialize');
+      assert.equal(initialize.message.params.clientInfo.name, 'estudia-lambda-bridge');
+
+      for (const call of fake.calls) {
+        assert.equal(call.headers['mcp-session-id'], client.getSessionInfo().session_id);
+        assert.equal(call.headers['mcp-protocol-version'], '2025-06-18');
+      }
+      assert.equal(client.getSessionInfo().initialized, true);
+    });
+
+    it('re-inicializa una vez cuando el servidor reporta la sesión como expirada', async () => {
+      await client.callMcpTool('get_classroom_info', { classroom_id: 'c1' });
+      const expiredSession = client.getSessionInfo().session_id;
+      fake.expireSessions();
+
+      const result = await client.callMcpTool('get_classroom_info', { classroom_id: 'c1' });
+
+      assert.deepEqual(result, { structuredContent: { ok: true } });
+      assert.equal(fake.messagesWith('initialize').length, 2);
+      assert.notEqual(client.getSessionInfo().session_id, expiredSession);
+      assert.equal(fake.calls.at(-1).headers['mcp-session-id'], client.getSessionInfo().session_id);
+    });
+  });
+
+  describe('respuestas', () => {
+    it('devuelve el result de una respuesta JSON', async () => {
+      fake.script('generate_embedding', {
+        result: { content: [{ type: 'text', text: '{"embedding":[0.1,0.2]}' }] }
+      });
+
+      const result = await client.callMcpTool('generate_embedding', { text: 'hola' });
+
+      assert.deepEqual(result, { content: [{ type: 'text', text: '{"embedding":[0.1,0.2]}' }] });
+      assert.deepEqual(fake.calls[0].arguments, { text: 'hola' });
+    });
+
+    it('lee la respuesta SSE y acumula las notificaciones previas', async () => {
+      fake.script('professor_assistant', {
+        notifications: [
+          { method: 'notifications/progress', params: { progress: 1, total: 2, message: 'Buscando' } },
+          { method: 'notifications/message', params: { level: 'info', data: 'Generando respuesta' } }
+        ],
+        result: { structuredContent: { answer: 'Hola' } }
+      });
+
+      const received = [];
+      const call = await client.callMcpToolWithMeta('professor_assistant', { question: '¿?' }, {
+        onNotification: (message) => received.push(message.method)
+      });
+
+      assert.deepEqual(call.result, { structuredContent: { answer: 'Hola' } });
+      assert.deepEqual(call.notifications.map((n) => n.method), ['notifications/progress', 'notifications/message']);
+      assert.deepEqual(received, ['notifications/progress', 'notifications/message']);
+
+      // El progressToken es el id JSON-RPC de la petición
+      const [sent] = fake.messagesWith('tools/call');
+      assert.equal(sent.message.params._meta.progressToken, sent.message.id);
+      assert.equal(call.notifications[0].params.progressToken, sent.message.id);
+    });
+
+    it('lee el SSE aunque los caracteres UTF-8 y los CRLF lleguen partidos entre fragmentos', async () => {
+      fake.script('professor_assistant', {
+        notifications: [{ method: 'notifications/message', params: { level: 'info', data: 'Añadiendo células…' } }],
+        result: { structuredContent: { answer: '¿Qué es la mitosis? 🧬' } },
+        sseChunkBytes: 1,
+        sseLineEnding: '\r\n'
+      });
+
+      const call = await client.callMcpToolWithMeta('professor_assistant', { question: '¿?' });
+
+      assert.deepEqual(call.result, { structuredContent: { answer: '¿Qué es la mitosis? 🧬' } });
+      assert.equal(call.notifications.length, 1);
+      assert.equal(call.notifications[0].params.data, 'Añadiendo células…');
+    });
+
+    it('falla con MCP_BAD_RESPONSE si el stream SSE termina sin la respuesta', async () => {
+      fake.script('professor_assistant', {
+        notifications: [{ method: 'notifications/message', params: { level: 'info', data: 'Pensando' } }],
+        body: { jsonrpc: '2.0', id: 'otra-peticion', result: { structuredContent: { answer: 'Hola' } } }
+      });
+
+      await assert.rejects(
+        client.callMcpTool('professor_assistant', { question: '¿?' }),
+        { code: 'MCP_BAD_RESPONSE', statusCode: 502 }
+      );
+    });
+
+    it('falla con MCP_BAD_RESPONSE si un 200 no trae un objeto JSON', async () => {
+      fake.scriptOnce('get_classroom_info', { body: null });
+      fake.scriptOnce('get_classroom_info', { body: [] });
+
+      for (let i = 0; i < 2; i++) {
+        await assert.rejects(
+          client.callMcpTool('get_classroom_info', { classroom_id: 'c1' }),
+          { code: 'MCP_BAD_RESPONSE', statusCode: 502 }
+        );
+      }
+    });
+
+    it('usa el endpoint REST alternativo cuando el servidor rechaza el JSON-RPC (-32600)', async () => {
+      fake.script('get_fiscal_advice', {
+        status: 400,
+        error: { code: -32600, message: 'Invalid Request' },
+        rest: { status: 200, body: { recomendacion: 'RESICO' } }
+      });
+
+      const result = await client.callMcpTool('get_fiscal_advice', { request: { actividad: 'diseño' } });
+
+      assert.deepEqual(result, { recomendacion: 'RESICO' });
+      assert.deepEqual(fake.calls.map((call) => call.transport), ['jsonrpc', 'rest']);
+      assert.deepEqual(fake.calls[1].arguments, { request: { actividad: 'diseño' } });
+    });
+
+    it('falla con MCP_BAD_RESPONSE si el endpoint REST alternativo también falla', async () => {
+      fake.script('get_fiscal_advice', {
+        status: 400,
+        error: { code: -32600, message: 'Invalid Request' },
+        rest: { status: 500, body: { error: 'boom' } }
+      });
+
+      await assert.rejects(
+        client.callMcpTool('get_fiscal_advice', { request: {} }),
+        { code: 'MCP_BAD_RESPONSE', statusCode: 502 }
+      );
+    });
+  });
+
+  describe('errores', () => {
+    it('traduce los errores JSON-RPC a códigos del bridge', async () => {
+      fake.scriptOnce('create_embedding', { error: { code: -32602, message: 'classroom_id requerido' } });
+      fake.scriptOnce('create_embedding', { error: { code: -32601, message: 'Method not found' } });
+      fake.scriptOnce('create_embedding', { error: { code: -32603, message: 'Gemini no disponible' } });
+
+      await assert.rejects(client.callMcpTool('create_embedding', {}), { code: 'INVALID_PARAMS', statusCode: 400 });
+      await assert.rejects(client.callMcpTool('create_embedding', {}), { code: 'TOOL_NOT_FOUND', statusCode: 404 });
+      await assert.rejects(client.callMcpTool('create_embedding', {}), { code: 'UPSTREAM_TOOL_ERROR', statusCode: 502 });
+    });
+
+    it('reintenta las herramientas idempotentes tras una desconexión', async () => {
+      fake.scriptOnce('generate_embedding', { disconnect: true });
+
+      const result = await client.callMcpTool('generate_embedding', { text: 'hola' });
+
+      assert.deepEqual(result, { structuredContent: { ok: true } });
+      assert.equal(fake.callsTo('generate_embedding').length, 2);
+
+      const [record] = metrics.getCapturedMetrics({ Tool: 'generate_embedding' });
+      assert.equal(record.Retries, 1);
+      assert.equal(record.StatusClass, '2xx');
+      assert.equal(record.Endpoint, 'direct');
+    });
+
+    it('no reintenta las herramientas con efectos secundarios', async () => {
+      fake.scriptOnce('create_embedding', { disconnect: true });
+
+      await assert.rejects(
+        client.callMcpTool('create_embedding', { text: 'hola' }),
+        { code: 'MCP_UNAVAILABLE', statusCode: 503 }
+      );
+      assert.equal(fake.callsTo('create_embedding').length, 1);
+    });
+
+    it('reintenta los status transitorios del servidor', async () => {
+      fake.scriptOnce('search_similar_chunks', { status: 503, body: { error: 'overloaded' } });
+
+      const result = await client.callMcpTool('search_similar_chunks', { query_text: 'x' });
+
+      assert.deepEqual(result, { structuredContent: { ok: true } });
+      assert.equal(fake.callsTo('search_similar_chunks').length, 2);
+    });
+
+    it('en half_open deja pasar una sola llamada de prueba', async () => {
+      Object.assign(process.env, { MCP_BREAKER_FAILURE_THRESHOLD: '1', MCP_BREAKER_RESET_MS: '50' });
+      try {
+        fake.scriptOnce('create_embedding', { status: 503, body: { error: 'overloaded' } });
+        await assert.rejects(client.callMcpTool('create_embedding', { text: 'x' }), { statusCode: 503 });
+
+        await new Promise((resolve) => setTimeout(resolve, 60));
+        fake.script('create_embedding', { delayMs: 50 });
+        const results = await Promise.allSettled(
+          Array.from({ length: 3 }, () => client.callMcpTool('create_embedding', { text: 'x' }))
+        );
+
+        assert.deepEqual(results.map((result) => result.status), ['fulfilled', 'rejected', 'rejected']);
+        assert.equal(results[1].reason.code, 'MCP_UNAVAILABLE');
+        assert.equal(fake.callsTo('create_embedding').length, 2);
+
+        // La prueba cerró el circuito
+        await client.callMcpTool('create_embedding', { text: 'x' });
+        assert.equal(fake.callsTo('create_embedding').length, 3);
+      } finally {
+        delete process.env.MCP_BREAKER_FAILURE_THRESHOLD;
+        delete process.env.MCP_BREAKER_RESET_MS;
+      }
+    });
+
+    it('aborta al vencer el deadline y pide al servidor cancelar la petición', async () => {
+      fake.script('chat_with_classroom_assistant', { delayMs: 500 });
+
+      await assert.rejects(
+        client.callMcpToolWithMeta('chat_with_classroom_assistant', { request: {} }, { deadline: Date.now() + 100 }),
+        { code: 'MCP_TIMEOUT', statusCode: 504 }
+      );
+
+      const [sent] = fake.messagesWith('tools/call');
+      const [cancelled] = fake.messagesWith('notifications/cancelled');
+      assert.equal(cancelled.message.params.requestId, sent.message.id);
+
+      const [record] = metrics.getCapturedMetrics({ Tool: 'chat_with_classroom_assistant' });
+      assert.equal(record.StatusClass, '5xx');
+      assert.equal(record.McpErrors, 1);
+    });
+  });
+
+  describe('logs', () => {
+    it('no escribe el contenido de los usuarios en los logs debug', async () => {
+      const lines = [];
+      const write = process.stdout.write;
+      process.env.LOG_LEVEL = 'debug';
+      process.stdout.write = (chunk, ...args) => {
+        if (String(chunk).startsWith('{"level"')) {
+          lines.push(JSON.parse(chunk));
+          return true;
+        }
+        return write.call(process.stdout, chunk, ...args);
+      };
+
+      try {
+        await client.callMcpTool('professor_assistant', { question: 'Mi diagnóstico médico', classroom_id: 'c1' });
+        await client.callMcpTool('search_similar_chunks', { query_text: 'notas privadas', classroom_id: 'c1' });
+        await client.callMcpTool('generate_embedding', { text: 'diario personal' });
+      } finally {
+        process.stdout.write = write;
+        process.env.LOG_LEVEL = 'silent';
+      }
+
+      const calls = lines.filter((line) => line.msg === 'Llamando herramienta');
+      assert.equal(calls.length, 3);
+      assert.deepEqual(calls.map((line) => line.arguments), [
+        { question: '[REDACTED 21 chars]', classroom_id: 'c1' },
+        { query_text: '[REDACTED 14 chars]', classroom_id: 'c1' },
+        { text: '[REDACTED 15 chars]' }
+      ]);
+      assert.doesNotMatch(JSON.stringify(lines), /diagnóstico|notas privadas|diario personal/);
+    });
+  });
+
+  describe('correlación', () => {
+    it('envía el X-Request-Id en el header, en _meta y en el id JSON-RPC', async () => {
+      await client.callMcpToolWithMeta('get_classroom_info', { classroom_id: 'c1' }, { requestId: 'req-123' });
+
+      const [call] = fake.calls;
+      assert.equal(call.headers['x-request-id'], 'req-123');
+      assert.equal(call.meta['estudia/request_id'], 'req-123');
+
+      const [sent] = fake.messagesWith('tools/call');
+      assert.match(sent.message.id, /^call-req-123-\d+$/);
+      assert.equal(fake.messagesWith('initialize')[0].headers['x-request-id'], 'req-123');
+    });
+  });
+});
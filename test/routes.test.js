@@ -0,0 +1,1044 @@
+/**
+ * Contrato de las rutas de index.js con eventos reales de API Gateway (v1 y v2):
+ * status, envelope de respuesta y argumentos exactos reenviados al servidor MCP.
+ */
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const {
+  startBridge,
+  resetBridge,
+  stopBridge,
+  signToken,
+  v1Event,
+  v2Event,
+  lambdaContext,
+  invoke,
+  waitFor,
+  CLASSROOM_ID,
+  PROFESSOR_ID,
+  STUDENT_ID,
+  OUTSIDER_ID,
+  DOCUMENT_ID,
+  SESSION_ID
+} = require('./helpers');
+
+const EVENT_FORMATS = [['v1', v1Event], ['v2', v2Event]];
+
+// Cada ruta MCP: petición y argumentos que deben llegar a la herramienta
+const MCP_ROUTES = [
+  {
+    path: '/generate-embedding',
+    body: { text: 'Hola mundo' },
+    tool: 'generate_embedding',
+    args: { text: 'Hola mundo' }
+  },
+  {
+    path: '/create-embedding',
+    body: { text: 'Fotosíntesis', classroom_id: CLASSROOM_ID },
+    tool: 'create_embedding',
+    args: { text: 'Fotosíntesis', classroom_id: CLASSROOM_ID }
+  },
+  {
+    path: '/store-document-chunks',
+    body: { classroom_document_id: DOCUMENT_ID },
+    tool: 'store_document_chunks',
+    args: { classroom_document_id: DOCUMENT_ID, chunk_size: 1000, chunk_overlap: 100 }
+  },
+  {
+    path: '/search-chunks',
+    body: { query_text: 'vectores', classroom_id: CLASSROOM_ID, threshold: 0.7 },
+    tool: 'search_similar_chunks',
+    args: { query_text: 'vectores', classroom_id: CLASSROOM_ID, limit: 5, threshold: 0.7 }
+  },
+  {
+    path: '/store-document',
+    body: { text: 'Apuntes de biología', classroom_id: CLASSROOM_ID },
+    tool: 'store_document',
+    args: { text: 'Apuntes de biología', classroom_id: CLASSROOM_ID }
+  },
+  {
+    path: '/search-documents',
+    body: { query_text: 'células', classroom_id: CLASSROOM_ID },
+    tool: 'search_similar_documents',
+    args: { query_text: 'células', limit: 5, classroom_id: CLASSROOM_ID }
+  },
+  {
+    path: '/chat-classroom',
+    body: { message: '¿Qué es un embedding?', classroom_id: CLASSROOM_ID },
+    tool: 'chat_with_classroom_assistant',
+    args: {
+      request: { message: '¿Qué es un embedding?', classroom_id: CLASSROOM_ID, user_id: PROFESSOR_ID, session_id: null }
+    }
+  },
+  {
+    path: '/professor-assistant',
+    body: { question: '¿Qué es la mitosis?', classroom_id: CLASSROOM_ID },
+    tool: 'professor_assistant',
+    args: { question: '¿Qué es la mitosis?', classroom_id: CLASSROOM_ID }
+  },
+  {
+    method: 'GET',
+    path: `/classrooms/${CLASSROOM_ID}/info`,
+    tool: 'get_classroom_info',
+    args: { classroom_id: CLASSROOM_ID }
+  },
+  {
+    path: '/generate-resources',
+    body: { classroom_id: CLASSROOM_ID, resource_type: 'PDF', topic: 'Células' },
+    tool: 'generate_resources',
+    args: { classroom_id: CLASSROOM_ID, resource_type: 'pdf', user_id: PROFESSOR_ID, topic: 'Células' }
+  },
+  {
+    path: '/generate-flashcards',
+    body: { classroom_id: CLASSROOM_ID, difficulty_level: 'hard' },
+    tool: 'generate_flashcards',
+    args: { classroom_id: CLASSROOM_ID, max_flashcards: 20, difficulty_level: 'hard' }
+  },
+  {
+    path: '/analyze-user-context',
+    body: { session_id: SESSION_ID },
+    tool: 'analyze_and_update_user_context',
+    args: { user_id: PROFESSOR_ID, session_id: SESSION_ID }
+  },
+  {
+    path: '/tools/get_classroom_info',
+    body: { classroom_id: CLASSROOM_ID },
+    tool: 'get_classroom_info',
+    args: { classroom_id: CLASSROOM_ID }
+  },
+  {
+    path: '/fiscal-advice',
+    body: { actividad: 'Diseño gráfico', ingresos_anuales: 300000, tiene_rfc: true },
+    tool: 'get_fiscal_advice',
+    args: { request: { actividad: 'Diseño gráfico', ingresos_anuales: 300000, tiene_rfc: true } }
+  }
+];
+
+/**
+ * Respuesta que Lambda streaming escribiría en la Function URL, como texto
+ */
+function createResponseStream() {
+  const chunks = [];
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    }
+  });
+  stream.text = () => Buffer.concat(chunks).toString('utf8');
+  return stream;
+}
+
+function parseSseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map((block) => {
+    const event = block.match(/^event: (.*)$/m)[1];
+    const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+    return { event, data };
+  });
+}
+
+describe('rutas', () => {
+  let fake;
+  let lambda;
+  let metrics;
+  const professorToken = signToken(PROFESSOR_ID);
+  const studentToken = signToken(STUDENT_ID);
+
+  before(async () => {
+    ({ fake, lambda, metrics } = await startBridge());
+  });
+
+  beforeEach(() => resetBridge());
+
+  after(() => stopBridge());
+
+  for (const [format, buildEvent] of EVENT_FORMATS) {
+    describe(`API Gateway ${format}`, () => {
+      it('GET /health responde el estado del servicio sin llamar al servidor MCP', async () => {
+        const response = await invoke(buildEvent({ path: '/health' }));
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.body.status, 'healthy');
+        assert.equal(response.body.mcp_server, fake.url);
+        assert.equal(response.headers['Access-Control-Allow-Origin'], '*');
+        assert.equal(fake.calls.length, 0);
+      });
+
+      it('GET /info, /openapi.json y /docs documentan las rutas', async () => {
+        const info = await invoke(buildEvent({ path: '/info' }));
+        assert.equal(info.statusCode, 200);
+        assert.equal(info.body.endpoints.searchChunks, '/search-chunks');
+
+        const openapi = await invoke(buildEvent({ path: '/openapi.json' }));
+        assert.equal(openapi.statusCode, 200);
+        assert.equal(openapi.body.openapi, '3.1.0');
+        assert.ok(openapi.body.paths['/search-chunks'].post);
+        assert.ok(openapi.body.components.schemas.AuthError.properties.code.enum.includes('ADMIN_REQUIRED'));
+
+        // Los lotes de /generate-embedding piden token y tienen rate limit
+        const embedding = openapi.body.paths['/generate-embedding'].post;
+        assert.deepEqual(embedding.security, [{}, { bearerAuth: [] }]);
+        assert.ok(embedding.responses[401] && embedding.responses[403] && embedding.responses[429]);
+
+        const job = openapi.body.paths['/jobs/{job_id}'];
+        assert.equal(job.get.responses[404].$ref, '#/components/responses/JobNotFound');
+        assert.equal(job.get.responses[503].$ref, '#/components/responses/JobsUnavailable');
+        assert.equal(job.get.responses[409], undefined);
+        assert.equal(job.delete.responses[409].$ref, '#/components/responses/JobAlreadyFinished');
+
+        const docs = await invoke(buildEvent({ path: '/docs' }));
+        assert.equal(docs.statusCode, 200);
+        assert.match(docs.headers['Content-Type'], /^text\/html/);
+        assert.match(docs.body, /<html/i);
+      });
+
+      it('GET /tools lista las herramientas del servidor MCP', async () => {
+        const response = await invoke(buildEvent({ path: '/tools' }));
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.body.data.count, 11);
+        assert.deepEqual(response.body.data.tools[0], {
+          name: 'generate_embedding',
+          description: 'Herramienta generate_embedding',
+          input_schema: { type: 'object' },
+          path: '/tools/generate_embedding'
+        });
+      });
+
+      for (const route of MCP_ROUTES) {
+        const method = route.method || 'POST';
+
+        it(`${method} ${route.path} reenvía ${route.tool} con los argumentos exactos`, async () => {
+          const response = await invoke(buildEvent({
+            method,
+            path: route.path,
+            body: route.body,
+            token: professorToken,
+            requestId: `req-${route.tool}`
+          }));
+
+          assert.equal(response.statusCode, 200, JSON.stringify(response.body));
+          assert.equal(response.body.success, true);
+          assert.equal(response.body.source, 'mcp_server');
+          assert.deepEqual(response.body.data, { ok: true });
+          assert.equal(response.headers['X-Request-Id'], `req-${route.tool}`);
+
+          assert.equal(fake.calls.length, 1);
+          assert.equal(fake.calls[0].tool, route.tool);
+          assert.deepEqual(fake.calls[0].arguments, route.args);
+          assert.equal(fake.calls[0].headers['x-request-id'], `req-${route.tool}`);
+        });
+      }
+    });
+  }
+
+  describe('errores del pipeline', () => {
+    it('404 con la lista de endpoints para una ruta desconocida', async () => {
+      const response = await invoke(v1Event({ path: '/no-existe' }));
+
+      assert.equal(response.statusCode, 404);
+      assert.equal(response.body.code, 'NOT_FOUND');
+      assert.ok(response.body.available_endpoints.includes('POST /search-chunks'));
+      assert.equal(response.body.request_id, response.headers['X-Request-Id']);
+    });
+
+    it('404 para un path con escapes % mal formados, también dentro de un batch', async () => {
+      const response = await invoke(v2Event({ path: '/jobs/%E0%A4%A', token: studentToken }));
+      assert.equal(response.statusCode, 404);
+      assert.equal(response.body.code, 'NOT_FOUND');
+
+      const batch = await invoke(v1Event({
+        method: 'POST',
+        path: '/batch',
+        body: { operations: [{ id: 'roto', endpoint: '/tools/%zz', params: {} }] },
+        token: studentToken
+      }));
+      assert.equal(batch.statusCode, 200);
+      assert.equal(batch.body.data.results[0].status, 404);
+    });
+
+    it('405 con el header Allow para un método no permitido', async () => {
+      const response = await invoke(v2Event({ method: 'DELETE', path: '/search-chunks' }));
+
+      assert.equal(response.statusCode, 405);
+      assert.equal(response.body.code, 'METHOD_NOT_ALLOWED');
+      assert.equal(response.headers.Allow, 'POST, OPTIONS');
+    });
+
+    it('401 sin token y 403 para quien no pertenece al classroom', async () => {
+      const body = { query_text: 'x', classroom_id: CLASSROOM_ID };
+
+      const missing = await invoke(v1Event({ method: 'POST', path: '/search-chunks', body }));
+      assert.equal(missing.statusCode, 401);
+      assert.equal(missing.body.code, 'MISSING_TOKEN');
+      assert.match(missing.headers['WWW-Authenticate'], /^Bearer/);
+
+      const outsider = await invoke(v1Event({ method: 'POST', path: '/search-chunks', body, token: signToken(OUTSIDER_ID) }));
+      assert.equal(outsider.statusCode, 403);
+      assert.equal(outsider.body.code, 'NOT_A_MEMBER');
+
+      assert.equal(fake.calls.length, 0);
+    });
+
+    it('401 con un token expirado, mal formado o firmado con otro secreto', async () => {
+      const body = { query_text: 'x', classroom_id: CLASSROOM_ID };
+      const search = (token) => invoke(v2Event({ method: 'POST', path: '/search-chunks', body, token }));
+
+      const expired = await search(signToken(STUDENT_ID, { exp: Math.floor(Date.now() / 1000) - 3600 }));
+      assert.equal(expired.statusCode, 401);
+      assert.equal(expired.body.code, 'TOKEN_EXPIRED');
+      assert.match(expired.headers['WWW-Authenticate'], /error="invalid_token"/);
+
+      const [header, payload] = studentToken.split('.');
+      const nullClaims = `${header}.${Buffer.from('null').toString('base64url')}.firma`;
+      for (const token of ['no-es-un-jwt', nullClaims, `${header}.${payload}.firma-de-otro`]) {
+        const response = await search(token);
+        assert.equal(response.statusCode, 401);
+        assert.equal(response.body.code, 'INVALID_TOKEN');
+      }
+
+      assert.equal(fake.calls.length, 0);
+    });
+
+    it('403 cuando el rol no alcanza o el user_id no es el del token', async () => {
+      const student = await invoke(v2Event({
+        method: 'POST',
+        path: '/create-embedding',
+        body: { text: 'x', classroom_id: CLASSROOM_ID },
+        token: studentToken
+      }));
+      assert.equal(student.statusCode, 403);
+      assert.equal(student.body.code, 'INSUFFICIENT_ROLE');
+
+      const mismatch = await invoke(v2Event({
+        method: 'POST',
+        path: '/analyze-user-context',
+        body: { user_id: STUDENT_ID, session_id: SESSION_ID },
+        token: professorToken
+      }));
+      assert.equal(mismatch.statusCode, 403);
+      assert.equal(mismatch.body.code, 'USER_MISMATCH');
+
+      assert.equal(fake.calls.length, 0);
+    });
+
+    it('el gateway verifica la membresía y el user_id dentro de "request"', async () => {
+      const call = (body, token) => invoke(v1Event({
+        method: 'POST',
+        path: '/tools/chat_with_classroom_assistant',
+        body,
+        token
+      }));
+
+      const outsider = await call({ request: { message: 'hola', classroom_id: CLASSROOM_ID } }, signToken(OUTSIDER_ID));
+      assert.equal(outsider.statusCode, 403);
+      assert.equal(outsider.body.code, 'NOT_A_MEMBER');
+
+      const impersonation = await call({
+        request: { message: 'hola', classroom_id: CLASSROOM_ID, user_id: PROFESSOR_ID }
+      }, studentToken);
+      assert.equal(impersonation.statusCode, 403);
+      assert.equal(impersonation.body.code, 'USER_MISMATCH');
+
+      // Sin classroom_id no hay membresía que verificar: falla cerrado
+      const unscoped = await call({ request: { message: 'hola' } }, studentToken);
+      assert.equal(unscoped.statusCode, 400);
+      assert.equal(unscoped.body.code, 'INVALID_PARAMS');
+
+      assert.equal(fake.calls.length, 0);
+
+      const member = await call({
+        request: { message: 'hola', classroom_id: CLASSROOM_ID.toUpperCase(), user_id: STUDENT_ID }
+      }, studentToken);
+      assert.equal(member.statusCode, 200);
+      assert.deepEqual(fake.calls[0].arguments, {
+        request: { message: 'hola', classroom_id: CLASSROOM_ID, user_id: STUDENT_ID }
+      });
+    });
+
+    it('acepta UUID en mayúsculas y los reenvía en minúsculas', async () => {
+      const response = await invoke(v1Event({
+        method: 'POST',
+        path: '/generate-resources',
+        body: { classroom_id: CLASSROOM_ID.toUpperCase(), user_id: PROFESSOR_ID.toUpperCase(), resource_type: 'pdf' },
+        token: professorToken
+      }));
+
+      assert.equal(response.statusCode, 200);
+      assert.equal(fake.calls[0].arguments.classroom_id, CLASSROOM_ID);
+      assert.equal(fake.calls[0].arguments.user_id, PROFESSOR_ID);
+    });
+
+    it('400 con el detalle de validación sin llamar al servidor MCP', async () => {
+      const response = await invoke(v1Event({
+        method: 'POST',
+        path: '/generate-flashcards',
+        body: { classroom_id: CLASSROOM_ID, max_flashcards: 500 },
+        token: professorToken
+      }));
+
+      assert.equal(response.statusCode, 400);
+      assert.ok(response.body.details.some((detail) => detail.field === 'max_flashcards'));
+      assert.equal(fake.calls.length, 0);
+    });
+
+    it('400 INVALID_PARAMS con un body que no es JSON, sin el mensaje del parser', async () => {
+      const event = v1Event({ method: 'POST', path: '/generate-embedding', body: {} });
+      event.body = '{"text": "hola"';
+
+      const response = await invoke(event);
+
+      assert.equal(response.statusCode, 400);
+      assert.equal(response.body.code, 'INVALID_PARAMS');
+      assert.equal(response.body.error, 'El body no es JSON válido');
+      assert.ok(response.body.request_id);
+      assert.equal(fake.calls.length, 0);
+
+      const array = v2Event({ method: 'POST', path: '/generate-embedding', body: {} });
+      array.body = '["hola"]';
+      assert.equal((await invoke(array)).statusCode, 400);
+    });
+
+    it('decodifica los bodies en base64 (isBase64Encoded)', async () => {
+      const event = v2Event({ method: 'POST', path: '/generate-embedding', body: {} });
+      event.body = Buffer.from(JSON.stringify({ text: 'Hola mundo' })).toString('base64');
+      event.isBase64Encoded = true;
+
+      const response = await invoke(event);
+
+      assert.equal(response.statusCode, 200);
+      assert.deepEqual(fake.calls[0].arguments, { text: 'Hola mundo' });
+    });
+
+    it('429 cuando se agota el bucket del usuario', async () => {
+      const event = () => v1Event({
+        method: 'POST',
+        path: '/generate-resources',
+        body: { classroom_id: CLASSROOM_ID, resource_type: 'ppt' },
+        token: professorToken
+      });
+
+      assert.equal((await invoke(event())).statusCode, 200);
+      assert.equal((await invoke(event())).statusCode, 200);
+      const limited = await invoke(event());
+
+      assert.equal(limited.statusCode, 429);
+      assert.equal(limited.body.code, 'RATE_LIMITED');
+      assert.ok(Number(limited.headers['Retry-After']) > 0);
+      assert.equal(fake.callsTo('generate_resources').length, 2);
+    });
+
+    it('500 INTERNAL_ERROR con un mensaje genérico, sin el detalle del error', async () => {
+      const { setMembershipResolver } = require('../membership');
+      setMembershipResolver({
+        async getRole() {
+          throw new Error('connect ECONNREFUSED postgres://admin:secreto@db');
+        }
+      });
+
+      const response = await invoke(v1Event({
+        method: 'POST',
+        path: '/classroom-info',
+        body: { classroom_id: CLASSROOM_ID },
+        token: studentToken
+      }));
+
+      assert.equal(response.statusCode, 500);
+      assert.equal(response.body.code, 'INTERNAL_ERROR');
+      assert.equal(response.body.error, 'Error interno del servidor');
+      assert.doesNotMatch(JSON.stringify(response.body), /postgres|secreto/);
+    });
+
+    it('el rate limit no deja pasar peticiones concurrentes de más', async () => {
+      const responses = await Promise.all(Array.from({ length: 6 }, () => invoke(v1Event({
+        method: 'POST',
+        path: '/generate-resources',
+        body: { classroom_id: CLASSROOM_ID, resource_type: 'ppt' },
+        token: professorToken
+      }))));
+
+      const statuses = responses.map((response) => response.statusCode).sort();
+      assert.deepEqual(statuses, [200, 200, 429, 429, 429, 429]);
+      assert.equal(fake.callsTo('generate_resources').length, 2);
+    });
+
+    it('una fila vencida en DynamoDB que el TTL aún no borra no bloquea al usuario', async () => {
+      const { setRateLimitStore, createDynamoDbRateLimitStore } = require('../rate_limit');
+      const key = `rl:generate-resources:user:${PROFESSOR_ID}`;
+      const table = new Map([[key, {
+        pk: key,
+        state: { tokens: 0, used: 30, day: '2020-01-01', updatedAt: 0 },
+        version: 7,
+        expires_at: Math.floor(Date.now() / 1000) - 60
+      }]]);
+
+      // Client mínimo con la semántica de GetCommand/PutCommand condicional
+      class GetCommand { constructor(input) { this.input = input; } }
+      class PutCommand { constructor(input) { this.input = input; } }
+      const client = {
+        async send({ input }) {
+          if (input.Key) return { Item: table.get(input.Key.pk) };
+          const current = table.get(input.Item.pk);
+          if (current && current.version !== input.ExpressionAttributeValues[':version']) {
+            throw Object.assign(new Error('conditional'), { name: 'ConditionalCheckFailedException' });
+          }
+          table.set(input.Item.pk, input.Item);
+          return {};
+        }
+      };
+      setRateLimitStore(createDynamoDbRateLimitStore({ tableName: 'limits', client, commands: { GetCommand, PutCommand } }));
+
+      const response = await invoke(v1Event({
+        method: 'POST',
+        path: '/generate-resources',
+        body: { classroom_id: CLASSROOM_ID, resource_type: 'ppt' },
+        token: professorToken
+      }));
+
+      assert.equal(response.statusCode, 200);
+      assert.equal(table.get(key).version, 8);
+      assert.equal(table.get(key).state.used, 1);
+    });
+
+    it('las operaciones de un batch comparten el bucket del usuario', async () => {
+      const response = await invoke(v1Event({
+        method: 'POST',
+        path: '/batch',
+        body: {
+          concurrency: 10,
+          operations: Array.from({ length: 10 }, (_, i) => ({
+            id: `cards-${i}`,
+            endpoint: '/generate-flashcards',
+            params: { classroom_id: CLASSROOM_ID }
+          }))
+        },
+        token: studentToken
+      }));
+
+      assert.equal(response.statusCode, 200);
+      const statuses = response.body.data.results.map((result) => result.status);
+      assert.equal(statuses.filter((status) => status === 200).length, 3);
+      assert.equal(statuses.filter((status) => status === 429).length, 7);
+      assert.equal(fake.callsTo('generate_flashcards').length, 3);
+    });
+  });
+
+  describe('errores del servidor MCP', () => {
+    it('isError de classroom inexistente responde 404 CLASSROOM_NOT_FOUND', async () => {
+      fake.script('get_classroom_info', {
+        result: { isError: true, content: [{ type: 'text', text: 'Classroom no encontrado' }] }
+      });
+
+      const response = await invoke(v2Event({
+        path: '/classroom-info',
+        query: { classroom_id: CLASSROOM_ID },
+        token: studentToken,
+        requestId: 'req-missing'
+      }));
+
+      assert.equal(response.statusCode, 404);
+      assert.equal(response.body.code, 'CLASSROOM_NOT_FOUND');
+      assert.equal(response.body.error, 'Classroom no encontrado');
+      assert.equal(response.body.request_id, 'req-missing');
+    });
+
+    it('un timeout del servidor MCP responde 504 dentro del tiempo de la invocación', async () => {
+      fake.script('professor_assistant', { delayMs: 1000 });
+
+      const response = await invoke(v1Event({
+        method: 'POST',
+        path: '/professor-assistant',
+        body: { question: '¿?', classroom_id: CLASSROOM_ID },
+        token: studentToken
+      }), lambdaContext(300));
+
+      assert.equal(response.statusCode, 504);
+      assert.equal(response.body.code, 'MCP_TIMEOUT');
+      assert.equal(fake.messagesWith('notifications/cancelled').length, 1);
+    });
+
+    it('las notificaciones de progreso se devuelven en metadata.mcp_notifications', async () => {
+      fake.script('generate_flashcards', {
+        notifications: [{ method: 'notifications/progress', params: { progress: 5, total: 20 } }],
+        result: { content: [{ type: 'text', text: '[{"question":"¿?","answer":"!"}]' }] }
+      });
+
+      const response = await invoke(v1Event({
+        method: 'POST',
+        path: '/generate-flashcards',
+        body: { classroom_id: CLASSROOM_ID },
+        token: studentToken
+      }));
+
+      assert.equal(response.statusCode, 200);
+      assert.deepEqual(response.body.data, [{ question: '¿?', answer: '!' }]);
+      assert.equal(response.body.metadata.mcp_notifications[0].method, 'notifications/progress');
+      assert.equal(response.body.metadata.mcp_notifications[0].params.progress, 5);
+    });
+
+    it('un stream SSE que termina sin la respuesta responde 502 y no se cachea', async () => {
+      fake.scriptOnce('search_similar_chunks', {
+        notifications: [{ method: 'notifications/message', params: { level: 'info', data: 'Buscando' } }],
+        body: { jsonrpc: '2.0', id: 'otra-peticion', result: { structuredContent: { ok: true } } }
+      });
+      const search = () => invoke(v1Event({
+        method: 'POST',
+        path: '/search-chunks',
+        body: { query_text: 'vectores', classroom_id: CLASSROOM_ID },
+        token: studentToken
+      }));
+
+      const failed = await search();
+      assert.equal(failed.statusCode, 502);
+      assert.equal(failed.body.code, 'MCP_BAD_RESPONSE');
+
+      const retried = await search();
+      assert.equal(retried.statusCode, 200);
+      assert.equal(retried.headers['X-Cache'], 'MISS');
+      assert.equal(fake.callsTo('search_similar_chunks').length, 2);
+    });
+
+    it('POST /tools/{tool} responde 404 para una herramienta que no existe', async () => {
+      const call = () => invoke(v1Event({
+        method: 'POST',
+        path: '/tools/borrar_todo',
+        body: { classroom_id: CLASSROOM_ID },
+        token: professorToken
+      }));
+
+      const response = await call();
+      assert.equal(response.statusCode, 404);
+      assert.equal(response.body.code, 'TOOL_NOT_FOUND');
+      assert.equal(fake.calls.length, 0);
+
+      // La primera búsqueda refresca tools/list; las siguientes recuerdan el fallo
+      const listed = fake.messagesWith('tools/list').length;
+      assert.equal((await call()).statusCode, 404);
+      assert.equal(fake.messagesWith('tools/list').length, listed);
+    });
+  });
+
+  describe('embeddings y cache', () => {
+    it('"texts" genera un embedding por texto y reporta los errores por elemento', async () => {
+      fake.script('generate_embedding', (args) => (args.text === 'falla'
+        ? { result: { isError: true, content: [{ type: 'text', text: 'Texto rechazado' }] } }
+        : { result: { structuredContent: { embedding: [0.1, 0.2, 0.3], model: 'text-embedding-004' } } }));
+
+      const response = await invoke(v2Event({
+        method: 'POST',
+        path: '/generate-embedding',
+        body: { texts: ['uno', 'falla', 'tres'] },
+        token: studentToken
+      }));
+
+      assert.equal(response.statusCode, 200);
+      assert.equal(response.body.success, false);
+      assert.deepEqual(response.body.data.results.map((item) => item.success), [true, false, true]);
+      assert.equal(response.body.data.results[1].code, 'UPSTREAM_TOOL_ERROR');
+      assert.equal(response.body.data.dimension, 3);
+      assert.deepEqual(fake.calls.map((call) => call.arguments.text).sort(), ['falla', 'tres', 'uno']);
+    });
+
+    it('"texts" requiere token y tiene su propio rate limit', async () => {
+      const batch = (token) => invoke(v1Event({
+        method: 'POST',
+        path: '/generate-embedding',
+        body: { texts: ['uno', 'dos'] },
+        token
+      }));
+
+      const anonymous = await batch();
+      assert.equal(anonymous.statusCode, 401);
+      assert.equal(anonymous.body.code, 'MISSING_TOKEN');
+      assert.equal(fake.calls.length, 0);
+
+      for (let i = 0; i < 5; i++) {
+        assert.equal((await batch(studentToken)).statusCode, 200);
+      }
+      const limited = await batch(studentToken);
+      assert.equal(limited.statusCode, 429);
+      assert.equal(limited.body.code, 'RATE_LIMITED');
+
+      // Un solo "text" sigue siendo público
+      const single = await invoke(v1Event({ method: 'POST', path: '/generate-embedding', body: { text: 'tres' } }));
+      assert.equal(single.statusCode, 200);
+    });
+
+    it('las búsquedas se cachean hasta que se ingieren chunks del classroom', async () => {
+      const search = () => invoke(v1Event({
+        method: 'POST',
+        path: '/search-chunks',
+        body: { query_text: 'vectores', classroom_id: CLASSROOM_ID },
+        token: studentToken
+      }));
+
+      assert.equal((await search()).headers['X-Cache'], 'MISS');
+      assert.equal((await search()).headers['X-Cache'], 'HIT');
+      assert.equal(fake.callsTo('search_similar_chunks').length, 1);
+
+      await invoke(v1Event({
+        method: 'POST',
+        path: '/store-document-chunks',
+        body: { classroom_document_id: DOCUMENT_ID, classroom_id: CLASSROOM_ID },
+        token: professorToken
+      }));
+
+      assert.equal((await search()).headers['X-Cache'], 'MISS');
+      assert.equal(fake.callsTo('search_similar_chunks').length, 2);
+
+      // Las escrituras por el gateway también invalidan
+      assert.equal((await search()).headers['X-Cache'], 'HIT');
+      await invoke(v1Event({
+        method: 'POST',
+        path: '/tools/store_document_chunks',
+        body: { classroom_document_id: DOCUMENT_ID, classroom_id: CLASSROOM_ID },
+        token: professorToken
+      }));
+
+      assert.equal((await search()).headers['X-Cache'], 'MISS');
+      assert.equal(fake.callsTo('search_similar_chunks').length, 3);
+    });
+  });
+
+  describe('documentos globales', () => {
+    const adminToken = signToken(OUTSIDER_ID, { app_metadata: { role: 'admin' } });
+
+    it('solo los administradores almacenan documentos sin classroom', async () => {
+      const event = (token) => v1Event({
+        method: 'POST',
+        path: '/store-document',
+        body: { text: 'Reglamento general' },
+        token
+      });
+
+      const professor = await invoke(event(professorToken));
+      assert.equal(professor.statusCode, 403);
+      assert.equal(professor.body.code, 'ADMIN_REQUIRED');
+      assert.equal(fake.calls.length, 0);
+
+      const admin = await invoke(event(adminToken));
+      assert.equal(admin.statusCode, 200);
+      assert.deepEqual(fake.calls[0].arguments, { text: 'Reglamento general', classroom_id: null });
+    });
+
+    it('sin classroom_id la búsqueda es global y el scope "all" lo requiere', async () => {
+      const global = await invoke(v2Event({
+        method: 'POST',
+        path: '/search-documents',
+        body: { query_text: 'reglamento' },
+        token: studentToken
+      }));
+      assert.equal(global.statusCode, 200);
+      assert.deepEqual(fake.calls[0].arguments, { query_text: 'reglamento', limit: 5 });
+
+      const invalid = await invoke(v2Event({
+        method: 'POST',
+        path: '/search-documents',
+        body: { query_text: 'reglamento', scope: 'all' },
+        token: studentToken
+      }));
+      assert.equal(invalid.statusCode, 400);
+      assert.equal(fake.calls.length, 1);
+    });
+
+    it('scope "all" combina los resultados por similitud y marca su scope', async () => {
+      fake.script('search_similar_documents', (args) => ({
+        result: {
+          structuredContent: args.classroom_id
+            ? [{ id: 'apuntes', similarity: 0.8 }, { id: 'compartido', similarity: 0.5 }]
+            : { results: [{ id: 'reglamento', similarity: 0.9 }, { id: 'compartido', similarity: 0.95 }, { id: 'otro', similarity: 0.1 }] }
+        }
+      }));
+
+      const response = await invoke(v1Event({
+        method: 'POST',
+        path: '/search-documents',
+        body: { query_text: 'reglas', classroom_id: CLASSROOM_ID, scope: 'ALL', limit: 3 },
+        token: studentToken
+      }));
+
+      assert.equal(response.statusCode, 200);
+      assert.deepEqual(response.body.data.results, [
+        { id: 'reglamento', similarity: 0.9, scope: 'global' },
+        { id: 'apuntes', similarity: 0.8, scope: 'classroom' },
+        { id: 'compartido', similarity: 0.5, scope: 'classroom' }
+      ]);
+      assert.deepEqual(response.body.data.scopes, { classroom: 2, global: 1 });
+      assert.deepEqual(
+        fake.callsTo('search_similar_documents').map((call) => call.arguments.classroom_id || 'global').sort(),
+        [CLASSROOM_ID, 'global']
+      );
+    });
+
+    it('scope "all" responde con un scope si el otro falla', async () => {
+      fake.script('search_similar_documents', (args) => (args.classroom_id
+        ? { result: { structuredContent: [{ id: 'apuntes', similarity: 0.8 }] } }
+        : { error: { code: -32603, message: 'Índice global no disponible' } }));
+
+      const response = await invoke(v1Event({
+        method: 'POST',
+        path: '/search-documents',
+        body: { query_text: 'reglas', classroom_id: CLASSROOM_ID, scope: 'all' },
+        token: studentToken
+      }));
+
+      assert.equal(response.statusCode, 200);
+      assert.deepEqual(response.body.data.results, [{ id: 'apuntes', similarity: 0.8, scope: 'classroom' }]);
+      assert.deepEqual(response.body.metadata.failed_scopes.map((failure) => failure.scope), ['global']);
+    });
+  });
+
+  describe('jobs asíncronos', () => {
+    it('async=true responde 202 y el job queda consultable hasta terminar', async () => {
+      const accepted = await invoke(v1Event({
+        method: 'POST',
+        path: '/store-document-chunks',
+        query: { async: 'true' },
+        body: { classroom_document_id: DOCUMENT_ID },
+        token: professorToken,
+        requestId: 'req-job'
+      }));
+
+      assert.equal(accepted.statusCode, 202);
+      const { job_id: jobId } = accepted.body.data;
+      assert.equal(accepted.headers.Location, `/jobs/${jobId}`);
+
+      const getJob = (token) => invoke(v2Event({ path: `/jobs/${jobId}`, token }));
+      const finished = await waitFor(async () => {
+        const response = await getJob(professorToken);
+        return response.body.data.status === 'succeeded' && response;
+      });
+
+      assert.equal(finished.body.data.request_id, 'req-job');
+      assert.deepEqual(fake.calls[0].arguments, { classroom_document_id: DOCUMENT_ID, chunk_size: 1000, chunk_overlap: 100 });
+      assert.equal(fake.calls[0].headers['x-request-id'], 'req-job');
+
+      const other = await getJob(studentToken);
+      assert.equal(other.statusCode, 404);
+      assert.equal(other.body.code, 'JOB_NOT_FOUND');
+
+      const cancel = await invoke(v1Event({ method: 'DELETE', path: `/jobs/${jobId}`, token: professorToken }));
+      assert.equal(cancel.statusCode, 409);
+      assert.equal(cancel.body.code, 'JOB_ALREADY_FINISHED');
+    });
+
+    it('en Lambda sin store compartido responde 503 JOBS_UNAVAILABLE sin crear el job', async () => {
+      const { setJobStore } = require('../jobs');
+      Object.assign(process.env, { AWS_LAMBDA_FUNCTION_NAME: 'estudia-bridge', JOB_STORE: 'file' });
+      setJobStore(null);
+
+      try {
+        const response = await invoke(v1Event({
+          method: 'POST',
+          path: '/generate-flashcards',
+          query: { async: 'true' },
+          body: { classroom_id: CLASSROOM_ID },
+          token: studentToken
+        }));
+
+        assert.equal(response.statusCode, 503);
+        assert.equal(response.body.code, 'JOBS_UNAVAILABLE');
+        assert.equal(fake.calls.length, 0);
+      } finally {
+        delete process.env.AWS_LAMBDA_FUNCTION_NAME;
+        delete process.env.JOB_STORE;
+      }
+    });
+
+    it('un job se ejecuta una sola vez aunque llegue dos veces', async () => {
+      const { createJob, runJob, getJobStore } = require('../jobs');
+      const job = await createJob({
+        route: { name: 'generate-flashcards' },
+        params: { classroom_id: CLASSROOM_ID },
+        userId: STUDENT_ID
+      });
+
+      const { routes } = require('../routes');
+      const getRoute = (name) => routes.find((route) => route.name === name);
+      await Promise.all([runJob(job.id, getRoute), runJob(job.id, getRoute)]);
+
+      assert.equal(fake.callsTo('generate_flashcards').length, 1);
+      assert.equal((await getJobStore().get(job.id)).status, 'succeeded');
+    });
+
+    it('DELETE /jobs/{job_id} no pisa un job que terminó mientras se cancelaba', async () => {
+      const { setJobStore, createMemoryJobStore, createJob } = require('../jobs');
+      const store = createMemoryJobStore();
+      let stale = null;
+      setJobStore({
+        // La primera lectura ve el job aún en ejecución; el store ya lo tiene terminado
+        async get(id) {
+          const job = await store.get(id);
+          if (!stale) return job;
+          const snapshot = stale;
+          stale = null;
+          return snapshot;
+        },
+        put: store.put
+      });
+
+      const job = await createJob({ route: { name: 'generate-flashcards' }, params: {}, userId: STUDENT_ID });
+      stale = { ...job, status: 'running' };
+      await store.put({ ...job, status: 'succeeded', result: { ok: true } });
+
+      const cancel = await invoke(v2Event({ method: 'DELETE', path: `/jobs/${job.id}`, token: studentToken }));
+
+      assert.equal(cancel.statusCode, 409);
+      assert.equal(cancel.body.code, 'JOB_ALREADY_FINISHED');
+      assert.equal((await store.get(job.id)).status, 'succeeded');
+    });
+
+    it('DELETE /jobs/{job_id} cancela un job en ejecución y descarta su resultado', async () => {
+      fake.script('generate_flashcards', { delayMs: 100 });
+
+      const accepted = await invoke(v2Event({
+        method: 'POST',
+        path: '/generate-flashcards',
+        query: { async: 'true' },
+        body: { classroom_id: CLASSROOM_ID },
+        token: studentToken
+      }));
+      const { job_id: jobId } = accepted.body.data;
+
+      await waitFor(() => fake.callsTo('generate_flashcards').length === 1);
+      const cancel = await invoke(v2Event({ method: 'DELETE', path: `/jobs/${jobId}`, token: studentToken }));
+      assert.equal(cancel.statusCode, 200);
+      assert.equal(cancel.body.data.status, 'cancelled');
+
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      const job = await invoke(v2Event({ path: `/jobs/${jobId}`, token: studentToken }));
+      assert.equal(job.body.data.status, 'cancelled');
+    });
+  });
+
+  describe('batch', () => {
+    it('ejecuta cada operación con el pipeline completo y conserva el orden', async () => {
+      const response = await invoke(v1Event({
+        method: 'POST',
+        path: '/batch',
+        body: {
+          operations: [
+            { id: 'info', endpoint: '/classroom-info', params: { classroom_id: CLASSROOM_ID } },
+            { id: 'cards', tool: 'generate_flashcards', params: { classroom_id: CLASSROOM_ID, max_flashcards: 5 } },
+            { id: 'ajeno', endpoint: '/classroom-info', params: { classroom_id: '00000000-0000-0000-0000-000000000000' } }
+          ]
+        },
+        token: studentToken
+      }));
+
+      assert.equal(response.statusCode, 200);
+      assert.deepEqual(
+        response.body.data.results.map(({ id, status }) => [id, status]),
+        [['info', 200], ['cards', 200], ['ajeno', 403]]
+      );
+      // Las operaciones con "tool" pasan por el gateway: los argumentos llegan tal cual
+      assert.deepEqual(fake.callsTo('generate_flashcards')[0].arguments, {
+        classroom_id: CLASSROOM_ID,
+        max_flashcards: 5
+      });
+      assert.equal(fake.callsTo('get_classroom_info').length, 1);
+    });
+
+    it('autoriza cada operación por separado, también las que van por el gateway', async () => {
+      const operations = [
+        { id: 'info', endpoint: '/classroom-info', params: { classroom_id: CLASSROOM_ID } },
+        { id: 'suplanta', endpoint: '/analyze-user-context', params: { user_id: PROFESSOR_ID, session_id: SESSION_ID } },
+        {
+          id: 'chat-ajeno',
+          tool: 'chat_with_classroom_assistant',
+          params: { request: { message: 'hola', classroom_id: '00000000-0000-0000-0000-000000000000' } }
+        },
+        { id: 'sin-classroom', tool: 'get_classroom_info', params: {} }
+      ];
+      const batch = (token) => invoke(v1Event({ method: 'POST', path: '/batch', body: { operations }, token }));
+
+      const anonymous = await batch();
+      assert.equal(anonymous.statusCode, 200);
+      assert.deepEqual(anonymous.body.data.results.map(({ status }) => status), [401, 401, 401, 401]);
+
+      const student = await batch(studentToken);
+      assert.deepEqual(
+        student.body.data.results.map(({ id, status, body }) => [id, status, body.code]),
+        [
+          ['info', 200, undefined],
+          ['suplanta', 403, 'USER_MISMATCH'],
+          ['chat-ajeno', 403, 'NOT_A_MEMBER'],
+          ['sin-classroom', 400, 'INVALID_PARAMS']
+        ]
+      );
+      assert.deepEqual(fake.calls.map((call) => call.tool), ['get_classroom_info']);
+    });
+  });
+
+  describe('streaming', () => {
+    it('responde SSE con start, progress y result cuando el cliente lo pide', async () => {
+      fake.script('chat_with_classroom_assistant', {
+        notifications: [{ method: 'notifications/progress', params: { progress: 1, total: 2, message: 'Buscando' } }],
+        result: { structuredContent: { answer: 'Un vector' } }
+      });
+
+      const stream = createResponseStream();
+      await lambda.handleStreamingRequest(v2Event({
+        method: 'POST',
+        path: '/chat-classroom',
+        body: { message: '¿Qué es un embedding?', classroom_id: CLASSROOM_ID },
+        token: studentToken,
+        requestId: 'req-sse',
+        headers: { Accept: 'text/event-stream' }
+      }), stream, lambdaContext());
+
+      const events = parseSseEvents(stream.text());
+      assert.deepEqual(events.map(({ event }) => event), ['start', 'progress', 'result']);
+      assert.equal(events[0].data.request_id, 'req-sse');
+      assert.deepEqual(events[1].data, { progress: 1, total: 2, message: 'Buscando' });
+      assert.equal(events[2].data.status, 200);
+      assert.deepEqual(events[2].data.data, { answer: 'Un vector' });
+    });
+
+    it('sin Accept: text/event-stream escribe la respuesta completa', async () => {
+      const stream = createResponseStream();
+      await lambda.handleStreamingRequest(v2Event({ path: '/health' }), stream, lambdaContext());
+
+      assert.equal(JSON.parse(stream.text()).status, 'healthy');
+    });
+
+    it('ejecuta los jobs que llegan por el handler con streaming', async () => {
+      const { createJob, getJobStore } = require('../jobs');
+      const job = await createJob({
+        route: { name: 'generate-flashcards' },
+        params: { classroom_id: CLASSROOM_ID },
+        userId: STUDENT_ID
+      });
+
+      const stream = createResponseStream();
+      await lambda.handleStreamingRequest({ source: 'estudia.job', job_id: job.id }, stream, lambdaContext());
+
+      assert.deepEqual(JSON.parse(stream.text()), { job_id: job.id });
+      assert.equal(fake.callsTo('generate_flashcards').length, 1);
+      assert.equal((await getJobStore().get(job.id)).status, 'succeeded');
+    });
+  });
+
+  describe('métricas', () => {
+    it('emite un registro por petición y otro por llamada a herramienta', async () => {
+      await invoke(v1Event({
+        method: 'POST',
+        path: '/professor-assistant',
+        body: { question: '¿?', classroom_id: CLASSROOM_ID },
+        token: studentToken,
+        requestId: 'req-metrics'
+      }));
+
+      const records = metrics.getCapturedMetrics({ Endpoint: 'professor-assistant', request_id: 'req-metrics' });
+      const request = records.find((record) => record.Requests === 1);
+      const tool = records.find((record) => record.McpCalls === 1);
+
+      assert.equal(request.StatusClass, '2xx');
+      assert.equal(request.Errors, 0);
+      assert.equal(tool.Tool, 'professor_assistant');
+      assert.equal(tool.Retries, 0);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Herramientas publicadas (tool_registry.js) e inputSchema de los servidores MCP
+ * (json_schema.js): MCP_TOOLS_ALLOW / MCP_TOOLS_DENY y schemas que no se pueden evaluar.
+ */
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeMcpServer } = require('./fake_mcp_server');
+const {
+  startBridge,
+  resetBridge,
+  stopBridge,
+  signToken,
+  v1Event,
+  v2Event,
+  invoke,
+  CLASSROOM_ID,
+  STUDENT_ID
+} = require('./helpers');
+
+describe('tool_registry', () => {
+  let fake;
+  let schemas;
+  let backends;
+  let token;
+
+  before(async () => {
+    ({ fake } = await startBridge());
+    schemas = await startFakeMcpServer({
+      tools: [
+        {
+          name: 'esquema_ref',
+          description: 'Usa un $ref externo',
+          inputSchema: { type: 'object', properties: { classroom_id: { $ref: 'https://example.com/uuid.json' } } }
+        },
+        {
+          name: 'esquema_pattern',
+          description: 'Usa un pattern que RegExp no acepta',
+          inputSchema: { type: 'object', properties: { classroom_id: { type: 'string', pattern: '(?<nombre' } } }
+        }
+      ]
+    });
+
+    backends = require('../backends');
+    backends.setBackends([
+      { name: 'estudia', url: `${fake.url}/`, default: true },
+      { name: 'esquemas', url: schemas.url, tools: ['esquema_*'] }
+    ]);
+    token = signToken(STUDENT_ID);
+  });
+
+  beforeEach(() => {
+    resetBridge();
+    schemas.reset();
+  });
+
+  after(async () => {
+    backends.setBackends(null);
+    await schemas.close();
+    await stopBridge();
+  });
+
+  const callTool = (tool) => invoke(v1Event({
+    method: 'POST',
+    path: `/tools/${tool}`,
+    body: { classroom_id: CLASSROOM_ID },
+    token
+  }));
+
+  describe('MCP_TOOLS_ALLOW / MCP_TOOLS_DENY', () => {
+    it('publica solo las herramientas permitidas y no denegadas', async () => {
+      Object.assign(process.env, { MCP_TOOLS_ALLOW: 'generate_*,get_classroom_info', MCP_TOOLS_DENY: 'generate_embedding' });
+      try {
+        const listed = await invoke(v2Event({ path: '/tools' }));
+        assert.equal(listed.statusCode, 200);
+        assert.deepEqual(listed.body.data.tools.map((tool) => tool.name).sort(), [
+          'generate_flashcards',
+          'generate_resources',
+          'get_classroom_info'
+        ]);
+
+        const allowed = await callTool('get_classroom_info');
+        assert.equal(allowed.statusCode, 200);
+
+        for (const hidden of ['generate_embedding', 'search_similar_chunks']) {
+          const response = await callTool(hidden);
+          assert.equal(response.statusCode, 404);
+          assert.equal(response.body.code, 'TOOL_NOT_FOUND');
+        }
+        assert.deepEqual(fake.calls.map((call) => call.tool), ['get_classroom_info']);
+      } finally {
+        delete process.env.MCP_TOOLS_ALLOW;
+        delete process.env.MCP_TOOLS_DENY;
+      }
+    });
+  });
+
+  describe('inputSchema', () => {
+    it('un $ref externo o un pattern inválido responden 502 MCP_BAD_RESPONSE', async () => {
+      for (const tool of ['esquema_ref', 'esquema_pattern']) {
+        const response = await callTool(tool);
+
+        assert.equal(response.statusCode, 502);
+        assert.equal(response.body.code, 'MCP_BAD_RESPONSE');
+      }
+      assert.equal(schemas.calls.length, 0);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Descubrimiento de herramientas MCP (tools/list)
+ * Se consulta cada backend (ver backends.js) y de cada uno se conservan solo las
+ * herramientas que el registro le enruta. La lista se cachea a nivel de módulo,
+ * así que se reutiliza entre invocaciones mientras el contenedor Lambda esté caliente.
+ *
+ * Configuración:
+ * - MCP_TOOLS_CACHE_TTL_MS: vigencia del cache (default: 300000)
+ * - MCP_TOOLS_ALLOW: herramientas publicadas, separadas por coma (default: todas).
+ *   Acepta comodín al final, p. ej. "generate_*"
+ * - MCP_TOOLS_DENY: herramientas ocultas aunque estén en MCP_TOOLS_ALLOW
+ */
+
+const { sendRequest } = require('./mcp_client');
+const { getBackends, resolveBackend } = require('./backends');
+const { BridgeError, fromJsonRpcError } = require('./errors');
+const { createLogger } = require('./logger');
+
+const log = createLogger('mcp');
+
+const DEFAULT_CACHE_TTL_MS = 300000;
+
+// Límite de páginas de tools/list por si el servidor repite el cursor
+const MAX_PAGES = 20;
+
+const cache = {
+  tools: null,
+  fetchedAt: null,
+  loading: null,
+  // Nombres que no aparecieron tras refrescar: { name => timestamp }
+  misses: new Map()
+};
+
+function cacheTtlMs() {
+  return parseInt(process.env.MCP_TOOLS_CACHE_TTL_MS, 10) || DEFAULT_CACHE_TTL_MS;
+}
+
+function parseList(value) {
+  return (value || '').split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+function matchesPattern(name, pattern) {
+  if (pattern === '*') return true;
+  if (pattern.endsWith('*')) return name.startsWith(pattern.slice(0, -1));
+  return name === pattern;
+}
+
+/**
+ * Una herramienta es pública si está permitida y no está denegada
+ */
+function isToolPublic(name) {
+  const allow = parseList(process.env.MCP_TOOLS_ALLOW);
+  const deny = parseList(process.env.MCP_TOOLS_DENY);
+
+  if (deny.some((pattern) => matchesPattern(name, pattern))) return false;
+  return allow.length === 0 || allow.some((pattern) => matchesPattern(name, pattern));
+}
+
+async function fetchBackendTools(backend, ctx) {
+  const tools = [];
+  let cursor;
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const response = await sendRequest('tools/list', cursor ? { cursor } : {}, {
+      backend,
+      deadline: ctx.deadline,
+      requestId: ctx.requestId
+    });
+
+    if (response.statusCode !== 200 || !response.body || typeof response.body !== 'object') {
+      throw new BridgeError('MCP_BAD_RESPONSE', `tools/list respondió HTTP ${response.statusCode}`, {
+        details: { body: response.body }
+      });
+    }
+    if (response.body.error) {
+      throw fromJsonRpcError(response.body.error);
+    }
+
+    const result = response.body.result || {};
+    tools.push(...(result.tools || []));
+
+    cursor = result.nextCursor;
+    if (!cursor) break;
+  }
+
+  // Un servidor puede publicar herramientas que el registro enruta a otro backend
+  const routed = tools.filter((tool) => resolveBackend(tool.name) === backend);
+  log.info('tools/list', { backend: backend.name, tools: routed.length });
+  return routed;
+}
+
+/**
+ * Herramientas de todos los backends. Un backend caído no oculta las del resto;
+ * solo se falla si ninguno responde.
+ */
+async function fetchTools(ctx) {
+  const backends = getBackends();
+  const results = await Promise.allSettled(backends.map((backend) => fetchBackendTools(backend, ctx)));
+
+  const tools = [];
+  const failures = [];
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      tools.push(...result.value);
+    } else {
+      log.warn('tools/list falló', { backend: backends[index].name, error: result.reason });
+      failures.push(result.reason);
+    }
+  });
+
+  if (failures.length === backends.length) {
+    throw failures[0];
+  }
+  return tools;
+}
+
+/**
+ * Lista las herramientas públicas de los servidores MCP.
+ * Usa el cache salvo que haya vencido o se pida refresh.
+ */
+async function listTools({ refresh = false } = {}, ctx = {}) {
+  const fresh = cache.tools && Date.now() - cache.fetchedAt < cacheTtlMs();
+
+  if (refresh || !fresh) {
+    // Las llamadas concurrentes comparten la misma consulta
+    if (!cache.loading) {
+      cache.loading = fetchTools(ctx)
+        .then((tools) => {
+          cache.tools = tools;
+          cache.fetchedAt = Date.now();
+        })
+        .finally(() => {
+          cache.loading = null;
+        });
+    }
+    await cache.loading;
+  }
+
+  return cache.tools.filter((tool) => isToolPublic(tool.name));
+}
+
+/**
+ * El nombre ya se buscó con tools/list fresco y no estaba; se recuerda hasta que
+ * venza el TTL para que los nombres desconocidos no refresquen en cada llamada
+ */
+function isRecentMiss(name) {
+  const missedAt = cache.misses.get(name);
+  if (missedAt === undefined) return false;
+  if (Date.now() - missedAt < cacheTtlMs()) return true;
+  cache.misses.delete(name);
+  return false;
+}
+
+function rememberMiss(name) {
+  const now = Date.now();
+  for (const [missed, missedAt] of cache.misses) {
+    if (now - missedAt >= cacheTtlMs()) cache.misses.delete(missed);
+  }
+  cache.misses.set(name, now);
+}
+
+/**
+ * Busca una herramienta pública por nombre. Si no está en el cache se vuelve a
+ * consultar tools/list una vez, por si el servidor la agregó después.
+ */
+async function getTool(name, ctx = {}) {
+  let tools = await listTools({}, ctx);
+  let tool = tools.find((item) => item.name === name);
+
+  if (!tool && isToolPublic(name) && !isRecentMiss(name)) {
+    tools = await listTools({ refresh: true }, ctx);
+    tool = tools.find((item) => item.name === name);
+    if (!tool) rememberMiss(name);
+  }
+
+  return tool || null;
+}
+
+function getToolsCacheInfo() {
+  return {
+    cached: Boolean(cache.tools),
+    count: cache.tools ? cache.tools.length : 0,
+    fetched_at: cache.fetchedAt ? new Date(cache.fetchedAt).toISOString() : null
+  };
+}
+
+/**
+ * Olvida la lista cacheada (tests)
+ */
+function resetToolsCache() {
+  cache.tools = null;
+  cache.fetchedAt = null;
+  cache.misses.clear();
+}
+
+module.exports = {
+  listTools,
+  getTool,
+  isToolPublic,
+  getToolsCacheInfo,
+  resetToolsCache
+};
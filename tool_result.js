@@ -0,0 +1,93 @@
+/**
+ * Normalización de CallToolResult de MCP
+ * Las herramientas devuelven { content: [...], structuredContent?, isError? }.
+ * Este módulo lo convierte en datos listos para el cliente:
+ * - structuredContent tiene prioridad cuando existe
+ * - bloques text: JSON parseado si el texto es JSON, si no el texto tal cual
+ * - bloques image / audio: { type, mime_type, data } (base64)
+ * - bloques resource: { type, uri, mime_type, text | blob }
+ * - bloques resource_link: { type, uri, name, mime_type }
+ * Un solo bloque se devuelve como valor; varios, como array; ninguno, como null.
+ */
+
+function parseText(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (e) {
+      // No era JSON: se devuelve como texto
+    }
+  }
+  return text;
+}
+
+function normalizeBlock(block) {
+  switch (block.type) {
+    case 'text':
+      return parseText(block.text || '');
+    case 'image':
+    case 'audio':
+      return { type: block.type, mime_type: block.mimeType, data: block.data };
+    case 'resource': {
+      const resource = block.resource || {};
+      return {
+        type: 'resource',
+        uri: resource.uri,
+        mime_type: resource.mimeType,
+        ...(resource.text !== undefined && { text: resource.text }),
+        ...(resource.blob !== undefined && { blob: resource.blob })
+      };
+    }
+    case 'resource_link':
+      return { type: 'resource_link', uri: block.uri, name: block.name, mime_type: block.mimeType };
+    default:
+      return block;
+  }
+}
+
+function isCallToolResult(result) {
+  return Boolean(result) && typeof result === 'object' &&
+    (Array.isArray(result.content) || result.structuredContent !== undefined);
+}
+
+/**
+ * Mensaje de error de un resultado con isError: el texto de sus bloques
+ */
+function extractErrorMessage(result) {
+  const texts = (result.content || [])
+    .filter((block) => block.type === 'text' && block.text)
+    .map((block) => block.text.trim());
+
+  return texts.length > 0 ? texts.join('\n') : 'La herramienta MCP reportó un error';
+}
+
+/**
+ * Convierte el result de tools/call en { data, isError, errorMessage }.
+ * Si result no tiene forma de CallToolResult (p. ej. el endpoint REST
+ * alternativo) se devuelve tal cual como data.
+ */
+function normalizeToolResult(result) {
+  if (!isCallToolResult(result)) {
+    return { data: result, isError: false, errorMessage: null };
+  }
+
+  if (result.isError) {
+    return { data: null, isError: true, errorMessage: extractErrorMessage(result) };
+  }
+
+  if (result.structuredContent !== undefined && result.structuredContent !== null) {
+    return { data: result.structuredContent, isError: false, errorMessage: null };
+  }
+
+  const blocks = (result.content || []).map(normalizeBlock);
+  return {
+    data: blocks.length === 0 ? null : (blocks.length === 1 ? blocks[0] : blocks),
+    isError: false,
+    errorMessage: null
+  };
+}
+
+module.exports = {
+  normalizeToolResult
+};
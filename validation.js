@@ -0,0 +1,233 @@
+/**
+ * Validación declarativa de parámetros
+ * Cada endpoint describe sus campos en un schema (ver schemas.js) y este módulo
+ * se encarga de coercionar tipos, aplicar defaults y reportar TODOS los campos
+ * inválidos en una sola respuesta 400.
+ */
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const FORMATS = {
+  uuid: (value) => UUID_REGEX.test(value)
+};
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Convierte un valor (posiblemente string de query string) al tipo declarado.
+ * Devuelve { value } o { error } con el código del problema.
+ */
+function coerce(value, type) {
+  switch (type) {
+    case 'string':
+      if (typeof value === 'string') return { value };
+      return { error: 'type' };
+
+    case 'integer':
+    case 'number': {
+      let parsed = value;
+      if (typeof value === 'string' && value.trim() !== '') {
+        parsed = Number(value);
+      }
+      if (typeof parsed !== 'number' || !Number.isFinite(parsed)) return { error: 'type' };
+      if (type === 'integer' && !Number.isInteger(parsed)) return { error: 'type' };
+      return { value: parsed };
+    }
+
+    case 'boolean':
+      if (typeof value === 'boolean') return { value };
+      if (value === 'true' || value === '1') return { value: true };
+      if (value === 'false' || value === '0') return { value: false };
+      return { error: 'type' };
+
+    case 'array':
+      if (Array.isArray(value)) return { value };
+      // En query string los arrays llegan separados por coma
+      if (typeof value === 'string') {
+        return { value: value.split(',').map((item) => item.trim()).filter(Boolean) };
+      }
+      return { error: 'type' };
+
+    case 'object':
+      if (value && typeof value === 'object' && !Array.isArray(value)) return { value };
+      return { error: 'type' };
+
+    default:
+      return { value };
+  }
+}
+
+function describeType(field) {
+  const type = field.type === 'integer' ? 'un entero' : `de tipo ${field.type}`;
+  return field.format ? `${type} con formato ${field.format}` : type;
+}
+
+/**
+ * Valida un valor individual contra la definición de su campo.
+ * Devuelve { value, errors }.
+ */
+function validateField(name, field, rawValue) {
+  const errors = [];
+  const fail = (code, message) => {
+    errors.push({ field: name, code, message, received: rawValue });
+    return { errors };
+  };
+
+  const coerced = coerce(rawValue, field.type);
+  if (coerced.error) {
+    return fail('type', `"${name}" debe ser ${describeType(field)}`);
+  }
+
+  let value = coerced.value;
+
+  if (field.type === 'string') {
+    if (field.nonEmpty && !value.trim()) {
+      return fail('empty', `"${name}" no puede estar vacío`);
+    }
+    if (field.lowercase) {
+      value = value.toLowerCase();
+    }
+    if (field.maxLength !== undefined && value.length > field.maxLength) {
+      return fail('max_length', `"${name}" no puede exceder ${field.maxLength} caracteres`);
+    }
+  }
+
+  if (field.format && FORMATS[field.format] && !FORMATS[field.format](value)) {
+    return fail('format', `"${name}" debe tener formato ${field.format}`);
+  }
+
+  if (field.enum && !field.enum.includes(value)) {
+    return fail('enum', `"${name}" debe ser uno de: ${field.enum.join(', ')}`);
+  }
+
+  if (field.type === 'integer' || field.type === 'number') {
+    if (field.min !== undefined && value < field.min) {
+      return fail('min', `"${name}" debe ser mayor o igual a ${field.min}`);
+    }
+    if (field.max !== undefined && value > field.max) {
+      return fail('max', `"${name}" debe ser menor o igual a ${field.max}`);
+    }
+  }
+
+  if (field.type === 'array') {
+    if (field.minItems !== undefined && value.length < field.minItems) {
+      return fail('min_items', `"${name}" debe tener al menos ${field.minItems} elementos`);
+    }
+    if (field.maxItems !== undefined && value.length > field.maxItems) {
+      return fail('max_items', `"${name}" no puede tener más de ${field.maxItems} elementos`);
+    }
+    if (field.items) {
+      const items = [];
+      value.forEach((item, i) => {
+        const result = validateField(`${name}[${i}]`, field.items, item);
+        errors.push(...result.errors);
+        items.push(result.value);
+      });
+      value = items;
+    }
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Valida params contra un schema.
+ * Devuelve { value, errors } donde value solo contiene los campos declarados,
+ * ya coercionados y con defaults aplicados.
+ */
+function validate(schema, params = {}) {
+  const value = {};
+  const errors = [];
+
+  for (const [name, field] of Object.entries(schema.fields)) {
+    const raw = params[name];
+
+    if (isMissing(raw)) {
+      if (field.required) {
+        errors.push({ field: name, code: 'required', message: `Falta el parámetro "${name}"` });
+      } else if (field.default !== undefined) {
+        value[name] = field.default;
+      }
+      continue;
+    }
+
+    const result = validateField(name, field, raw);
+    if (result.errors.length > 0) {
+      errors.push(...result.errors);
+    } else {
+      value[name] = result.value;
+    }
+  }
+
+  // Reglas entre campos: solo se evalúan si los campos involucrados son válidos
+  // (y, salvo rule.always, si todos están presentes)
+  for (const rule of schema.rules || []) {
+    const involved = rule.always || rule.fields.every((name) => value[name] !== undefined);
+    const alreadyInvalid = errors.some((error) => rule.fields.some((name) => (
+      error.field === name || error.field.startsWith(`${name}[`)
+    )));
+    if (involved && !alreadyInvalid && !rule.check(value)) {
+      errors.push({ field: rule.fields[0], code: rule.code || 'invalid', message: rule.message });
+    }
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Lista de campos requeridos y opcionales de un schema
+ */
+function describeFields(schema) {
+  const required = [];
+  const optional = [];
+
+  for (const [name, field] of Object.entries(schema.fields)) {
+    if (field.required) {
+      required.push(name);
+    } else {
+      optional.push(field.default !== undefined ? `${name} (default: ${field.default})` : name);
+    }
+  }
+
+  return { required, optional };
+}
+
+/**
+ * Respuesta 400 uniforme con todos los campos inválidos
+ */
+function validationErrorResponse(schema, errors) {
+  return {
+    statusCode: 400,
+    body: {
+      error: 'Parámetros inválidos',
+      code: 'INVALID_PARAMS',
+      details: errors,
+      ...describeFields(schema),
+      ...(schema.hint && { hint: schema.hint }),
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Valida y devuelve { value } o { errorResponse } listo para regresar desde un handler
+ */
+function validateRequest(schema, params) {
+  const { value, errors } = validate(schema, params);
+
+  if (errors.length > 0) {
+    return { errorResponse: validationErrorResponse(schema, errors) };
+  }
+
+  return { value };
+}
+
+module.exports = {
+  validate,
+  validateRequest,
+  validationErrorResponse,
+  describeFields,
+  UUID_REGEX
+};